@@ -14,6 +14,24 @@
     }
   }
 
+  // 프록시 거부 코드별 안내 메시지 (airtable-proxy 함수의 code 값)
+  const PROXY_ERROR_MESSAGES = {
+    API_KEY_NOT_CONFIGURED: '서버에 에어테이블 API 키가 설정되지 않았습니다.',
+    HOST_NOT_ALLOWED: '에어테이블 API 이외의 주소는 요청할 수 없습니다.',
+    PATH_NOT_ALLOWED: '허용되지 않은 에어테이블 API 경로입니다.',
+    METHOD_NOT_ALLOWED: '허용되지 않은 요청 방식입니다.',
+    BASE_NOT_ALLOWED: '허용되지 않은 에어테이블 베이스입니다.',
+    TABLE_NOT_ALLOWED: '허용되지 않은 에어테이블 테이블입니다.',
+    ALLOWLIST_NOT_CONFIGURED: '프록시 허용 목록이 서버에 설정되지 않았습니다.',
+    TOKEN_REQUIRED: '앱 인증 토큰이 없습니다. 다시 로그인해 주세요.',
+    TOKEN_INVALID: '앱 인증 토큰이 유효하지 않습니다. 다시 로그인해 주세요.',
+    TOKEN_EXPIRED: '사용 기간이 만료되었습니다.',
+    TOKEN_SECRET_NOT_CONFIGURED: '서버에 토큰 비밀키가 설정되지 않았습니다.',
+    CONTENT_NOT_CONFIGURED: '서버에 등록되지 않은 콘텐츠입니다.',
+    USER_BASE_NOT_CONFIGURED: '서버에 사용자 DB가 설정되지 않았습니다.',
+    OWNER_MISMATCH: '다른 사용자의 학습 기록에는 접근할 수 없습니다.'
+  };
+
   // 환경 감지
   const isNetlifyEnvironment = window.location.hostname.includes('netlify.app') || 
                                window.location.hostname.includes('netlify.com');
@@ -23,6 +41,10 @@
     // 싱글톤 인스턴스
     static instance = null;
     
+    // 서버 해석용 베이스 별칭 (airtable-proxy 함수가 실제 베이스 ID로 교체)
+    static RESOLVED_CONTENTS_BASE = 'https://api.airtable.com/v0/@contents';
+    static RESOLVED_USER_BASE = 'https://api.airtable.com/v0/@user';
+    
     // 싱글톤 getter
     static getInstance() {
       if (!AirtableManager.instance) {
@@ -44,19 +66,20 @@
         this.useProxy = isNetlifyEnvironment;
         this.proxyUrl = '/.netlify/functions/airtable-proxy';
         
-        // API 키 처리 (개발 환경에서만 URL에서 가져옴)
+        // API 키 처리 (개발 환경 직접 요청용, URL 파라미터에서는 읽지 않음)
         if (!this.useProxy) {
-          // 개발 환경: URL에서 API 키 가져오기
+          // 개발 환경: 스토리지에 저장한 API 키 사용
           this.apiKey = '';
           try {
-            if (params.has('airtable_apikey')) {
-              this.apiKey = decodeURIComponent(params.get('airtable_apikey')).trim();
-            }
+            this.apiKey = (sessionStorage.getItem('airtable_apikey') || localStorage.getItem('airtable_apikey') || '').trim();
           } catch (e) {
-            console.warn('API 키 디코딩 오류:', e);
+            console.warn('API 키 로드 오류:', e);
           }
         }
         
+        // 콘텐츠 ID (서버에서 베이스/테이블 해석 시 사용)
+        this.contentId = params.get('contents') || '';
+        
         // 사용자 DB URL 파싱
         this.userBaseUrl = '';
         try {
@@ -97,6 +120,20 @@
           console.warn('콘텐츠 테이블 디코딩 오류:', e);
         }
         
+        // 서버 해석 모드: 베이스 정보 없이 콘텐츠 ID와 토큰만 전달하면 프록시가 베이스/테이블/키를 결정
+        this.serverResolved = false;
+        if (this.useProxy) {
+          if (!this.contentsBaseUrl) {
+            this.contentsBaseUrl = AirtableManager.RESOLVED_CONTENTS_BASE;
+            this.wordTable = this.wordTable || 'words';
+            this.serverResolved = true;
+          }
+          if (!this.userBaseUrl) {
+            this.userBaseUrl = AirtableManager.RESOLVED_USER_BASE;
+            this.userTable = this.userTable || 'user';
+          }
+        }
+        
         // API 키 존재 여부 검증 (프록시 사용 시에는 항상 true)
         this.isValidApiKey = this.useProxy || (!!this.apiKey && this.apiKey.length > 10);
         
@@ -109,7 +146,7 @@
           console.log(`AirtableManager: 초기화 완료 (${this.useProxy ? '프록시 모드' : '직접 모드'})`);
           console.log(`API 키: ${this.apiKey ? '설정됨' : (this.useProxy ? '프록시 사용' : '없음')}`);
           console.log(`사용자 DB: ${this.userBaseUrl ? '설정됨' : '없음'}`);
-          console.log(`콘텐츠 DB: ${this.contentsBaseUrl ? '설정됨' : '없음'}`);
+          console.log(`콘텐츠 DB: ${this.serverResolved ? '서버 해석' : (this.contentsBaseUrl ? '설정됨' : '없음')}`);
         }
         
         AirtableManager.instance = this;
@@ -119,6 +156,20 @@
       }
     }
     
+    /**
+     * 현재 콘텐츠 ID (콘텐츠 전환 후에도 최신 값 사용)
+     * @returns {string} 콘텐츠 ID
+     */
+    getContentId() {
+      if (window.app && window.app.currentContent) {
+        return window.app.currentContent;
+      }
+      if (window.app && window.app.dbManager && typeof window.app.dbManager.getCurrentContentId === 'function') {
+        return window.app.dbManager.getCurrentContentId() || this.contentId;
+      }
+      return this.contentId;
+    }
+    
     /**
      * API 키 유효성 검사
      * @returns {boolean} API 키가 유효한지 여부
@@ -174,7 +225,8 @@
         // 프록시를 통한 요청
         const proxyBody = {
           url: url,
-          method: options.method || 'GET'
+          method: options.method || 'GET',
+          contentId: this.getContentId()
         };
         
         // PATCH/POST 요청의 경우 body 추가
@@ -189,13 +241,28 @@
         const response = await fetch(this.proxyUrl, {
           method: 'POST',
           headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...(window.tokenValidator ? window.tokenValidator.getAuthHeaders() : {})
           },
           body: JSON.stringify(proxyBody)
         });
         
         if (!response.ok) {
           const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+          
+          // 프록시 허용 목록 거부 등은 code를 함께 전달
+          if (errorData.code) {
+            const description = PROXY_ERROR_MESSAGES[errorData.code];
+            if (description) {
+              console.error(`AirtableManager: 프록시 요청 거부 (${errorData.code}): ${description}`);
+            }
+            
+            const proxyError = new Error(`[${errorData.code}] ${errorData.error || `프록시 오류 (${response.status})`}`);
+            proxyError.code = errorData.code;
+            proxyError.status = response.status;
+            throw proxyError;
+          }
+          
           throw new Error(errorData.error || `프록시 오류 (${response.status})`);
         }
         
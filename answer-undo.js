@@ -0,0 +1,190 @@
+/**
+ * answer-undo.js - 답변 되돌리기
+ * 답변 직전의 단어 레코드와 모드 상태(카운터, 인덱스, 배열)를 기억해 두었다가
+ * 잘못 누른 답변을 되돌림 (세션마다 최근 MAX_ENTRIES개)
+ * - 단어의 진도 필드를 답변 전 값으로 되돌리고 에어테이블 동기화 큐에도 넣음
+ * - 답변 기록(answerLog)도 삭제
+ * - MemorizingMode처럼 저장을 미루는 모드는 대기 중인 업데이트를 취소한 뒤 되돌림
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.AnswerUndo) {
+    console.log('AnswerUndo가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  window.AnswerUndo = {
+    // 세션당 되돌릴 수 있는 답변 수
+    MAX_ENTRIES: 10,
+
+    // 답변으로 바뀌는 단어 필드
+    RESTORE_FIELDS: [
+      'known_2', 'status', 'difficult', 'studiedDate', 'updatedAt', 'isStudied',
+      'lastGrade', 'firstTimeInMemorizing', 'reverseProgress',
+      'srsInterval', 'srsEase', 'srsReps', 'srsLapses', 'srsDue'
+    ],
+
+    // 모드 상태 중 되돌리지 않는 필드 (저장 대기열, 로딩/타이머 상태 등)
+    MODE_STATE_SKIP: [
+      'pendingUpdates', 'statusUpdateTasks', 'isLoading', 'isDestroyed',
+      'flipTimer', 'preloadedData', '_isHandlingAnswer'
+    ],
+
+    entries: [],
+
+    /**
+     * 모드 상태 복사 (숫자, 배열, Set)
+     * @param {Object} mode - 모드 객체
+     * @returns {Object} 상태 사본
+     */
+    captureModeState(mode) {
+      const state = {};
+      Object.keys(mode).forEach(key => {
+        if (this.MODE_STATE_SKIP.includes(key)) return;
+
+        const value = mode[key];
+        if (typeof value === 'number') {
+          state[key] = value;
+        } else if (Array.isArray(value)) {
+          state[key] = value.slice();
+        } else if (value instanceof Set) {
+          state[key] = new Set(value);
+        }
+      });
+      return state;
+    },
+
+    /**
+     * 복사해 둔 모드 상태 되돌리기
+     * @param {Object} mode - 모드 객체
+     * @param {Object} state - captureModeState 결과
+     */
+    restoreModeState(mode, state) {
+      Object.entries(state).forEach(([key, value]) => {
+        if (Array.isArray(value)) {
+          mode[key] = value.slice();
+        } else if (value instanceof Set) {
+          mode[key] = new Set(value);
+        } else {
+          mode[key] = value;
+        }
+      });
+    },
+
+    /**
+     * 답변 처리 직전에 호출 - 되돌릴 정보 준비
+     * 모드 상태는 즉시 복사하고, 단어 레코드는 답변 저장보다 먼저 읽기 시작
+     * @param {Object} app - WordLearningApp
+     * @param {string} wordId - 답변할 단어 ID
+     * @returns {Object|null} 되돌리기 항목 (commit 전까지는 스택에 없음)
+     */
+    begin(app, wordId) {
+      if (!app || !app.currentMode || !app.dbManager || !wordId) return null;
+
+      return {
+        wordId,
+        sessionId: app.studySessionId || null,
+        mode: app.currentMode,
+        modeState: this.captureModeState(app.currentMode),
+        recordPromise: app.dbManager.getWordById(wordId).catch(error => {
+          console.error('되돌리기용 단어 조회 오류:', error);
+          return null;
+        }),
+        updatePromise: null,
+        logIdPromise: null
+      };
+    },
+
+    /**
+     * 답변 처리 후 스택에 추가
+     * @param {Object} entry - begin 결과
+     * @param {Object} [options] - { updatePromise, logIdPromise }
+     */
+    commit(entry, options = {}) {
+      if (!entry) return;
+
+      entry.updatePromise = options.updatePromise || null;
+      entry.logIdPromise = options.logIdPromise || null;
+
+      // 다른 세션의 항목은 버림
+      this.entries = this.entries.filter(item => item.sessionId === entry.sessionId);
+      this.entries.push(entry);
+      if (this.entries.length > this.MAX_ENTRIES) {
+        this.entries.shift();
+      }
+    },
+
+    /**
+     * 되돌릴 수 있는 답변 수
+     * @param {string} sessionId - 현재 세션 ID
+     * @returns {number} 항목 수
+     */
+    count(sessionId) {
+      return this.entries.filter(item => item.sessionId === sessionId).length;
+    },
+
+    // 모든 항목 삭제 (세션 종료 시)
+    clear() {
+      this.entries = [];
+    },
+
+    /**
+     * 마지막 답변 되돌리기
+     * @param {Object} app - WordLearningApp
+     * @returns {Promise<Object|null>} 되돌린 항목 (없거나 실패하면 null)
+     */
+    async undo(app) {
+      if (!app || !app.dbManager) return null;
+
+      const sessionId = app.studySessionId || null;
+      const entry = this.entries.length > 0 &&
+        this.entries[this.entries.length - 1].sessionId === sessionId ?
+        this.entries.pop() : null;
+      if (!entry) return null;
+
+      try {
+        // 답변 저장이 끝난 뒤에 되돌려야 덮어쓰이지 않음
+        if (entry.updatePromise) {
+          await entry.updatePromise.catch(() => {});
+        }
+        if (typeof entry.mode.cancelPendingUpdates === 'function') {
+          await entry.mode.cancelPendingUpdates(entry.wordId);
+        }
+
+        const previous = await entry.recordPromise;
+        if (previous) {
+          await app.dbManager.restoreWordFields(entry.wordId, previous, this.RESTORE_FIELDS);
+
+          // 에어테이블에도 답변 전 진도로 되돌림 (답변 전에 없던 필드는 null로 보내 지움)
+          if (app.syncManager) {
+            const syncData = {};
+            this.RESTORE_FIELDS.forEach(field => {
+              syncData[field] = previous[field] === undefined ? null : previous[field];
+            });
+            app.syncManager.enqueueWordUpdate(entry.wordId, syncData);
+          }
+        }
+
+        const logId = entry.logIdPromise ? await entry.logIdPromise : null;
+        if (logId !== null && logId !== undefined && typeof app.dbManager.deleteAnswerLog === 'function') {
+          await app.dbManager.deleteAnswerLog(logId);
+        }
+
+        this.restoreModeState(entry.mode, entry.modeState);
+
+        if (app.countCache) {
+          app.countCache.invalidate();
+        }
+
+        console.log('답변 되돌리기 완료:', { wordId: entry.wordId, currentIndex: entry.mode.currentIndex });
+        return entry;
+      } catch (error) {
+        console.error('답변 되돌리기 오류:', error);
+        return null;
+      }
+    }
+  };
+
+  console.log('AnswerUndo 로드 완료');
+})();
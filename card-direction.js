@@ -0,0 +1,165 @@
+/**
+ * card-direction.js - 카드 방향 (정방향/역방향/섞기)
+ * - 정방향: 단어 → 뜻 (기존 방식), 역방향: 뜻 → 단어
+ * - 설정은 콘텐츠별로 로컬 스토리지에 저장, URL 파라미터 direction=forward|reverse|mixed 는 이번 세션에만 적용
+ * - 역방향 진도는 단어의 reverseProgress 필드에 따로 저장 (known_2, difficult, SRS 스케줄 등)
+ *   → 뜻을 안다고 단어를 떠올릴 수 있는 것으로 처리하지 않음
+ * - reverseProgress는 로컬(IndexedDB)에만 저장하고 에어테이블에는 동기화하지 않음
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.CardDirection) {
+    console.log('CardDirection이 이미 정의되어 있습니다.');
+    return;
+  }
+
+  window.CardDirection = {
+    FORWARD: 'forward',
+    REVERSE: 'reverse',
+    MIXED: 'mixed',
+
+    // 설정 표시 이름
+    LABELS: {
+      forward: '단어→뜻',
+      reverse: '뜻→단어',
+      mixed: '섞기'
+    },
+
+    STORAGE_KEY_PREFIX: 'memoryking_card_direction_',
+
+    // 방향별로 따로 관리하는 진도 필드
+    PROGRESS_FIELDS: [
+      'known_2', 'status', 'difficult', 'studiedDate', 'lastGrade',
+      'srsInterval', 'srsEase', 'srsReps', 'srsLapses', 'srsDue'
+    ],
+
+    // 세션 설정 (URL 파라미터로 지정된 경우)
+    _sessionSetting: null,
+
+    /**
+     * 유효한 설정값인지 확인
+     * @param {string} value - 설정값
+     * @returns {boolean} 유효 여부
+     */
+    isValid(value) {
+      return value === this.FORWARD || value === this.REVERSE || value === this.MIXED;
+    },
+
+    /**
+     * 현재 콘텐츠의 저장 키
+     * @returns {string} 로컬 스토리지 키
+     */
+    getStorageKey() {
+      const dbManager = window.app && window.app.dbManager;
+      const contentId = dbManager && typeof dbManager.getCurrentContentId === 'function' ?
+        dbManager.getCurrentContentId() : 'default';
+      return `${this.STORAGE_KEY_PREFIX}${contentId || 'default'}`;
+    },
+
+    /**
+     * 현재 방향 설정 (세션 설정 → 콘텐츠별 설정 → 정방향)
+     * @returns {string} forward | reverse | mixed
+     */
+    getSetting() {
+      if (this._sessionSetting === null) {
+        const params = window._originalUrlParams || {};
+        const urlValue = params.direction !== undefined ?
+          params.direction : new URLSearchParams(window.location.search).get('direction');
+        this._sessionSetting = this.isValid(urlValue) ? urlValue : '';
+      }
+      if (this._sessionSetting) return this._sessionSetting;
+
+      try {
+        const saved = localStorage.getItem(this.getStorageKey());
+        return this.isValid(saved) ? saved : this.FORWARD;
+      } catch (error) {
+        console.warn('카드 방향 설정 읽기 오류:', error);
+        return this.FORWARD;
+      }
+    },
+
+    /**
+     * 방향 설정 저장 (콘텐츠별, 세션 설정은 해제)
+     * @param {string} value - forward | reverse | mixed
+     * @returns {boolean} 저장 성공 여부
+     */
+    setSetting(value) {
+      if (!this.isValid(value)) return false;
+
+      this._sessionSetting = '';
+      try {
+        localStorage.setItem(this.getStorageKey(), value);
+        return true;
+      } catch (error) {
+        console.warn('카드 방향 설정 저장 오류:', error);
+        return false;
+      }
+    },
+
+    /**
+     * 다음 설정값 (정방향 → 역방향 → 섞기 → 정방향)
+     * @param {string} value - 현재 설정
+     * @returns {string} 다음 설정
+     */
+    getNextSetting(value) {
+      const order = [this.FORWARD, this.REVERSE, this.MIXED];
+      return order[(order.indexOf(value) + 1) % order.length];
+    },
+
+    /**
+     * 카드 한 장의 방향 결정 (섞기면 무작위)
+     * @param {string} setting - 방향 설정
+     * @returns {string} forward | reverse
+     */
+    pick(setting) {
+      if (setting === this.MIXED) {
+        return Math.random() < 0.5 ? this.FORWARD : this.REVERSE;
+      }
+      return setting === this.REVERSE ? this.REVERSE : this.FORWARD;
+    },
+
+    /**
+     * 방향별 진도가 반영된 단어 (역방향 기록이 없으면 암기중 상태에서 시작)
+     * @param {Object} word - 단어 레코드
+     * @param {string} direction - forward | reverse
+     * @returns {Object} 진도 필드를 덮어쓴 단어
+     */
+    getView(word, direction) {
+      if (!word || direction !== this.REVERSE) return word;
+
+      const view = { ...word, known_2: '0', status: '0', difficult: 0 };
+      ['lastGrade', 'srsInterval', 'srsEase', 'srsReps', 'srsLapses', 'srsDue'].forEach(field => {
+        delete view[field];
+      });
+      return { ...view, ...(word.reverseProgress || {}) };
+    },
+
+    /**
+     * 역방향 답변 결과를 updateWord 데이터로 변환 (진도 필드는 reverseProgress에만)
+     * @param {Object} word - 저장된 단어 레코드
+     * @param {Object} update - 모드가 만든 진도 데이터
+     * @returns {Object} updateWord에 넘길 데이터
+     */
+    buildReverseUpdate(word, update) {
+      const progress = { ...((word && word.reverseProgress) || {}) };
+      this.PROGRESS_FIELDS.forEach(field => {
+        if (update[field] !== undefined) progress[field] = update[field];
+      });
+
+      const result = {
+        reverseProgress: progress,
+        updatedAt: update.updatedAt || new Date().toISOString()
+      };
+
+      // 학습 여부는 방향과 무관 (신규 단어를 역방향으로 처음 본 경우)
+      if (update.isStudied !== undefined) {
+        result.isStudied = update.isStudied;
+      }
+
+      return result;
+    }
+  };
+
+  console.log('CardDirection 로드 완료');
+})();
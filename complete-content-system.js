@@ -378,9 +378,12 @@ if (window.ContentBasedSystemLoaded) {
                     const existingWordCount = await this.dbManager.getWordCount({});
                     console.log(`기존 데이터: ${existingWordCount}개 단어`);
                     
-                    // 4. 데이터가 없거나 업데이트가 필요한 경우 로드
-                    if (existingWordCount === 0) {
-                        console.log('새 콘텐츠 데이터 로드 필요');
+                    // 4. 데이터가 없거나 중단된 다운로드가 있으면 로드 (체크포인트부터 이어받기)
+                    const hasIncompleteDownload = typeof this.hasIncompleteDownload === 'function' &&
+                        await this.hasIncompleteDownload(contentId);
+                    
+                    if (existingWordCount === 0 || hasIncompleteDownload) {
+                        console.log(hasIncompleteDownload ? '중단된 다운로드 이어받기' : '새 콘텐츠 데이터 로드 필요');
                         
                         // 부모 클래스의 loadAllWords 메서드 사용
                         let loadSuccess = false;
@@ -401,6 +404,11 @@ if (window.ContentBasedSystemLoaded) {
                         }
                     } else {
                         console.log(`콘텐츠 "${contentId}" 기존 데이터 사용`);
+                        
+                        // 마지막 동기화 이후 에어테이블에서 바뀐 단어만 백그라운드로 병합
+                        if (typeof this.refreshIfStale === 'function') {
+                            this.refreshIfStale(contentId);
+                        }
                     }
                     
                     // 5. 초기화 완료
@@ -421,6 +429,7 @@ if (window.ContentBasedSystemLoaded) {
             async loadWordsDirectly(contentId) {
                 try {
                     console.log(`직접 데이터 로드 시작: ${contentId}`);
+                    const loadStartedAt = Date.now();
                     
                     // 네트워크 상태 확인
                     if (!this.networkManager || (this.networkManager.isOffline && this.networkManager.isOffline())) {
@@ -436,11 +445,12 @@ if (window.ContentBasedSystemLoaded) {
                     
                     // URL 파라미터에서 설정 추출
                     const urlParams = safeParseUrlParams();
-                    const apiKey = this.airtableManager.apiKey || (urlParams.params ? urlParams.params.get('airtable_apikey') : null);
+                    const apiKey = this.airtableManager.apiKey || null; // API 키는 URL 파라미터로 받지 않음
+                    const useProxy = !!(this.airtableManager.useProxy || window.ENV_CONFIG?.useApiProxy);
                     const contentsBaseUrl = this.airtableManager.contentsBaseUrl || (urlParams.params ? urlParams.params.get('airtable_contents_DB') : null);
                     const wordTable = this.airtableManager.wordTable || (urlParams.params ? urlParams.params.get('airtable_contents_table') : null);
                     
-                    if (!apiKey || !contentsBaseUrl || !wordTable) {
+                    if ((!apiKey && !useProxy) || !contentsBaseUrl || !wordTable) {
                         console.error('Airtable 필수 설정이 누락되었습니다:', {
                             apiKey: !!apiKey,
                             contentsBaseUrl: !!contentsBaseUrl,
@@ -455,30 +465,48 @@ if (window.ContentBasedSystemLoaded) {
                         hasApiKey: !!apiKey
                     });
                     
+                    // 중단된 다운로드가 있으면 체크포인트부터 이어받기
+                    const checkpoint = typeof this.getDownloadCheckpoint === 'function' ?
+                        await this.getDownloadCheckpoint(contentId) : null;
+                    const downloadStartedAt = checkpoint ? checkpoint.startedAt : loadStartedAt;
+                    const totalRecords = checkpoint ? checkpoint.totalRecords || 0 : 0;
+                    let loadedRecords = checkpoint ? checkpoint.loadedRecords || 0 : 0;
+                    let lastNo = checkpoint ? checkpoint.lastNo || 0 : 0;
+                    let resumeFormula = checkpoint ? checkpoint.resumeFormula || null : null;
+                    
+                    const getProgress = (fallback) => totalRecords > 0 ?
+                        Math.min(Math.round((loadedRecords / totalRecords) * 100), 90) : fallback;
+                    
                     // 진행 상황 알림
                     if (this.onProgress) {
                         this.onProgress({
                             stage: 'start',
-                            message: '에어테이블에서 데이터 다운로드 시작...',
-                            progress: 0
+                            message: checkpoint ?
+                                `다운로드 이어받기 (${loadedRecords}개 저장됨)` :
+                                '에어테이블에서 데이터 다운로드 시작...',
+                            progress: getProgress(0)
                         });
                     }
                     
                     // 기본 API URL 구성
                     const baseUrl = `${contentsBaseUrl}/${wordTable}`;
-                    const headers = {
+                    const headers = apiKey ? {
                         'Authorization': `Bearer ${apiKey}`,
                         'Content-Type': 'application/json'
+                    } : {
+                        'Content-Type': 'application/json'
                     };
                     
-                    // 모든 단어 로드 (페이지네이션)
-                    let allWords = [];
-                    let offset = null;
+                    // 모든 단어 로드 (페이지네이션, 페이지마다 체크포인트와 함께 저장)
+                    let offset = checkpoint ? checkpoint.offset : null;
                     let pageCount = 0;
+                    let page = checkpoint ? checkpoint.page || 0 : 0;
+                    let completed = false;
                     
                     do {
                         pageCount++;
-                        console.log(`페이지 ${pageCount} 로드 중...`);
+                        page++;
+                        console.log(`페이지 ${page} 로드 중...`);
                         
                         // API URL 구성 (offset 포함)
                         const params = new URLSearchParams({
@@ -491,14 +519,18 @@ if (window.ContentBasedSystemLoaded) {
                             params.append('offset', offset);
                         }
                         
+                        if (resumeFormula) {
+                            params.append('filterByFormula', resumeFormula);
+                        }
+                        
                         const url = `${baseUrl}?${params.toString()}`;
                         
                         // 진행 상황 업데이트
                         if (this.onProgress) {
                             this.onProgress({
                                 stage: 'loading',
-                                message: `페이지 ${pageCount} 다운로드 중...`,
-                                progress: Math.min(pageCount * 10, 90)
+                                message: `페이지 ${page} 다운로드 중...`,
+                                progress: getProgress(Math.min(pageCount * 10, 90))
                             });
                         }
                         
@@ -518,7 +550,8 @@ if (window.ContentBasedSystemLoaded) {
                                 response = await fetchResponse.json();
                             }
                         } catch (apiError) {
-                            console.error(`페이지 ${pageCount} API 호출 오류:`, apiError);
+                            console.error(`페이지 ${page} API 호출 오류:`, apiError);
+                            page--;
                             
                             // 인증 오류인 경우 중단
                             if (apiError.message.includes('401') || apiError.message.includes('403')) {
@@ -526,48 +559,72 @@ if (window.ContentBasedSystemLoaded) {
                                 break;
                             }
                             
+                            // 저장된 오프셋이 만료된 경우 마지막으로 받은 No 이후부터 다시 조회
+                            if (offset && (apiError.message.includes('422') ||
+                                apiError.message.includes('LIST_RECORDS_ITERATOR_NOT_AVAILABLE'))) {
+                                console.warn(`오프셋 만료: No ${lastNo}부터 다시 조회합니다.`);
+                                offset = null;
+                                resumeFormula = `{No} > ${lastNo}`;
+                                continue;
+                            }
+                            
                             // 기타 오류는 재시도
                             continue;
                         }
                         
                         // 응답 검증
                         if (!response || !response.records || !Array.isArray(response.records)) {
-                            console.warn(`페이지 ${pageCount}: 유효하지 않은 응답`, response);
+                            console.warn(`페이지 ${page}: 유효하지 않은 응답`, response);
                             break;
                         }
                         
-                        // 단어 변환 및 추가
+                        // 단어 변환 후 다음 페이지 체크포인트와 함께 저장
                         const transformedWords = this.transformAirtableRecords(response.records, contentId);
-                        allWords = allWords.concat(transformedWords);
+                        transformedWords.forEach(word => {
+                            lastNo = Math.max(lastNo, Number(word.No) || 0);
+                        });
+                        
+                        offset = response.offset || null;
+                        loadedRecords += transformedWords.length;
+                        
+                        if (typeof this.storePageWithCheckpoint === 'function') {
+                            await this.storePageWithCheckpoint(transformedWords, {
+                                contentId: contentId,
+                                offset: offset,
+                                resumeFormula: resumeFormula,
+                                lastNo: lastNo,
+                                page: page,
+                                loadedRecords: loadedRecords,
+                                totalRecords: totalRecords,
+                                startedAt: downloadStartedAt,
+                                updatedAt: Date.now()
+                            });
+                        } else if (transformedWords.length > 0) {
+                            await this.dbManager.saveWords(transformedWords);
+                        }
                         
-                        console.log(`페이지 ${pageCount}: ${transformedWords.length}개 단어 로드 (총 ${allWords.length}개)`);
+                        console.log(`페이지 ${page}: ${transformedWords.length}개 단어 저장 (총 ${loadedRecords}개)`);
                         
-                        // 다음 페이지 확인
-                        offset = response.offset;
+                        if (!offset) {
+                            completed = true;
+                            break;
+                        }
                         
                         // API 제한 방지 딜레이
                         await new Promise(resolve => setTimeout(resolve, 200));
                         
-                    } while (offset && pageCount < 50); // 최대 50페이지 제한
-                    
-                    // 진행 상황 업데이트
-                    if (this.onProgress) {
-                        this.onProgress({
-                            stage: 'saving',
-                            message: `${allWords.length}개 단어를 데이터베이스에 저장 중...`,
-                            progress: 95
-                        });
-                    }
+                    } while (pageCount < 50); // 한 번 실행에 최대 50페이지 (남은 페이지는 다음 실행 때 이어받기)
                     
-                    // 데이터베이스에 저장
-                    if (allWords.length > 0) {
-                        await this.dbManager.saveWords(allWords);
-                        console.log(`${allWords.length}개 단어 저장 완료`);
+                    // 모두 받았으면 체크포인트 제거 후 로드 완료 상태 저장
+                    if (completed && loadedRecords > 0) {
+                        if (typeof this.clearDownloadCheckpoint === 'function') {
+                            await this.clearDownloadCheckpoint();
+                        }
                         
-                        // 로드 완료 상태 저장
                         if (typeof this.dbManager.saveSetting === 'function') {
                             await this.dbManager.saveSetting('dataLoaded', true);
                             await this.dbManager.saveSetting('lastLoadTime', Date.now());
+                            await this.dbManager.saveSetting('lastSyncTime', downloadStartedAt);
                             await this.dbManager.saveSetting('loadedContent', contentId);
                         }
                     }
@@ -576,13 +633,15 @@ if (window.ContentBasedSystemLoaded) {
                     if (this.onProgress) {
                         this.onProgress({
                             stage: 'complete',
-                            message: `${allWords.length}개 단어 로드 완료!`,
+                            message: completed ?
+                                `${loadedRecords}개 단어 로드 완료!` :
+                                `${loadedRecords}개 단어 저장됨 (다음 실행 시 이어받기)`,
                             progress: 100
                         });
                     }
                     
-                    console.log(`직접 데이터 로드 완료: ${allWords.length}개 단어`);
-                    return allWords.length > 0;
+                    console.log(`직접 데이터 로드 ${completed ? '완료' : '중단'}: ${loadedRecords}개 단어`);
+                    return loadedRecords > 0;
                     
                 } catch (error) {
                     console.error('직접 데이터 로드 오류:', error);
@@ -600,9 +659,13 @@ if (window.ContentBasedSystemLoaded) {
             }
             
             /**
-             * Airtable 레코드를 앱 데이터 형식으로 변환
+             * Airtable 레코드를 앱 데이터 형식으로 변환 (ContentSources가 있으면 소스 공통 변환 사용)
              */
             transformAirtableRecords(records, contentId) {
+                if (window.ContentSources) {
+                    return window.ContentSources.normalizeRecords(records, contentId);
+                }
+                
                 const getKoreanTime = () => {
                     if (window.KoreanTimeUtil && typeof window.KoreanTimeUtil.getKoreanTimeISOString === 'function') {
                         return window.KoreanTimeUtil.getKoreanTimeISOString();
@@ -620,6 +683,7 @@ if (window.ContentBasedSystemLoaded) {
                             word: String(fields.word || '').trim(),
                             meaning: String(fields.meaning || '').trim(),
                             pronunciation: String(fields.pronunciation || '').trim(),
+                            audio: Array.isArray(fields.audio) && fields.audio.length > 0 ? fields.audio[0].url || '' : '',
                             airtableId: record.id,
                             No: parseInt(fields.No) || index + 1,
                             known_2: "0",
@@ -774,9 +838,9 @@ if (window.ContentBasedSystemLoaded) {
                 if (!airtableManager) {
                     console.log('수동 AirtableManager 생성 시도...');
                     
-                    if (contentInfo.params && contentInfo.params.get('airtable_apikey') && contentInfo.params.get('airtable_contents_DB')) {
+                    if (contentInfo.params && contentInfo.params.get('airtable_contents_DB')) {
                         airtableManager = {
-                            apiKey: contentInfo.params.get('airtable_apikey'),
+                            apiKey: '',
                             contentsBaseUrl: contentInfo.params.get('airtable_contents_DB'),
                             wordTable: contentInfo.params.get('airtable_contents_table') || 'words',
                             userBaseUrl: contentInfo.params.get('airtable_user_DB'),
@@ -801,15 +865,10 @@ if (window.ContentBasedSystemLoaded) {
                     console.log('Word Table:', airtableManager.wordTable ? '설정됨' : '없음');
                     
                     // 설정이 누락된 경우 URL 파라미터에서 다시 추출
-                    if (!airtableManager.apiKey || !airtableManager.contentsBaseUrl || !airtableManager.wordTable) {
+                    if (!airtableManager.contentsBaseUrl || !airtableManager.wordTable) {
                         console.log('AirtableManager 설정 보완 시도...');
                         
                         if (contentInfo.params) {
-                            if (!airtableManager.apiKey && contentInfo.params.get('airtable_apikey')) {
-                                airtableManager.apiKey = contentInfo.params.get('airtable_apikey');
-                                console.log('API Key 보완됨');
-                            }
-                            
                             if (!airtableManager.contentsBaseUrl && contentInfo.params.get('airtable_contents_DB')) {
                                 airtableManager.contentsBaseUrl = contentInfo.params.get('airtable_contents_DB');
                                 console.log('Contents Base URL 보완됨');
@@ -2,6 +2,7 @@
  * ContentAwareDataLoader 클래스
  * 콘텐츠 ID에 따라 데이터 로딩 방식을 조정하는 확장된 데이터 로더
  * 필터를 사용하지 않고 전체 데이터를 다운로드하여 IndexedDB에 저장
+ * 단어 원본은 콘텐츠별 소스(ContentSources: 에어테이블, JSON, CSV)에서 가져옴
  * Netlify 프록시 지원 추가
  */
 class ContentAwareDataLoader {
@@ -14,11 +15,14 @@ class ContentAwareDataLoader {
     this.pageSize = 100; // 한 번에 가져올 최대 레코드 수
     this.maxRetries = 3;  // 최대 재시도 횟수
     this.requestDelay = 300; // 연속 요청 사이의 지연시간 (ms)
+    this.deltaSyncInterval = 60 * 60 * 1000; // 변경분 동기화 최소 간격 (1시간)
+    this.deltaSyncOverlap = 5 * 60 * 1000; // 기기 시계 오차 대비 여유 구간 (5분)
     
     // 상태 관리
     this._loadingPromise = null;
     this._isLoading = false;
     this._lastLoadedContent = null;
+    this._deltaSyncPromise = null;
     
     // 로그 및 진행 정보
     this.progressCallback = null;
@@ -59,6 +63,7 @@ class ContentAwareDataLoader {
 
   /**
    * 초기 로드 필요 여부 확인
+   * 단어가 있으면 전체 재다운로드 대신 syncChangedWords로 변경분만 가져옴
    * @returns {Promise<boolean>} 초기 로드 필요 여부
    */
   async isInitialLoadRequired() {
@@ -74,27 +79,227 @@ class ContentAwareDataLoader {
         return true;
       }
       
-      // 마지막 로드 시간 확인
-      const lastLoadTime = await this.dbManager.getSetting('lastLoadTime');
-      
-      // 마지막 로드 시간이 없으면 초기 로드 필요
-      if (!lastLoadTime) {
-        console.log('마지막 로드 시간 정보가 없어 초기화가 필요합니다.');
-        return true;
+      console.log('초기 데이터 로드가 필요하지 않습니다. (변경분 동기화로 갱신)');
+      return false;
+    } catch (error) {
+      console.error('초기 로드 필요 여부 확인 오류:', error);
+      return true; // 오류 발생 시 안전하게 초기 로드 수행
+    }
+  }
+
+  /**
+   * 현재 콘텐츠가 직접 만든 내 단어장인지 (에어테이블 원본 없음)
+   * @returns {Promise<boolean>} 내 단어장 여부
+   */
+  async isLocalContent() {
+    return !!window.LocalWordList && await window.LocalWordList.isLocalContent(this.dbManager);
+  }
+
+  /**
+   * 현재 콘텐츠의 단어 소스 (에어테이블, JSON, CSV, 내 단어장)
+   * 콘텐츠 DB의 contentSource 설정으로 정함 (JSON/CSV는 소스마다 한 번만 받으므로 로드/동기화마다 새로 만듦)
+   * @param {string} contentId - 콘텐츠 ID
+   * @returns {Promise<Object>} 소스 (count, page, getById)
+   */
+  async getSource(contentId) {
+    const config = window.ContentSources ?
+      await window.ContentSources.getConfig(this.dbManager) : { type: 'airtable' };
+    
+    const source = window.ContentSources ?
+      window.ContentSources.create(config, this, contentId) :
+      {
+        type: 'airtable',
+        supportsFormula: true,
+        count: () => this.getAirtableWordCount(contentId),
+        page: async ({ offset = null, formula = null } = {}) => {
+          const response = await this.makeApiRequest(this.buildApiUrl(offset, formula), this.getAirtableHeaders());
+          if (!response || !Array.isArray(response.records)) {
+            throw new Error('API 응답 형식이 올바르지 않습니다');
+          }
+          return { records: this.transformRecords(response.records, contentId), offset: response.offset || null };
+        },
+        getById: async () => null
+      };
+    
+    console.log(`[콘텐츠 소스] ${contentId}: ${config.type}`);
+    return source;
+  }
+
+  /**
+   * 에어테이블 API 호출 헤더 (프록시 사용 시에는 필요 없음)
+   * @returns {Object} 요청 헤더
+   */
+  getAirtableHeaders() {
+    return this.isNetlifyEnvironment ? {} : {
+      'Authorization': `Bearer ${this.airtableManager?.apiKey || ''}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * 변경분 동기화 필요 여부 확인
+   * @returns {Promise<boolean>} 마지막 동기화 후 deltaSyncInterval이 지났는지 여부
+   */
+  async isDeltaSyncRequired() {
+    try {
+      const lastSyncTime = await this.getLastSyncTime();
+      return !lastSyncTime || Date.now() - lastSyncTime >= this.deltaSyncInterval;
+    } catch (error) {
+      console.error('변경분 동기화 필요 여부 확인 오류:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 마지막 동기화 시각 (예전 데이터는 lastLoadTime 사용)
+   * @returns {Promise<number|null>} 타임스탬프 (ms)
+   */
+  async getLastSyncTime() {
+    const lastSyncTime = await this.dbManager.getSetting('lastSyncTime');
+    if (lastSyncTime) {
+      return Number(lastSyncTime);
+    }
+    
+    const lastLoadTime = await this.dbManager.getSetting('lastLoadTime');
+    return lastLoadTime ? Number(lastLoadTime) : null;
+  }
+
+  /**
+   * 필요할 때만 백그라운드로 변경분 동기화 (앱 시작을 지연시키지 않음)
+   * @param {string} contentId - 콘텐츠 ID
+   */
+  refreshIfStale(contentId) {
+    this.isDeltaSyncRequired().then(async required => {
+      // 내 단어장은 에어테이블에 원본이 없으므로 동기화하지 않음
+      if (required && !(await this.isLocalContent())) {
+        return this.syncChangedWords(contentId);
       }
+      return null;
+    }).catch(error => {
+      console.error('변경분 동기화 예약 오류:', error);
+    });
+  }
+
+  /**
+   * 변경분 동기화 - 마지막 동기화 이후 수정된 레코드만 가져와 병합
+   * 에어테이블 LAST_MODIFIED_TIME()으로 필터링하며, 학습 진도 필드는 건드리지 않음
+   * (에어테이블에서 삭제된 레코드는 감지하지 않음, 필터를 지원하지 않는 JSON/CSV 소스는 전체를 병합)
+   * @param {string} contentId - 콘텐츠 ID
+   * @returns {Promise<{added: number, updated: number}|null>} 병합 결과 (실패 시 null)
+   */
+  async syncChangedWords(contentId) {
+    // 이미 동기화 중이면 진행 중인 프로미스 반환
+    if (this._deltaSyncPromise) {
+      return this._deltaSyncPromise;
+    }
+    
+    this._deltaSyncPromise = (async () => {
+      try {
+        const isOffline = this._offlineMode || (
+          this.networkManager && typeof this.networkManager.isNetworkOnline === 'function' ?
+            !this.networkManager.isNetworkOnline() : !navigator.onLine
+        );
+        
+        if (isOffline) {
+          console.log('오프라인 상태: 변경분 동기화 건너뜀');
+          return null;
+        }
+        
+        const lastSyncTime = await this.getLastSyncTime();
+        const syncStartedAt = Date.now();
+        
+        // 마지막 동기화 시각이 없으면 전체 레코드를 병합 (진도는 유지)
+        const formula = lastSyncTime ?
+          `IS_AFTER(LAST_MODIFIED_TIME(), '${new Date(lastSyncTime - this.deltaSyncOverlap).toISOString()}')` :
+          null;
+        
+        const source = await this.getSource(contentId);
+        
+        console.log(`변경분 동기화 시작 (${source.type}): ${lastSyncTime && source.supportsFormula ? new Date(lastSyncTime).toISOString() + ' 이후' : '전체'}`);
+        
+        const transformedRecords = [];
+        let offset = null;
+        
+        do {
+          const page = await source.page({ offset, formula: source.supportsFormula ? formula : null });
+          
+          transformedRecords.push(...page.records);
+          offset = page.offset;
+          
+          // API 제한 방지 딜레이
+          if (offset && source.type === 'airtable') {
+            await new Promise(resolve => setTimeout(resolve, this.requestDelay));
+          }
+        } while (offset);
+        
+        const result = transformedRecords.length > 0 ?
+          await this.dbManager.mergeContentFields(transformedRecords, ContentAwareDataLoader.CONTENT_FIELDS) :
+          { added: 0, updated: 0 };
+        
+        await this.dbManager.saveSetting('lastSyncTime', syncStartedAt);
+        
+        console.log(`변경분 동기화 완료: ${transformedRecords.length}개 변경, 추가 ${result.added}개, 갱신 ${result.updated}개`);
+        
+        // 새 단어가 추가되면 단어 수 갱신
+        if (result.added > 0 && window.app && typeof window.app.updateWordCounts === 'function') {
+          window.app.updateWordCounts();
+        }
+        
+        return result;
+      } catch (error) {
+        console.error('변경분 동기화 오류:', error);
+        return null;
+      } finally {
+        this._deltaSyncPromise = null;
+      }
+    })();
+    
+    return this._deltaSyncPromise;
+  }
+
+  /**
+   * 에어테이블 첨부파일 오디오 URL 새로 받기 (첨부파일 URL은 몇 시간 뒤 만료되고, 변경분 동기화는 수정된 레코드만 받음)
+   * 새 URL은 단어 DB와 넘겨받은 단어 객체에 반영
+   * @param {Array} words - 단어 레코드 (오디오가 있는 에어테이블 단어만 처리)
+   * @param {string} [contentId] - 콘텐츠 ID
+   * @returns {Promise<number>} URL이 바뀐 단어 수
+   */
+  async refreshAudioUrls(words, contentId) {
+    const targets = (words || []).filter(word => word && word.audio &&
+      window.ContentSources && window.ContentSources.isAirtableWordId(word._id));
+    if (targets.length === 0) return 0;
+    
+    try {
+      const source = await this.getSource(contentId || this.dbManager.currentContent || 'default');
+      if (source.type !== 'airtable') return 0;
       
-      // 마지막 로드 확인 (1주일 이상 지났으면 로드)
-      const oneWeekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-      if (lastLoadTime < oneWeekAgo) {
-        console.log('마지막 로드 이후 1주일이 지나 재로드가 필요합니다.');
-        return true;
+      const fresh = [];
+      const chunkSize = ContentAwareDataLoader.AUDIO_REFRESH_CHUNK;
+      for (let start = 0; start < targets.length; start += chunkSize) {
+        const conditions = targets.slice(start, start + chunkSize).map(word => `RECORD_ID()='${word._id}'`);
+        let offset = null;
+        do {
+          const page = await source.page({ offset, formula: `OR(${conditions.join(',')})` });
+          fresh.push(...page.records);
+          offset = page.offset;
+        } while (offset);
       }
       
-      console.log('초기 데이터 로드가 필요하지 않습니다.');
-      return false;
+      const audioById = new Map(fresh.map(record => [record._id, record.audio]));
+      const changed = targets.filter(word => audioById.has(word._id) && audioById.get(word._id) !== word.audio);
+      if (changed.length === 0) return 0;
+      
+      await this.dbManager.mergeContentFields(
+        changed.map(word => ({ _id: word._id, audio: audioById.get(word._id) })), ['audio']);
+      changed.forEach(word => {
+        word.audio = audioById.get(word._id);
+      });
+      
+      console.log(`오디오 URL 갱신: ${changed.length}개`);
+      return changed.length;
     } catch (error) {
-      console.error('초기 로드 필요 여부 확인 오류:', error);
-      return true; // 오류 발생 시 안전하게 초기 로드 수행
+      console.error('오디오 URL 갱신 오류:', error);
+      return 0;
     }
   }
 
@@ -113,17 +318,22 @@ class ContentAwareDataLoader {
         const response = await fetch(proxyUrl, {
           method: 'POST',
           headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...(window.tokenValidator ? window.tokenValidator.getAuthHeaders() : {})
           },
           body: JSON.stringify({
             url: url,
-            method: 'GET'
+            method: 'GET',
+            contentId: window.AirtableManager ? window.AirtableManager.getInstance().getContentId() : null
           })
         });
         
         if (!response.ok) {
           const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-          throw new Error(errorData.error || `프록시 오류: ${response.status}`);
+          // 에어테이블 오류는 { type, message } 객체로 전달됨
+          const errorMessage = errorData.error && typeof errorData.error === 'object' ?
+            errorData.error.type || errorData.error.message : errorData.error;
+          throw new Error(errorMessage || `프록시 오류: ${response.status}`);
         }
         
         return await response.json();
@@ -145,6 +355,65 @@ class ContentAwareDataLoader {
     }
   }
 
+  /**
+   * 중단된 다운로드 체크포인트 조회
+   * @param {string} contentId - 콘텐츠 ID
+   * @returns {Promise<Object|null>} 현재 콘텐츠의 체크포인트 (없으면 null)
+   */
+  async getDownloadCheckpoint(contentId) {
+    try {
+      const checkpoint = await this.dbManager.getSetting(ContentAwareDataLoader.DOWNLOAD_CHECKPOINT_KEY);
+      if (!checkpoint || checkpoint.contentId !== contentId) {
+        return null;
+      }
+      return checkpoint;
+    } catch (error) {
+      console.error('다운로드 체크포인트 조회 오류:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 이어받아야 할 다운로드가 있는지 확인
+   * @param {string} contentId - 콘텐츠 ID
+   * @returns {Promise<boolean>} 중단된 다운로드 존재 여부
+   */
+  async hasIncompleteDownload(contentId) {
+    return !!(await this.getDownloadCheckpoint(contentId));
+  }
+
+  /**
+   * 한 페이지 분량의 단어와 다음 페이지 체크포인트를 함께 저장
+   * (같은 트랜잭션으로 저장해 중단되어도 저장된 단어와 체크포인트가 어긋나지 않음)
+   * @param {Array} records - 변환된 단어 레코드
+   * @param {Object} checkpoint - 다음 페이지 체크포인트
+   * @returns {Promise<boolean>} 저장 성공 여부
+   */
+  async storePageWithCheckpoint(records, checkpoint) {
+    const key = ContentAwareDataLoader.DOWNLOAD_CHECKPOINT_KEY;
+    
+    if (typeof this.dbManager.saveWordsWithSetting === 'function') {
+      await this.dbManager.saveWordsWithSetting(records, key, checkpoint);
+      return true;
+    }
+    
+    if (records.length > 0) {
+      await this.dbManager.saveWords(records);
+    }
+    return await this.dbManager.saveSetting(key, checkpoint);
+  }
+
+  /**
+   * 다운로드 체크포인트 제거 (다운로드 완료 시)
+   */
+  async clearDownloadCheckpoint() {
+    try {
+      await this.dbManager.removeSetting(ContentAwareDataLoader.DOWNLOAD_CHECKPOINT_KEY);
+    } catch (error) {
+      console.error('다운로드 체크포인트 제거 오류:', error);
+    }
+  }
+
   /**
    * 모든 단어 로드 - 필터링 없이 전체 데이터 로드
    * @param {string} contentId - 콘텐츠 ID
@@ -180,6 +449,21 @@ class ContentAwareDataLoader {
         const existingWordCount = await this.dbManager.getWordCount({});
         console.log(`기존 데이터: ${existingWordCount}개 단어`);
         
+        // 내 단어장은 저장된 단어만 사용 (네트워크 불필요)
+        if (await this.isLocalContent()) {
+          console.log(`내 단어장: ${existingWordCount}개 단어 사용`);
+          
+          if (this.progressCallback) {
+            this.progressCallback({
+              status: existingWordCount > 0 ? 'complete' : 'error',
+              message: existingWordCount > 0 ? `${existingWordCount}개 단어 사용 가능` : '단어장에 단어가 없습니다.',
+              progress: existingWordCount > 0 ? 100 : 0
+            });
+          }
+          
+          return existingWordCount > 0;
+        }
+        
         // 오프라인 상태 확인
         let isOffline = this._offlineMode;
         
@@ -219,9 +503,13 @@ class ContentAwareDataLoader {
           return false;
         }
         
-        // 이미 데이터가 있으면 다운로드 필요 없음
-        if (existingWordCount > 0) {
+        // 중단된 다운로드 체크포인트 확인
+        const checkpoint = await this.getDownloadCheckpoint(contentId);
+        
+        // 이미 데이터가 있으면 다운로드 필요 없음 (변경분만 백그라운드 동기화)
+        if (existingWordCount > 0 && !checkpoint) {
           console.log(`이미 ${existingWordCount}개 단어가 있습니다. 추가 다운로드 필요 없음.`);
+          this.refreshIfStale(contentId);
           
           if (this.progressCallback) {
             this.progressCallback({
@@ -234,41 +522,64 @@ class ContentAwareDataLoader {
           return true;
         }
         
+        // 전체 단어 수 확인 (이어받기 시 체크포인트 값 사용)
+        const source = await this.getSource(contentId);
+        const totalCount = checkpoint && checkpoint.totalRecords ?
+          checkpoint.totalRecords : await source.count();
+        if (totalCount <= 0) {
+          console.log('불러올 단어가 없습니다');
+          return false;
+        }
+        
+        this.loadStats.totalRecords = totalCount;
+        this.loadStats.loadedRecords = checkpoint ? checkpoint.loadedRecords || 0 : 0;
+        
+        // 이어받기 시작 진행률
+        const resumeProgress = Math.min(
+          Math.round((this.loadStats.loadedRecords / totalCount) * 100),
+          95
+        );
+        
         // 실제로 다운로드가 필요한 경우에만 오버레이 표시
         console.log('새 데이터 다운로드가 필요합니다. 다운로드 오버레이 표시...');
         
         if (typeof window.showDownloadOverlay === 'function') {
-          window.showDownloadOverlay(0);
+          window.showDownloadOverlay(resumeProgress);
+        }
+        
+        if (checkpoint) {
+          console.log(`중단된 다운로드 이어받기: ${this.loadStats.loadedRecords}/${totalCount} (페이지 ${checkpoint.page})`);
+          
+          const resumeText = document.querySelector('#downloadOverlay .download-text');
+          if (resumeText) {
+            resumeText.textContent = `이어받는 중... (${this.loadStats.loadedRecords}/${totalCount})`;
+          }
         }
         
         if (this.progressCallback) {
           this.progressCallback({
             status: 'start',
-            message: '단어 로드 시작...',
-            progress: 0
+            message: checkpoint ?
+              `다운로드 이어받기 (${this.loadStats.loadedRecords}/${totalCount})` :
+              '단어 로드 시작...',
+            progress: resumeProgress,
+            loaded: this.loadStats.loadedRecords,
+            total: totalCount,
+            resumed: !!checkpoint
           });
         }
-
-        // 전체 단어 수 확인
-        const totalCount = await this.getTotalWordCount(contentId);
-        if (totalCount <= 0) {
-          console.log('불러올 단어가 없습니다');
-          
-          if (typeof window.hideDownloadOverlay === 'function') {
-            window.hideDownloadOverlay();
-          }
-          
-          return false;
-        }
         
-        this.loadStats.totalRecords = totalCount;
         console.log(`총 ${totalCount}개 단어를 로드합니다.`);
         
-        // 데이터 페이지네이션으로 가져오기
-        let allRecords = [];
-        let offset = null;
+        // 데이터 페이지네이션으로 가져오기 (페이지마다 체크포인트와 함께 저장)
+        const downloadStartedAt = checkpoint ? checkpoint.startedAt : this.loadStats.startTime;
+        let offset = checkpoint ? checkpoint.offset : null;
+        let resumeFormula = checkpoint ? checkpoint.resumeFormula || null : null;
+        let lastNo = checkpoint ? checkpoint.lastNo || 0 : 0;
         let hasMore = true;
-        let page = 0;
+        let completed = false;
+        let page = checkpoint ? checkpoint.page || 0 : 0;
+        let savedThisRun = 0;
         let retryCount = 0;
         
         while (hasMore) {
@@ -315,51 +626,63 @@ class ContentAwareDataLoader {
               });
             }
             
-            // URL 구성
-            const url = this.buildApiUrl(offset);
             console.log(`페이지 ${page} 로드 중... (${this.loadStats.loadedRecords}/${totalCount})`);
             
-            // API 호출 헤더 준비 (프록시 사용 시에는 필요 없음)
-            const headers = this.isNetlifyEnvironment ? {} : {
-              'Authorization': `Bearer ${this.airtableManager?.apiKey || ''}`,
-              'Content-Type': 'application/json'
-            };
-            
-            // API 호출
-            const response = await this.makeApiRequest(url, headers);
-            
-            // 응답 확인
-            if (!response || !response.records || !Array.isArray(response.records)) {
-              console.error('API 응답 형식이 올바르지 않습니다:', response);
-              throw new Error('API 응답 형식이 올바르지 않습니다');
-            }
+            // 소스에서 한 페이지 가져오기 (변환된 단어 레코드)
+            const response = await source.page({ offset, formula: resumeFormula });
             
             console.log(`페이지 ${page} 응답: ${response.records.length}개 레코드 받음`);
             
             // 재시도 카운트 초기화
             retryCount = 0;
             
-            // API 제한 방지 딜레이
-            await new Promise(resolve => setTimeout(resolve, this.requestDelay));
+            // 가져온 레코드를 다음 페이지 체크포인트와 함께 저장
+            const pageRecords = response.records;
+            pageRecords.forEach(record => {
+              lastNo = Math.max(lastNo, Number(record.No) || 0);
+            });
             
-            // 가져온 레코드 처리
-            const pageRecords = response.records || [];
+            offset = response.offset || null;
+            hasMore = !!offset;
             this.loadStats.loadedRecords += pageRecords.length;
-            allRecords.push(...pageRecords);
             
-            // 다음 페이지 여부 확인
-            offset = response.offset;
-            hasMore = !!offset;
+            await this.storePageWithCheckpoint(pageRecords, {
+              contentId: contentId,
+              offset: offset,
+              resumeFormula: resumeFormula,
+              lastNo: lastNo,
+              page: page,
+              loadedRecords: this.loadStats.loadedRecords,
+              totalRecords: totalCount,
+              startedAt: downloadStartedAt,
+              updatedAt: Date.now()
+            });
+            savedThisRun += pageRecords.length;
             
-            // 모든 페이지를 가져왔거나 충분한 데이터를 가져왔다면 중단
-            if (!hasMore || allRecords.length >= totalCount) {
-              hasMore = false;
+            // 모든 페이지를 가져왔으면 완료
+            if (!hasMore) {
+              completed = true;
+            } else {
+              // API 제한 방지 딜레이
+              if (source.type === 'airtable') {
+                await new Promise(resolve => setTimeout(resolve, this.requestDelay));
+              }
             }
             
           } catch (error) {
             console.error(`페이지 ${page} 로드 중 오류:`, error);
             retryCount++;
             
+            // 저장된 오프셋이 만료된 경우 마지막으로 받은 No 이후부터 다시 조회 (에어테이블만 해당)
+            if (offset && source.supportsFormula && error.message && (
+              error.message.includes('LIST_RECORDS_ITERATOR_NOT_AVAILABLE') ||
+              error.message.includes('422')
+            )) {
+              console.warn(`오프셋 만료: No ${lastNo}부터 다시 조회합니다.`);
+              offset = null;
+              resumeFormula = `{No} > ${lastNo}`;
+            }
+            
             // 인증 오류 특별 처리
             if (error.message && (
               error.message.includes('AUTHENTICATION_REQUIRED') ||
@@ -412,66 +735,53 @@ class ContentAwareDataLoader {
           }
         }
         
-        console.log(`${allRecords.length}개 단어를 로드했습니다.`);
+        console.log(`이번 실행에서 ${savedThisRun}개 단어를 저장했습니다. (누적 ${this.loadStats.loadedRecords}/${totalCount})`);
         
-        // 데이터 저장 전 다운로드 진행률 100%로 설정
-        if (typeof window.updateDownloadProgress === 'function') {
-          window.updateDownloadProgress(100);
-        }
-        
-        // 다운로드 텍스트 업데이트
-        const downloadText = document.querySelector('#downloadOverlay .download-text');
-        if (downloadText) {
-          downloadText.textContent = '데이터 저장 중...';
-        }
+        // 로드 완료 정보 업데이트
+        this.loadStats.endTime = Date.now();
         
-        if (allRecords.length === 0) {
+        // 중단된 경우: 체크포인트를 남겨두고 다음 실행 때 이어받기
+        if (!completed) {
           if (typeof window.hideDownloadOverlay === 'function') {
             window.hideDownloadOverlay();
           }
           
-          // 로컬 데이터 확인
           const wordCount = await this.dbManager.getWordCount({});
-          if (wordCount > 0) {
-            console.log(`로컬에 ${wordCount}개 단어가 있습니다. 기존 데이터를 유지합니다.`);
-            
-            if (this.progressCallback) {
-              this.progressCallback({
-                status: 'complete',
-                message: `기존 ${wordCount}개 단어 사용`,
-                progress: 100
-              });
-            }
-            
-            return true;
-          }
           
           if (this.progressCallback) {
             this.progressCallback({
-              status: 'complete',
-              message: '로드할 단어가 없습니다.',
-              progress: 100
+              status: wordCount > 0 ? 'complete' : 'error',
+              message: wordCount > 0 ?
+                `${wordCount}/${totalCount}개 단어 사용 가능 (다음 실행 시 이어받기)` :
+                '단어를 불러오지 못했습니다. 다음 실행 시 다시 시도합니다.',
+              progress: wordCount > 0 ? 100 : 0,
+              loaded: wordCount,
+              total: totalCount,
+              interrupted: true
             });
           }
-          return false;
+          
+          return wordCount > 0;
         }
         
-        // 가져온 데이터를 IndexedDB에 저장
-        const transformedRecords = this.transformRecords(allRecords, contentId);
-        const saveResult = await this.storeWordsToDb(transformedRecords);
+        // 다운로드 완료: 체크포인트 제거 후 마지막 로드 시간 저장
+        // (다운로드 중 수정된 레코드는 다음 변경분 동기화에서 반영)
+        if (typeof window.updateDownloadProgress === 'function') {
+          window.updateDownloadProgress(100);
+        }
         
-        // 마지막 로드 시간 저장
+        await this.clearDownloadCheckpoint();
         await this.dbManager.saveSetting('lastLoadTime', Date.now());
+        await this.dbManager.saveSetting('lastSyncTime', downloadStartedAt);
         await this.dbManager.saveSetting('lastLoadedContent', contentId);
         
-        // 로드 완료 정보 업데이트
-        this.loadStats.endTime = Date.now();
+        const saveResult = this.loadStats.loadedRecords > 0;
         
         // 다운로드 오버레이 숨기기
         if (typeof window.hideDownloadOverlay === 'function') {
           const downloadText = document.querySelector('#downloadOverlay .download-text');
           if (downloadText) {
-            downloadText.textContent = `${transformedRecords.length}개 단어 저장 완료!`;
+            downloadText.textContent = `${this.loadStats.loadedRecords}개 단어 저장 완료!`;
           }
           
           setTimeout(() => {
@@ -490,9 +800,9 @@ class ContentAwareDataLoader {
         if (this.progressCallback) {
           this.progressCallback({
             status: 'complete',
-            message: `${transformedRecords.length}개 단어 로드 완료`,
+            message: `${this.loadStats.loadedRecords}개 단어 로드 완료`,
             progress: 100,
-            loaded: transformedRecords.length,
+            loaded: this.loadStats.loadedRecords,
             total: totalCount,
             duration: this.loadStats.endTime - this.loadStats.startTime
           });
@@ -574,11 +884,12 @@ class ContentAwareDataLoader {
   }
 
   /**
-   * API URL 구성 (필터 없이)
+   * API URL 구성
    * @param {string} offset - 다음 페이지 오프셋
+   * @param {string} [filterFormula] - filterByFormula (변경분 동기화 시)
    * @returns {string} API URL
    */
-  buildApiUrl(offset) {
+  buildApiUrl(offset, filterFormula = null) {
     try {
       // 필수 정보 확인
       if (!this.airtableManager || !this.airtableManager.contentsBaseUrl || !this.airtableManager.wordTable) {
@@ -601,6 +912,11 @@ class ContentAwareDataLoader {
         params.append('offset', offset);
       }
       
+      // 필터 조건이 있으면 추가
+      if (filterFormula) {
+        params.append('filterByFormula', filterFormula);
+      }
+      
       // API 키 확인 로깅 (프록시 사용 시에는 불필요)
       if (!this.isNetlifyEnvironment) {
         console.log(`[API URL 구성] API 키 확인: ${this.airtableManager.apiKey ? '설정됨' : '없음'}`);
@@ -619,12 +935,17 @@ class ContentAwareDataLoader {
   }
 
   /**
-   * 레코드 변환
+   * 레코드 변환 (ContentSources가 있으면 소스 공통 변환 사용)
    * @param {Array} records - Airtable API 응답 레코드
    * @param {string} contentId - 콘텐츠 ID
    * @returns {Array} 변환된 레코드
    */
   transformRecords(records, contentId) {
+    if (window.ContentSources) {
+      return window.ContentSources.normalizeRecords(records, contentId ||
+        (this.dbManager.getCurrentContentId ? this.dbManager.getCurrentContentId() : 'default'));
+    }
+    
     // 현재 시간 (한국 시간)
     const now = new Date().toISOString();
     
@@ -647,6 +968,9 @@ class ContentAwareDataLoader {
         const word = record.fields.word || '';
         const meaning = record.fields.meaning || '';
         const pronunciation = record.fields.pronunciation || '';
+        // 발음 오디오 (에어테이블 첨부파일의 첫 번째 URL)
+        const audio = Array.isArray(record.fields.audio) && record.fields.audio.length > 0 ?
+          record.fields.audio[0].url || '' : '';
         const vipup = (record.fields.vipup && record.fields.vipup !== 'KBsbCRkz') ? record.fields.vipup : '';
         const no = record.fields.No || 0;
 
@@ -681,6 +1005,7 @@ class ContentAwareDataLoader {
           word,
           meaning,
           pronunciation,
+          audio,
           vipup: encryptedVipup,  // 암호화된 vipup 저장
           No: no,
           content: currentContent,
@@ -757,11 +1082,21 @@ class ContentAwareDataLoader {
   }
 
   /**
-   * 총 단어 수 가져오기 (필터링 없이 전체)
+   * 총 단어 수 가져오기 (현재 콘텐츠 소스 기준)
    * @param {string} contentId - 콘텐츠 ID (선택적)
    * @returns {Promise<number>} 총 단어 수
    */
   async getTotalWordCount(contentId) {
+    const source = await this.getSource(contentId || this.dbManager.currentContent || 'default');
+    return source.count();
+  }
+
+  /**
+   * 에어테이블 총 단어 수 가져오기 (필터링 없이 전체)
+   * @param {string} contentId - 콘텐츠 ID (선택적)
+   * @returns {Promise<number>} 총 단어 수
+   */
+  async getAirtableWordCount(contentId) {
     try {
       // 로컬 저장소에서 기본값 확인
       const totalWordsElement = document.getElementById('totalWords');
@@ -987,5 +1322,14 @@ class ContentAwareDataLoader {
   }
 }
 
+// 변경분 동기화 시 에어테이블 값으로 덮어쓰는 콘텐츠 필드 (학습 진도 필드는 제외)
+ContentAwareDataLoader.CONTENT_FIELDS = ['airtableId', 'word', 'meaning', 'pronunciation', 'audio', 'vipup', 'No', 'content'];
+
+// 오디오 URL을 새로 받을 때 한 번에 조회하는 레코드 수 (filterByFormula 길이 제한)
+ContentAwareDataLoader.AUDIO_REFRESH_CHUNK = 50;
+
+// 중단된 전체 다운로드를 이어받기 위한 체크포인트 설정 키
+ContentAwareDataLoader.DOWNLOAD_CHECKPOINT_KEY = 'downloadCheckpoint';
+
 // 전역 범위에 클래스 노출
 window.ContentAwareDataLoader = ContentAwareDataLoader;
\ No newline at end of file
@@ -311,10 +311,20 @@ window.ContentBasedDBManagerPromise = window.ContentBasedDBManagerPromise || new
 
         /**
          * 기존 DB 열기 헬퍼 메서드
+         * 현재 DB_VERSION으로 열어 새로 추가된 스토어가 있으면 업그레이드
          */
         async openExistingDB(dbName) {
           return new Promise((resolve, reject) => {
-            const request = indexedDB.open(dbName);
+            const request = indexedDB.open(dbName, this.DB_VERSION);
+            
+            request.onupgradeneeded = (event) => {
+              console.log(`[ContentBasedDB] 기존 DB 업그레이드: ${dbName} (v${event.oldVersion} → v${this.DB_VERSION})`);
+              this._upgradeDatabase(event.target.result, event.target.transaction);
+            };
+            
+            request.onblocked = () => {
+              console.warn('[ContentBasedDB] DB 업그레이드가 차단됨 (다른 탭에서 사용 중)');
+            };
             
             request.onsuccess = (event) => {
               const db = event.target.result;
@@ -343,6 +353,8 @@ window.ContentBasedDBManagerPromise = window.ContentBasedDBManagerPromise || new
             // 1. 현재 DB 연결 닫기
             if (this.db && this.db.readyState !== 'closed') {
               this.db.close();
+              // close()는 onclose를 발생시키지 않으므로 직접 비워야 setDatabaseName이 통과함
+              this.db = null;
               
               // 전역 연결에서도 제거
               if (window._dbConnections && window._dbConnections[this.DB_NAME]) {
@@ -461,8 +473,11 @@ window.ContentBasedDBManagerPromise = window.ContentBasedDBManagerPromise || new
                     const cursorValue = cursor.value[key];
                     
                     if (filterValue !== null && filterValue !== undefined) {
-                      // 문자열 타입 필드는 문자열로 비교
-                      if (['known_2', 'status', 'isStudied', 'content'].includes(key)) {
+                      // 연산자 조건 ($gte, $lt, $in 등)
+                      if (typeof filterValue === 'object') {
+                        match = this.matchesOperators(cursorValue, filterValue);
+                      } else if (['known_2', 'status', 'isStudied', 'content'].includes(key)) {
+                        // 문자열 타입 필드는 문자열로 비교
                         match = String(cursorValue) === String(filterValue);
                       } else {
                         match = cursorValue === filterValue;
@@ -699,9 +714,8 @@ window.ContentBasedDBManagerPromise = window.ContentBasedDBManagerPromise || new
             // 고난도 단어 수 (isStudied = "1", difficult > 2)
             const difficultWords = await this.getDifficultWordCount();
             
-            // 오늘 기준 하루 전 장기기억 단어 수
-            const oneDayAgo = this.getTodayISOString();
-            const longTermBeforeToday = await this.getLongTermCountBeforeDate(oneDayAgo);
+            // 오늘 복습할 장기기억 단어 수 (복습 예정일 기준)
+            const longTermBeforeToday = await this.getDueWordCount({ isStudied: "1", known_2: "2" });
             
             // 남은 단어 수
             const remainingWords = totalWords - studiedWords;
@@ -834,6 +848,16 @@ window.ContentBasedDBManagerPromise = window.ContentBasedDBManagerPromise || new
           return savedCount;
         }
 
+        /** 단어 + 설정 함께 저장 (content 필드 자동 추가) */
+        async saveWordsWithSetting(words, key, value) {
+          const wordsWithContent = (words || []).map(word => ({
+            ...word,
+            content: this.currentContent
+          }));
+          
+          return await super.saveWordsWithSetting(wordsWithContent, key, value);
+        }
+
         /** 단어 추가 (content 필드 자동 추가) */
         async addWord(word) {
           if (!word || !word._id) {
@@ -1,7 +1,9 @@
 /**
  * content-selector.js - 콘텐츠 선택 및 관리 UI 모듈
  * 콘텐츠 전환 인터페이스 및 콘텐츠별 데이터 관리 기능 제공
- * 버전: 1.0.0
+ * 내 단어장(붙여넣은 텍스트, CSV, JSON) 만들기는 LocalWordList 사용
+ * 새 콘텐츠의 단어 소스(에어테이블, JSON 주소, CSV 주소)는 ContentSources에 기록
+ * 버전: 1.2.0
  */
 
 class ContentSelector {
@@ -147,6 +149,16 @@ class ContentSelector {
       }
     });
     
+    // 새 콘텐츠 단어 소스 선택
+    if (window.ContentSources) {
+      this.createSourceInputs(container);
+    }
+    
+    // 내 단어장 만들기
+    if (window.LocalWordList) {
+      this.createLocalListForm(container);
+    }
+    
     // 문서에 추가
     document.body.appendChild(container);
     
@@ -154,6 +166,198 @@ class ContentSelector {
     this.createSelectorButton();
   }
   
+  /**
+   * 새 콘텐츠 단어 소스 입력 영역 생성 (종류 + JSON/CSV 주소)
+   * @param {HTMLElement} container - 콘텐츠 선택기 컨테이너
+   */
+  createSourceInputs(container) {
+    const sourceContainer = document.createElement('div');
+    sourceContainer.style.display = 'flex';
+    sourceContainer.style.marginBottom = '12px';
+    container.appendChild(sourceContainer);
+    
+    const typeSelect = document.createElement('select');
+    typeSelect.id = 'new-content-source';
+    typeSelect.style.border = '1px solid #D1D5DB';
+    typeSelect.style.borderRadius = '4px';
+    typeSelect.style.padding = '8px';
+    typeSelect.style.fontSize = '13px';
+    [['airtable', '에어테이블'], ['json', 'JSON 주소'], ['csv', 'CSV 주소']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      typeSelect.appendChild(option);
+    });
+    sourceContainer.appendChild(typeSelect);
+    
+    const urlInput = document.createElement('input');
+    urlInput.id = 'new-content-url';
+    urlInput.type = 'url';
+    urlInput.placeholder = 'https://... (단어 파일 주소)';
+    urlInput.style.flex = '1';
+    urlInput.style.minWidth = '0';
+    urlInput.style.marginLeft = '8px';
+    urlInput.style.border = '1px solid #D1D5DB';
+    urlInput.style.borderRadius = '4px';
+    urlInput.style.padding = '8px 12px';
+    urlInput.style.fontSize = '13px';
+    urlInput.style.display = 'none';
+    sourceContainer.appendChild(urlInput);
+    
+    // 에어테이블은 주소가 필요 없음
+    typeSelect.addEventListener('change', () => {
+      urlInput.style.display = typeSelect.value === 'airtable' ? 'none' : 'block';
+    });
+  }
+  
+  /**
+   * 내 단어장 만들기 입력 영역 생성
+   * @param {HTMLElement} container - 콘텐츠 선택기 컨테이너
+   */
+  createLocalListForm(container) {
+    // 열기/닫기 버튼
+    const toggleButton = document.createElement('button');
+    toggleButton.textContent = '+ 내 단어장 만들기';
+    toggleButton.style.width = '100%';
+    toggleButton.style.backgroundColor = '#FFFFFF';
+    toggleButton.style.color = '#4F46E5';
+    toggleButton.style.border = '1px dashed #4F46E5';
+    toggleButton.style.borderRadius = '4px';
+    toggleButton.style.padding = '8px 12px';
+    toggleButton.style.fontSize = '14px';
+    toggleButton.style.cursor = 'pointer';
+    container.appendChild(toggleButton);
+    
+    const form = document.createElement('div');
+    form.id = 'local-list-form';
+    form.style.display = 'none';
+    form.style.marginTop = '8px';
+    container.appendChild(form);
+    
+    toggleButton.onclick = () => {
+      form.style.display = form.style.display === 'none' ? 'block' : 'none';
+    };
+    
+    // 단어장 이름
+    const nameInput = document.createElement('input');
+    nameInput.id = 'local-list-name';
+    nameInput.type = 'text';
+    nameInput.placeholder = '단어장 이름';
+    nameInput.style.width = '100%';
+    nameInput.style.boxSizing = 'border-box';
+    nameInput.style.border = '1px solid #D1D5DB';
+    nameInput.style.borderRadius = '4px';
+    nameInput.style.padding = '8px 12px';
+    nameInput.style.fontSize = '14px';
+    nameInput.style.marginBottom = '8px';
+    form.appendChild(nameInput);
+    
+    // 붙여넣기 입력
+    const textArea = document.createElement('textarea');
+    textArea.id = 'local-list-text';
+    textArea.rows = 6;
+    textArea.placeholder = '한 줄에 한 단어\napple\t사과\nbanana - 바나나';
+    textArea.style.width = '100%';
+    textArea.style.boxSizing = 'border-box';
+    textArea.style.border = '1px solid #D1D5DB';
+    textArea.style.borderRadius = '4px';
+    textArea.style.padding = '8px 12px';
+    textArea.style.fontSize = '13px';
+    textArea.style.marginBottom = '8px';
+    textArea.style.resize = 'vertical';
+    form.appendChild(textArea);
+    
+    // 파일 입력 (CSV, JSON, 텍스트)
+    const fileInput = document.createElement('input');
+    fileInput.id = 'local-list-file';
+    fileInput.type = 'file';
+    fileInput.accept = '.csv,.json,.txt,.tsv';
+    fileInput.style.width = '100%';
+    fileInput.style.fontSize = '12px';
+    fileInput.style.marginBottom = '8px';
+    form.appendChild(fileInput);
+    
+    const message = document.createElement('div');
+    message.id = 'local-list-message';
+    message.style.fontSize = '12px';
+    message.style.color = '#EF4444';
+    message.style.minHeight = '16px';
+    message.style.marginBottom = '8px';
+    form.appendChild(message);
+    
+    const createButton = document.createElement('button');
+    createButton.textContent = '단어장 만들기';
+    createButton.style.width = '100%';
+    createButton.style.backgroundColor = '#4F46E5';
+    createButton.style.color = '#FFFFFF';
+    createButton.style.border = 'none';
+    createButton.style.borderRadius = '4px';
+    createButton.style.padding = '8px 12px';
+    createButton.style.fontSize = '14px';
+    createButton.style.cursor = 'pointer';
+    createButton.onclick = async () => {
+      createButton.disabled = true;
+      try {
+        await this.createLocalList();
+      } finally {
+        createButton.disabled = false;
+      }
+    };
+    form.appendChild(createButton);
+  }
+  
+  /**
+   * 입력한 내용으로 내 단어장 만들기
+   */
+  async createLocalList() {
+    const nameInput = document.getElementById('local-list-name');
+    const textArea = document.getElementById('local-list-text');
+    const fileInput = document.getElementById('local-list-file');
+    const message = document.getElementById('local-list-message');
+    
+    const content = nameInput.value.trim();
+    if (!content) {
+      message.textContent = '단어장 이름을 입력해 주세요.';
+      return;
+    }
+    if (this.contentList.includes(content)) {
+      message.textContent = '이미 존재하는 콘텐츠입니다.';
+      return;
+    }
+    
+    try {
+      // 파일을 골랐으면 파일, 아니면 붙여넣은 텍스트
+      const file = fileInput.files && fileInput.files[0];
+      const entries = file ?
+        window.LocalWordList.parse(await file.text(), window.LocalWordList.getFileType(file.name)) :
+        window.LocalWordList.parse(textArea.value, 'text');
+      
+      if (entries.length === 0) {
+        message.textContent = '단어와 뜻을 읽지 못했습니다. 형식을 확인해 주세요.';
+        return;
+      }
+      
+      const count = await window.LocalWordList.createList(content, entries);
+      
+      // 콘텐츠 목록에 추가
+      this.contentList.push(content);
+      await this.saveContentList(this.contentList);
+      this.renderContentList();
+      
+      nameInput.value = '';
+      textArea.value = '';
+      fileInput.value = '';
+      message.textContent = '';
+      
+      if (confirm(`단어 ${count}개로 '${content}' 단어장을 만들었습니다. 지금 전환하시겠습니까?`)) {
+        await this.switchContent(content);
+      }
+    } catch (error) {
+      console.error('내 단어장 만들기 오류:', error);
+      message.textContent = `단어장을 만들지 못했습니다: ${error.message}`;
+    }
+  }
+  
   /**
    * 콘텐츠 선택기 버튼 생성
    */
@@ -316,9 +520,17 @@ class ContentSelector {
         item.style.backgroundColor = content === this.currentContent ? '#EEF2FF' : '';
       });
       
-      // 콘텐츠 이름
+      // 콘텐츠 이름 (에어테이블이 아닌 소스는 표시)
       const name = document.createElement('div');
-      name.textContent = content;
+      const isLocalList = window.LocalWordList && window.LocalWordList.getListNames().includes(content);
+      const sourceType = window.ContentSources ? window.ContentSources.getSourceType(content) : 'airtable';
+      if (isLocalList) {
+        name.textContent = `${content} (내 단어장)`;
+      } else if (sourceType !== 'airtable') {
+        name.textContent = `${content} (${window.ContentSources.getSourceLabel(content)})`;
+      } else {
+        name.textContent = content;
+      }
       name.style.fontSize = '14px';
       name.style.cursor = 'pointer';
       name.style.flex = '1';
@@ -378,7 +590,30 @@ class ContentSelector {
       return;
     }
     
+    // 단어 소스 (JSON/CSV는 주소 필요)
+    const typeSelect = document.getElementById('new-content-source');
+    const urlInput = document.getElementById('new-content-url');
+    const sourceType = typeSelect ? typeSelect.value : 'airtable';
+    let sourceUrl = '';
+    
+    if (window.ContentSources && window.ContentSources.URL_TYPES.includes(sourceType)) {
+      sourceUrl = window.ContentSources.normalizeUrl(urlInput ? urlInput.value : '');
+      if (!sourceUrl) {
+        alert('단어 파일 주소(http/https)를 입력해 주세요.');
+        return;
+      }
+    }
+    
     try {
+      // 단어 소스 기록 (에어테이블은 기본값이므로 종류만 기억)
+      if (window.ContentSources) {
+        if (sourceType === 'airtable') {
+          window.ContentSources.rememberSource(content, sourceType);
+        } else if (!(await window.ContentSources.saveConfig(content, { type: sourceType, url: sourceUrl }))) {
+          throw new Error('콘텐츠 소스 저장 실패');
+        }
+      }
+      
       // 콘텐츠 목록에 추가
       this.contentList.push(content);
       await this.saveContentList(this.contentList);
@@ -388,6 +623,7 @@ class ContentSelector {
       
       // 입력 필드 초기화
       input.value = '';
+      if (urlInput) urlInput.value = '';
       
       // 새 콘텐츠로 전환 여부 확인
       if (confirm(`새 콘텐츠 '${content}'로 전환하시겠습니까?`)) {
@@ -474,8 +710,11 @@ class ContentSelector {
           }
         });
         
-        // 페이지 리로드 안내
-        if (confirm(`콘텐츠 전환이 완료되었습니다. 변경사항을 적용하려면 페이지를 다시 로드해야 합니다. 지금 다시 로드하시겠습니까?`)) {
+        // 콘텐츠 초기화기가 있으면 다시 로드하지 않고 바로 적용, 없으면 페이지 리로드 안내
+        if (window.contentAppInitializer && typeof window.contentAppInitializer.switchToContent === 'function') {
+          await window.contentAppInitializer.switchToContent(content);
+          this.hide();
+        } else if (confirm(`콘텐츠 전환이 완료되었습니다. 변경사항을 적용하려면 페이지를 다시 로드해야 합니다. 지금 다시 로드하시겠습니까?`)) {
           window.location.reload();
         }
       } else {
@@ -629,8 +868,8 @@ class ContentSelector {
   }
 }
 
-// 페이지 로드 시 자동 초기화
-document.addEventListener('DOMContentLoaded', () => {
+// 페이지 로드 시 자동 초기화 (로더가 DOMContentLoaded 이후에 불러와도 동작)
+function initContentSelector() {
   // 앱 초기화 완료 후 콘텐츠 선택기 초기화
   const initInterval = setInterval(() => {
     if (window.app && window.app.dbManager) {
@@ -652,4 +891,10 @@ document.addEventListener('DOMContentLoaded', () => {
       clearInterval(initInterval);
     }
   }, 500);
-});
\ No newline at end of file
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initContentSelector);
+} else {
+  initContentSelector();
+}
\ No newline at end of file
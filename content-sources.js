@@ -0,0 +1,502 @@
+/**
+ * content-sources.js - 콘텐츠 원본(소스) 어댑터
+ * 단어를 어디서 받아 오는지 콘텐츠마다 정하고, 데이터 로더는 같은 방식으로 사용
+ * - 소스: count() → 전체 단어 수, page({ offset, formula }) → { records, offset }, getById(id) → 단어 레코드
+ *   page가 돌려주는 records는 normalizeRecords로 바꾼 단어 레코드 (offset이 null이면 마지막 페이지)
+ * - airtable: 에어테이블 API (기본값, 데이터 로더의 프록시/인증 처리 사용)
+ *   json: 정적 JSON 스냅샷 주소 (단어 배열, { records: [...] } 또는 { words: [...] })
+ *   csv: CSV 파일 주소 (머리글 규칙은 LocalWordList와 같음)
+ *   JSON/CSV 단어 ID는 id 필드(열)를 쓰고, 없으면 단어로 만듦 (같은 단어가 겹치면 파일을 받지 않음)
+ *   local: 내 단어장 (저장된 단어만 사용, LocalWordList가 만듦)
+ * - 설정은 콘텐츠 DB의 contentSource = { type, url }, 없으면 airtable
+ * - 에어테이블 API가 아닌 소스(JSON/CSV)의 값은 레코드 모양과 상관없이 받을 때 정리 (단어/뜻/발음은 태그 제거, VipUp은 허용한 태그만)
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.ContentSources) {
+    console.log('ContentSources가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  window.ContentSources = {
+    SETTING_KEY: 'contentSource',
+    DEFAULT_TYPE: 'airtable',
+
+    // 콘텐츠별 소스 종류 (콘텐츠 선택기 표시용)
+    STORAGE_KEY: 'content_source_map',
+
+    // 소스 종류 표시 이름
+    LABELS: {
+      airtable: '에어테이블',
+      json: 'JSON',
+      csv: 'CSV',
+      local: '내 단어장'
+    },
+
+    // 주소로 받아 오는 소스
+    URL_TYPES: ['json', 'csv'],
+
+    // 에어테이블에 원본이 없는 단어 ID에 붙이는 접두어 (접두어 + 단어)
+    ID_PREFIXES: {
+      json: 'json_',
+      csv: 'csv_'
+    },
+
+    /**
+     * 에어테이블 레코드 ID인지 (진도 동기화 대상 여부)
+     * @param {string} wordId - 단어 ID
+     * @returns {boolean} 에어테이블 레코드 ID 여부
+     */
+    isAirtableWordId(wordId) {
+      return typeof wordId === 'string' && /^rec[A-Za-z0-9]+$/.test(wordId);
+    },
+
+    /**
+     * 현재 콘텐츠 DB의 소스 설정
+     * @param {Object} dbManager - IndexedDBManager
+     * @returns {Promise<Object>} { type, url } (없으면 airtable)
+     */
+    async getConfig(dbManager) {
+      try {
+        const config = await dbManager.getSetting(this.SETTING_KEY);
+        return config && this.LABELS[config.type] ? config : { type: this.DEFAULT_TYPE };
+      } catch (error) {
+        console.warn('콘텐츠 소스 설정 읽기 오류:', error);
+        return { type: this.DEFAULT_TYPE };
+      }
+    },
+
+    /**
+     * 새 콘텐츠의 소스 설정 저장 (현재 콘텐츠 연결은 그대로 두고 그 콘텐츠 DB를 따로 열어 저장)
+     * @param {string} contentId - 콘텐츠 ID
+     * @param {Object} config - { type, url }
+     * @returns {Promise<boolean>} 저장 성공 여부
+     */
+    async saveConfig(contentId, config) {
+      if (!window.ContentBasedDBManager || !window.IndexedDBManager) return false;
+
+      const dbName = `WordsDB_${window.ContentBasedDBManager.sanitizeContentId(contentId)}`;
+      const sourceDb = new window.IndexedDBManager(dbName);
+
+      try {
+        await sourceDb.initDatabase();
+        await sourceDb.saveSetting(this.SETTING_KEY, {
+          type: config.type,
+          url: config.url || '',
+          createdAt: new Date().toISOString()
+        });
+        this.rememberSource(contentId, config.type);
+        return true;
+      } catch (error) {
+        console.error('콘텐츠 소스 설정 저장 오류:', error);
+        return false;
+      } finally {
+        // 콘텐츠를 전환할 때 ContentBasedDBManager가 같은 DB를 열 수 있도록 연결 닫기
+        if (sourceDb.db) sourceDb.db.close();
+      }
+    },
+
+    /**
+     * 주소 확인 (http/https만 허용)
+     * @param {string} url - 소스 주소
+     * @returns {string|null} 절대 주소 (잘못된 주소면 null)
+     */
+    normalizeUrl(url) {
+      try {
+        const parsed = new URL(String(url || '').trim(), window.location.href);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /**
+     * 콘텐츠 소스 종류 기억
+     * @param {string} contentId - 콘텐츠 ID
+     * @param {string} type - 소스 종류
+     */
+    rememberSource(contentId, type) {
+      try {
+        const map = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+        map[contentId] = type;
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(map));
+      } catch (error) {
+        console.warn('콘텐츠 소스 기록 오류:', error);
+      }
+    },
+
+    /**
+     * 기억한 콘텐츠 소스 종류
+     * @param {string} contentId - 콘텐츠 ID
+     * @returns {string} 소스 종류 (기록이 없으면 airtable)
+     */
+    getSourceType(contentId) {
+      try {
+        const map = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+        return this.LABELS[map[contentId]] ? map[contentId] : this.DEFAULT_TYPE;
+      } catch (error) {
+        return this.DEFAULT_TYPE;
+      }
+    },
+
+    /**
+     * 콘텐츠 소스 표시 이름
+     * @param {string} contentId - 콘텐츠 ID
+     * @returns {string} 표시 이름
+     */
+    getSourceLabel(contentId) {
+      return this.LABELS[this.getSourceType(contentId)];
+    },
+
+    // 주소 소스의 VipUp에서 남기는 태그 (속성은 모두 제거, 그 외 태그는 내용만 남김)
+    ALLOWED_TAGS: ['b', 'strong', 'i', 'em', 'u', 'br', 'p', 'div', 'span', 'ul', 'ol', 'li', 'sup', 'sub', 'small', 'mark'],
+
+    // 내용까지 통째로 버리는 태그
+    DROPPED_TAGS: ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math', 'link', 'meta', 'base', 'form'],
+
+    /**
+     * 일반 텍스트로 (태그를 벗기고 남은 꺾쇠도 제거)
+     * 단어/뜻/발음은 화면에서 HTML로 넣는 곳이 있으므로 주소 소스 값은 받을 때 정리
+     * @param {*} value - 원본 값
+     * @returns {string} 텍스트
+     */
+    toPlainText(value) {
+      const parsed = new DOMParser().parseFromString(String(value || ''), 'text/html');
+      return (parsed.body.textContent || '').replace(/[<>]/g, '').trim();
+    },
+
+    /**
+     * VipUp HTML 정리 (허용한 태그만 속성 없이 남김)
+     * @param {string} html - 원본 HTML
+     * @returns {string} 정리된 HTML
+     */
+    sanitizeHtml(html) {
+      const parsed = new DOMParser().parseFromString(String(html || ''), 'text/html');
+
+      const clean = (parent) => {
+        Array.from(parent.children).forEach(element => {
+          const tag = element.tagName.toLowerCase();
+          if (this.DROPPED_TAGS.includes(tag)) {
+            element.remove();
+            return;
+          }
+
+          clean(element);
+          if (this.ALLOWED_TAGS.includes(tag)) {
+            Array.from(element.attributes).forEach(attribute => element.removeAttribute(attribute.name));
+          } else {
+            element.replaceWith(...element.childNodes);
+          }
+        });
+      };
+
+      clean(parsed.body);
+      return parsed.body.innerHTML;
+    },
+
+    /**
+     * 주소 소스 VipUp 정리 (배열이면 항목마다, 객체면 JSON 문자열로)
+     * @param {*} vipup - 원본 VipUp
+     * @returns {*} 정리된 VipUp
+     */
+    sanitizeVipup(vipup) {
+      if (!vipup) return vipup;
+      if (Array.isArray(vipup)) return vipup.map(item => this.sanitizeHtml(item));
+      return this.sanitizeHtml(typeof vipup === 'string' ? vipup : JSON.stringify(vipup));
+    },
+
+    /**
+     * VipUp 값 암호화 (문자열이 아니면 JSON 문자열로 바꿔 암호화)
+     * @param {*} vipup - 원본 VipUp
+     * @returns {string} 저장할 값
+     */
+    encryptVipup(vipup) {
+      if (!vipup || vipup === 'KBsbCRkz') return '';
+
+      const text = typeof vipup === 'string' ? vipup : JSON.stringify(vipup);
+      if (!window.VipUpEncryption || typeof window.VipUpEncryption.encrypt !== 'function') {
+        console.warn('VipUpEncryption을 찾을 수 없습니다. 원본 저장');
+        return text;
+      }
+
+      try {
+        return window.VipUpEncryption.encrypt(text);
+      } catch (error) {
+        console.error('VipUp 암호화 오류:', error);
+        return '';
+      }
+    },
+
+    /**
+     * 단어로 만든 ID 부분 (대소문자, 공백 차이 무시)
+     * @param {*} word - 원본 단어
+     * @returns {string} ID 부분
+     */
+    toWordKey(word) {
+      return this.toPlainText(word).normalize('NFC').toLowerCase().replace(/\s+/g, ' ');
+    },
+
+    /**
+     * 단어 ID 중복 확인 (ID 열이 없고 같은 단어가 두 번 나오면 어느 쪽 진도인지 정할 수 없음)
+     * @param {Array} records - 단어 레코드
+     * @throws {Error} ID가 겹치는 단어가 있으면
+     */
+    assertUniqueIds(records) {
+      const seen = new Set();
+      records.forEach(record => {
+        if (seen.has(record._id)) {
+          throw new Error(`단어 ID가 겹칩니다 (${record._id}). 같은 단어가 여러 번 있으면 id 열을 넣어 주세요`);
+        }
+        seen.add(record._id);
+      });
+    },
+
+    /**
+     * 원본 레코드 하나를 단어 레코드로
+     * 에어테이블 { id, fields } 형식과 필드가 바로 있는 평평한 객체를 모두 받음
+     * @param {Object} record - 원본 레코드
+     * @param {Object} context - { contentId, now, index, sourceType }
+     * @returns {Object|null} 단어 레코드 (단어가 없으면 null)
+     */
+    normalizeRecord(record, context) {
+      const isAirtable = !!(record && record.fields && typeof record.fields === 'object');
+      const fields = isAirtable ? record.fields : (record || {});
+
+      if (!fields.word) {
+        console.warn('필수 필드가 없는 레코드 건너뜀:', record && (record.id || record._id));
+        return null;
+      }
+      if (isAirtable && !record.id) {
+        console.warn('ID가 없는 레코드 건너뜀:', fields.word);
+        return null;
+      }
+
+      // 에어테이블 API가 아닌 소스는 누구나 만들 수 있으므로 레코드 모양과 상관없이 HTML 정리
+      const trusted = context.sourceType === this.DEFAULT_TYPE;
+      const idPrefix = this.ID_PREFIXES[context.sourceType] || '';
+
+      // 평평한 객체는 No가 없으면 순서대로, ID가 없으면 접두어 + 단어
+      // (순서로 ID를 만들면 파일의 줄 순서가 바뀔 때 진도가 다른 단어로 옮겨 감)
+      const no = Number(fields.No) || (isAirtable ? 0 : context.index + 1);
+      const _id = isAirtable ? record.id :
+        String(fields.id || fields._id || fields.airtableId || `${idPrefix}${this.toWordKey(fields.word)}`);
+
+      // 발음 오디오 (에어테이블 첨부파일이면 첫 번째 URL)
+      const audio = Array.isArray(fields.audio) ?
+        (fields.audio.length > 0 ? fields.audio[0].url || '' : '') :
+        String(fields.audio || '');
+
+      const text = value => trusted ? String(value || '').trim() : this.toPlainText(value);
+      const word = text(fields.word);
+      if (!word) {
+        console.warn('단어가 비어 있는 레코드 건너뜀:', _id);
+        return null;
+      }
+
+      return {
+        _id,
+        airtableId: _id,
+        word,
+        meaning: text(fields.meaning),
+        pronunciation: text(fields.pronunciation),
+        audio: trusted || !audio ? audio : (this.normalizeUrl(audio) || ''),
+        vipup: this.encryptVipup(trusted ? fields.vipup : this.sanitizeVipup(fields.vipup)),  // 암호화된 vipup 저장
+        No: no,
+        content: context.contentId,
+        isStudied: "0",
+        known_2: "0",
+        status: "0",
+        difficult: 0,
+        studiedDate: context.now,
+        updatedAt: context.now
+      };
+    },
+
+    /**
+     * 원본 레코드 목록을 단어 레코드로
+     * @param {Array} records - 원본 레코드
+     * @param {string} contentId - 콘텐츠 ID
+     * @param {string} [sourceType] - 소스 종류 (airtable이 아니면 HTML 정리, ID가 없으면 접두어 + 단어)
+     * @returns {Array} 단어 레코드 (변환하지 못한 레코드는 제외)
+     */
+    normalizeRecords(records, contentId, sourceType = this.DEFAULT_TYPE) {
+      const now = new Date().toISOString();
+
+      return (records || []).map((record, index) => {
+        try {
+          return this.normalizeRecord(record, { contentId, now, index, sourceType });
+        } catch (error) {
+          console.error('레코드 변환 오류:', error, record);
+          return null;
+        }
+      }).filter(record => record !== null);
+    },
+
+    /**
+     * 설정에 맞는 소스 만들기
+     * @param {Object} config - getConfig 결과
+     * @param {Object} loader - ContentAwareDataLoader (에어테이블 요청, 페이지 크기)
+     * @param {string} contentId - 콘텐츠 ID
+     * @returns {Object} 소스
+     */
+    create(config, loader, contentId) {
+      switch (config.type) {
+        case 'json':
+        case 'csv':
+          return this.createStaticSource(config, loader, contentId);
+        case 'local':
+          return this.createLocalSource(loader);
+        default:
+          return this.createAirtableSource(loader, contentId);
+      }
+    },
+
+    /**
+     * 에어테이블 소스 (페이지 오프셋과 filterByFormula 지원)
+     * @param {Object} loader - ContentAwareDataLoader
+     * @param {string} contentId - 콘텐츠 ID
+     * @returns {Object} 소스
+     */
+    createAirtableSource(loader, contentId) {
+      const sources = this;
+
+      return {
+        type: 'airtable',
+        supportsFormula: true,
+
+        count() {
+          return loader.getAirtableWordCount(contentId);
+        },
+
+        async page({ offset = null, formula = null } = {}) {
+          const response = await loader.makeApiRequest(loader.buildApiUrl(offset, formula), loader.getAirtableHeaders());
+          if (!response || !Array.isArray(response.records)) {
+            throw new Error('API 응답 형식이 올바르지 않습니다');
+          }
+          return {
+            records: sources.normalizeRecords(response.records, contentId),
+            offset: response.offset || null
+          };
+        },
+
+        async getById(id) {
+          const manager = loader.airtableManager;
+          if (!manager || !manager.contentsBaseUrl || !manager.wordTable) return null;
+
+          const record = await loader.makeApiRequest(
+            `${manager.contentsBaseUrl}/${manager.wordTable}/${encodeURIComponent(id)}`, loader.getAirtableHeaders());
+          return record && record.id ? sources.normalizeRecords([record], contentId)[0] || null : null;
+        }
+      };
+    },
+
+    /**
+     * 주소에서 한 번에 받아 오는 소스 (JSON 스냅샷, CSV)
+     * 필터 수식은 지원하지 않으므로 변경분 동기화 때도 전체를 받아 병합
+     * @param {Object} config - { type, url }
+     * @param {Object} loader - ContentAwareDataLoader (페이지 크기)
+     * @param {string} contentId - 콘텐츠 ID
+     * @returns {Object} 소스
+     */
+    createStaticSource(config, loader, contentId) {
+      const sources = this;
+      let loadPromise = null;
+
+      // 원본은 한 번만 받아 두고 페이지는 잘라서 돌려줌
+      const loadRecords = () => {
+        if (!loadPromise) {
+          loadPromise = sources.fetchStaticRecords(config).then(records => {
+            const words = sources.normalizeRecords(records, contentId, config.type);
+            sources.assertUniqueIds(words);
+            return words;
+          });
+          loadPromise.catch(() => {
+            loadPromise = null;
+          });
+        }
+        return loadPromise;
+      };
+
+      return {
+        type: config.type,
+        supportsFormula: false,
+
+        async count() {
+          return (await loadRecords()).length;
+        },
+
+        async page({ offset = null } = {}) {
+          const records = await loadRecords();
+          const start = Number(offset) || 0;
+          const end = start + loader.pageSize;
+          return {
+            records: records.slice(start, end),
+            offset: end < records.length ? String(end) : null
+          };
+        },
+
+        async getById(id) {
+          return (await loadRecords()).find(record => record._id === id) || null;
+        }
+      };
+    },
+
+    /**
+     * JSON/CSV 주소에서 원본 레코드 받기
+     * @param {Object} config - { type, url }
+     * @returns {Promise<Array>} 원본 레코드 (평평한 객체 또는 에어테이블 형식)
+     */
+    async fetchStaticRecords(config) {
+      const url = this.normalizeUrl(config.url);
+      if (!url) {
+        throw new Error('콘텐츠 소스 주소가 올바르지 않습니다');
+      }
+
+      const response = await fetch(url, { method: 'GET' });
+      if (!response.ok) {
+        throw new Error(`HTTP 오류: ${response.status}`);
+      }
+
+      if (config.type === 'csv') {
+        if (!window.LocalWordList) {
+          throw new Error('CSV를 읽을 수 없습니다 (LocalWordList 없음)');
+        }
+        const text = (await response.text()).replace(/^\uFEFF/, '');
+        return window.LocalWordList.rowsToEntries(window.LocalWordList.parseCsvRows(text));
+      }
+
+      const data = await response.json();
+      if (Array.isArray(data)) return data;
+      if (data && Array.isArray(data.records)) return data.records;
+      if (data && Array.isArray(data.words)) return data.words;
+      throw new Error('JSON 형식이 올바르지 않습니다 (단어 배열이 없음)');
+    },
+
+    /**
+     * 내 단어장 소스 (원본이 이 기기의 DB이므로 받아 올 것이 없음)
+     * @param {Object} loader - ContentAwareDataLoader
+     * @returns {Object} 소스
+     */
+    createLocalSource(loader) {
+      return {
+        type: 'local',
+        supportsFormula: false,
+
+        count() {
+          return loader.dbManager.getWordCount({});
+        },
+
+        async page() {
+          return { records: [], offset: null };
+        },
+
+        getById(id) {
+          return loader.dbManager.getWordById(id);
+        }
+      };
+    }
+  };
+
+  console.log('ContentSources 로드 완료');
+})();
@@ -0,0 +1,205 @@
+/**
+ * custom-study.js - 커스텀 학습 (조건을 골라 복습)
+ * 모드마다 고정된 필터 대신 여러 조건을 조합해 getWords 필터 연산자로 단어를 고름
+ * - 조건: No 범위, 최소 난이도(difficult), 학습일(이후/이전), 구간(known_2), 별표/태그
+ * - 순서: 순서대로(No), 무작위, 어려운 순(difficult 높은 순)
+ * - 학습한 단어(isStudied="1")만 대상, 마지막 조건은 설정 저장소에 저장
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.CustomStudy) {
+    console.log('CustomStudy가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  window.CustomStudy = {
+    SETTING_KEY: 'customStudyOptions',
+
+    // 순서 표시 이름
+    ORDERS: {
+      sequential: '순서대로',
+      random: '무작위',
+      hardest: '어려운 순'
+    },
+
+    DEFAULT_OPTIONS: {
+      noFrom: null,
+      noTo: null,
+      minDifficulty: null,
+      studiedAfter: '',   // YYYY-MM-DD (그날 포함)
+      studiedBefore: '',  // YYYY-MM-DD (그날 포함)
+      bucket: '',         // '' 전체, '0' 암기중, '1' 단기기억, '2' 장기기억
+      starredOnly: false,
+      tag: '',
+      order: 'sequential',
+      count: 20
+    },
+
+    /**
+     * 숫자 입력값 변환 (비어 있거나 숫자가 아니면 null)
+     * @param {*} value - 입력값
+     * @returns {number|null} 숫자
+     */
+    toNumber(value) {
+      if (value === null || value === undefined || String(value).trim() === '') return null;
+      const number = Number(value);
+      return isNaN(number) ? null : number;
+    },
+
+    /**
+     * 조건 정리 (기본값 채우고 형식 맞춤)
+     * @param {Object} options - 조건
+     * @returns {Object} 정리된 조건
+     */
+    normalizeOptions(options = {}) {
+      const merged = { ...this.DEFAULT_OPTIONS, ...options };
+      const count = this.toNumber(merged.count);
+
+      return {
+        noFrom: this.toNumber(merged.noFrom),
+        noTo: this.toNumber(merged.noTo),
+        minDifficulty: this.toNumber(merged.minDifficulty),
+        studiedAfter: String(merged.studiedAfter || ''),
+        studiedBefore: String(merged.studiedBefore || ''),
+        bucket: ['0', '1', '2'].includes(String(merged.bucket)) ? String(merged.bucket) : '',
+        starredOnly: !!merged.starredOnly,
+        tag: String(merged.tag || '').trim(),
+        order: this.ORDERS[merged.order] ? merged.order : 'sequential',
+        count: count && count > 0 ? Math.floor(count) : this.DEFAULT_OPTIONS.count
+      };
+    },
+
+    /**
+     * 조건을 getWords 필터로 변환
+     * @param {Object} options - 조건
+     * @returns {Object} 필터 (연산자 포함)
+     */
+    buildFilter(options) {
+      const normalized = this.normalizeOptions(options);
+      const filter = { isStudied: '1' };
+
+      if (normalized.noFrom !== null || normalized.noTo !== null) {
+        filter.No = {};
+        if (normalized.noFrom !== null) filter.No.$gte = normalized.noFrom;
+        if (normalized.noTo !== null) filter.No.$lte = normalized.noTo;
+      }
+
+      if (normalized.minDifficulty !== null) {
+        filter.difficult = { $gte: normalized.minDifficulty };
+      }
+
+      // studiedDate는 ISO 문자열이므로 날짜 문자열과 그대로 비교
+      if (normalized.studiedAfter || normalized.studiedBefore) {
+        filter.studiedDate = {};
+        if (normalized.studiedAfter) filter.studiedDate.$gte = normalized.studiedAfter;
+        if (normalized.studiedBefore) filter.studiedDate.$lt = window.KoreanTimeUtil.addDays(normalized.studiedBefore, 1);
+      }
+
+      if (normalized.bucket) {
+        filter.known_2 = normalized.bucket;
+      }
+
+      if (normalized.starredOnly) {
+        filter.starred = true;
+      }
+
+      if (normalized.tag) {
+        filter.tags = { $contains: normalized.tag };
+      }
+
+      return filter;
+    },
+
+    /**
+     * 순서 적용
+     * @param {Array} words - 단어 배열
+     * @param {string} order - sequential | random | hardest
+     * @returns {Array} 정렬된 새 배열
+     */
+    sortWords(words, order) {
+      const result = words.slice();
+      const byNo = (a, b) => (Number(a.No) || 0) - (Number(b.No) || 0);
+
+      if (order === 'random') {
+        for (let i = result.length - 1; i > 0; i--) {
+          const j = Math.floor(Math.random() * (i + 1));
+          [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+      }
+
+      if (order === 'hardest') {
+        return result.sort((a, b) => (Number(b.difficult) || 0) - (Number(a.difficult) || 0) || byNo(a, b));
+      }
+
+      return result.sort(byNo);
+    },
+
+    /**
+     * 조건에 맞는 단어 고르기
+     * @param {Object} dbManager - IndexedDBManager
+     * @param {Object} options - 조건
+     * @param {Object} [context] - { direction, excludeIds: Set, limit }
+     * @returns {Promise<Array>} 순서를 적용한 단어 배열 (limit 생략 시 options.count개)
+     */
+    async loadWords(dbManager, options, context = {}) {
+      const normalized = this.normalizeOptions(options);
+      const { direction = 'forward', excludeIds = null } = context;
+      const limit = context.limit !== undefined ? context.limit : normalized.count;
+
+      try {
+        const filter = this.buildFilter(normalized);
+        console.log('[CustomStudy] 필터:', JSON.stringify(filter));
+
+        // 역방향 세션이면 구간 조건을 역방향 진도에 적용
+        const words = typeof dbManager.getWordsByDirection === 'function' ?
+          await dbManager.getWordsByDirection(filter, 0, { direction }) :
+          await dbManager.getWords(filter, 0);
+
+        const candidates = excludeIds ? words.filter(word => !excludeIds.has(word._id)) : words;
+        const sorted = this.sortWords(candidates, normalized.order);
+        return limit > 0 ? sorted.slice(0, limit) : sorted;
+      } catch (error) {
+        console.error('커스텀 학습 단어 조회 오류:', error);
+        return [];
+      }
+    },
+
+    /**
+     * 저장된 조건 읽기
+     * @param {Object} dbManager - IndexedDBManager
+     * @returns {Promise<Object>} 조건
+     */
+    async loadOptions(dbManager) {
+      let saved = null;
+      try {
+        if (dbManager && typeof dbManager.getSetting === 'function') {
+          saved = await dbManager.getSetting(this.SETTING_KEY);
+        }
+      } catch (error) {
+        console.warn('커스텀 학습 조건 읽기 오류:', error);
+      }
+      return this.normalizeOptions(saved || {});
+    },
+
+    /**
+     * 조건 저장
+     * @param {Object} dbManager - IndexedDBManager
+     * @param {Object} options - 조건
+     * @returns {Promise<boolean>} 저장 성공 여부
+     */
+    async saveOptions(dbManager, options) {
+      if (!dbManager || typeof dbManager.saveSetting !== 'function') return false;
+
+      try {
+        return await dbManager.saveSetting(this.SETTING_KEY, this.normalizeOptions(options));
+      } catch (error) {
+        console.error('커스텀 학습 조건 저장 오류:', error);
+        return false;
+      }
+    }
+  };
+
+  console.log('CustomStudy 로드 완료');
+})();
@@ -0,0 +1,188 @@
+/**
+ * daily-goals.js - 오늘의 목표와 연속 학습일
+ * - 목표: 하루 신규 단어 수, 복습 답변 수 (설정 저장소 dailyGoals)
+ * - 진도: 오늘(한국 시간) 답변 기록으로 계산 → 답변을 되돌리면 진도도 함께 줄어듦
+ *   신규 = NEW 모드에서 답한 단어 수, 복습 = 그 외 모드의 답변 수 (다시 나온 카드 제외)
+ * - 학습한 날은 설정 저장소 studyDays에 날짜별로 기록하고, 이어진 날 수로 연속 학습일 계산
+ *   (오늘 아직 학습하지 않았으면 어제까지 이어진 날 수)
+ * - 목표 화면을 열지 않고 앱을 닫은 날도 빠지지 않도록 답변 기록이 있는 날은 학습한 날로 채움
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.DailyGoals) {
+    console.log('DailyGoals가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  window.DailyGoals = {
+    GOALS_KEY: 'dailyGoals',
+    DAYS_KEY: 'studyDays',
+
+    DEFAULT_GOALS: {
+      newWords: 20,
+      reviews: 50
+    },
+
+    // 기록을 남겨 둘 일수
+    KEEP_DAYS: 400,
+
+    /**
+     * 목표 읽기
+     * @param {Object} dbManager - IndexedDBManager
+     * @returns {Promise<Object>} { newWords, reviews }
+     */
+    async loadGoals(dbManager) {
+      let saved = null;
+      try {
+        if (dbManager && typeof dbManager.getSetting === 'function') {
+          saved = await dbManager.getSetting(this.GOALS_KEY);
+        }
+      } catch (error) {
+        console.warn('학습 목표 읽기 오류:', error);
+      }
+      return this.normalizeGoals(saved || {});
+    },
+
+    /**
+     * 목표 정리 (0 이상 정수, 0이면 목표 없음)
+     * @param {Object} goals - 목표
+     * @returns {Object} { newWords, reviews }
+     */
+    normalizeGoals(goals) {
+      const toGoal = (value, fallback) => {
+        const number = Number(value);
+        return value === undefined || value === null || value === '' || isNaN(number) ?
+          fallback : Math.max(0, Math.floor(number));
+      };
+      return {
+        newWords: toGoal(goals.newWords, this.DEFAULT_GOALS.newWords),
+        reviews: toGoal(goals.reviews, this.DEFAULT_GOALS.reviews)
+      };
+    },
+
+    /**
+     * 목표 저장
+     * @param {Object} dbManager - IndexedDBManager
+     * @param {Object} goals - { newWords, reviews }
+     * @returns {Promise<boolean>} 저장 성공 여부
+     */
+    async saveGoals(dbManager, goals) {
+      if (!dbManager || typeof dbManager.saveSetting !== 'function') return false;
+
+      try {
+        return await dbManager.saveSetting(this.GOALS_KEY, this.normalizeGoals(goals));
+      } catch (error) {
+        console.error('학습 목표 저장 오류:', error);
+        return false;
+      }
+    },
+
+    /**
+     * 답변 기록으로 진도 계산
+     * @param {Array} logs - 하루치 답변 기록
+     * @returns {Object} { newWords, reviews }
+     */
+    countProgress(logs) {
+      const newWordIds = new Set();
+      let reviews = 0;
+
+      logs.filter(log => !log.isRepeat).forEach(log => {
+        if (log.mode === 'new') {
+          newWordIds.add(log.wordId);
+        } else {
+          reviews++;
+        }
+      });
+
+      return { newWords: newWordIds.size, reviews };
+    },
+
+    /**
+     * 연속 학습일 (오늘 또는 어제부터 거꾸로 이어진 날 수)
+     * @param {Object} days - { 'YYYY-MM-DD': { studied } }
+     * @param {string} today - 오늘 날짜
+     * @returns {number} 연속 일수
+     */
+    computeStreak(days, today) {
+      const isStudied = day => !!(days[day] && days[day].studied);
+
+      let day = isStudied(today) ? today : window.KoreanTimeUtil.addDays(today, -1);
+      let streak = 0;
+      while (isStudied(day)) {
+        streak++;
+        day = window.KoreanTimeUtil.addDays(day, -1);
+      }
+      return streak;
+    },
+
+    /**
+     * 오늘 진도를 학습일 기록에 반영하고 요약 반환
+     * @param {Object} dbManager - IndexedDBManager
+     * @returns {Promise<Object|null>} { day, goals, progress, goalMet, streak, bestStreak }
+     */
+    async refresh(dbManager) {
+      if (!dbManager || typeof dbManager.getAnswerLogsByDay !== 'function') return null;
+
+      try {
+        const today = window.KoreanTimeUtil.getKoreanDayString();
+        const oldest = window.KoreanTimeUtil.addDays(today, -this.KEEP_DAYS);
+        const [goals, logs, savedDays, logDays] = await Promise.all([
+          this.loadGoals(dbManager),
+          dbManager.getAnswerLogsByDay(today),
+          dbManager.getSetting(this.DAYS_KEY),
+          typeof dbManager.getAnswerLogDays === 'function' ?
+            dbManager.getAnswerLogDays(oldest, window.KoreanTimeUtil.addDays(today, -1)) : []
+        ]);
+
+        const progress = this.countProgress(logs || []);
+        const goalMet = progress.newWords >= goals.newWords && progress.reviews >= goals.reviews;
+        const studied = progress.newWords + progress.reviews > 0;
+
+        const record = { ...((savedDays && savedDays.days) || {}) };
+        const previous = record[today];
+        if (studied) {
+          record[today] = { ...progress, studied, goalMet };
+        } else {
+          delete record[today];
+        }
+
+        // 기록되지 않은 지난 학습일 채우기 (진도는 모르므로 학습 여부만)
+        const missing = logDays.filter(day => !record[day]);
+        missing.forEach(day => {
+          record[day] = { studied: true };
+        });
+
+        // 바뀐 경우에만 저장 (오래된 날짜는 정리)
+        const changed = missing.length > 0 ||
+          JSON.stringify(previous || null) !== JSON.stringify(record[today] || null);
+        const streak = this.computeStreak(record, today);
+        const bestStreak = Math.max(streak, (savedDays && savedDays.bestStreak) || 0);
+
+        if (changed || bestStreak !== ((savedDays && savedDays.bestStreak) || 0)) {
+          Object.keys(record).forEach(day => {
+            if (day < oldest) delete record[day];
+          });
+          await dbManager.saveSetting(this.DAYS_KEY, { days: record, bestStreak });
+        }
+
+        return { day: today, goals, progress, goalMet, streak, bestStreak };
+      } catch (error) {
+        console.error('학습 목표 진도 계산 오류:', error);
+        return null;
+      }
+    },
+
+    /**
+     * 목표 대비 비율 (목표가 0이면 1)
+     * @param {number} value - 진도
+     * @param {number} goal - 목표
+     * @returns {number} 0~1
+     */
+    getRatio(value, goal) {
+      return goal > 0 ? Math.min(1, value / goal) : 1;
+    }
+  };
+
+  console.log('DailyGoals 로드 완료');
+})();
@@ -183,10 +183,10 @@ if (typeof window.DataLoader === 'undefined') {
       // 필터 조건 구성 (contents 파라미터 사용)
       let url = `${baseUrl}/${tableId}?maxRecords=1&sort[0][field]=No&sort[0][direction]=desc`;
       
-      // API 요청
+      // API 요청 (Netlify에서는 프록시 경유)
       const response = await this.networkManager.get(url, {
         'Authorization': `Bearer ${apiKey}`
-      });
+      }, true);
       
       if (!response || !response.records || response.records.length === 0) {
         return 0;
@@ -225,10 +225,10 @@ if (typeof window.DataLoader === 'undefined') {
         url += `&filterByFormula=${formula}`;
       }
       
-      // API 요청
+      // API 요청 (Netlify에서는 프록시 경유)
       const response = await this.networkManager.get(url, {
         'Authorization': `Bearer ${apiKey}`
-      });
+      }, true);
       
       if (!response || !response.records) {
         console.warn('Airtable API 응답이 없거나 records 필드가 없습니다.');
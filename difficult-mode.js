@@ -104,10 +104,37 @@ class DifficultModeManager {
         }
     }
 
+    /**
+     * 에어테이블 GET 요청
+     * @param {string} url - 요청 URL
+     * @param {Object|null} airtableManager - AirtableManager 인스턴스
+     * @param {string|null} apiKey - 직접 요청용 API 키 (개발 환경)
+     * @returns {Promise<Object>} 응답 데이터
+     */
+    async requestAirtable(url, airtableManager, apiKey) {
+        if (airtableManager && (airtableManager.useProxy || !apiKey)) {
+            return airtableManager.makeApiRequest(url);
+        }
+        
+        const response = await fetch(url, {
+            method: "GET",
+            headers: {
+                "Authorization": `Bearer ${apiKey}`,
+                "Accept": "application/json"
+            }
+        });
+        
+        if (!response.ok) {
+            throw new Error(`API 응답 오류: ${response.status}`);
+        }
+        
+        return response.json();
+    }
+
     /**
      * 에어테이블에서 단어 상세 정보 가져오기 (개선된 버전)
      * @param {Array} words - 기본 단어 정보 배열
-     * @param {Object} params - URL 파라미터 또는 API 설정 객체
+     * @param {Object} [params] - URL 파라미터 또는 API 설정 객체 (없으면 AirtableManager 설정 사용)
      * @returns {Promise<Array>} 상세 정보가 추가된 단어 배열
      */
     async loadDetailsFromAirtable(words, params) {
@@ -115,24 +142,34 @@ class DifficultModeManager {
             return [];
         }
         
-        // 파라미터 처리
-        let airtableApiKey, airtableContentsDB, airtableContentsTable;
+        // 파라미터 처리 (API 키는 URL 파라미터로 받지 않음)
+        let airtableApiKey = null, airtableContentsDB, airtableContentsTable;
         
         if (params instanceof URLSearchParams) {
             // URL 파라미터인 경우
-            airtableApiKey = params.get('airtable_apikey');
             airtableContentsDB = params.get('airtable_contents_DB');
             airtableContentsTable = params.get('airtable_contents_table');
-        } else if (typeof params === 'object') {
-            // 설정 객체인 경우
-            airtableApiKey = params.apiKey;
+        } else if (params && typeof params === 'object') {
+            // 설정 객체인 경우 (개발 환경 직접 요청용 apiKey 허용)
+            airtableApiKey = params.apiKey || null;
             airtableContentsDB = params.contentsDB;
             airtableContentsTable = params.contentsTable;
-        } else {
+        } else if (params !== undefined && params !== null) {
             throw new Error('유효하지 않은 파라미터 형식입니다');
         }
         
-        if (!airtableApiKey || !airtableContentsDB || !airtableContentsTable) {
+        // 누락된 설정은 AirtableManager에서 보완 (서버 해석 모드에서는 @contents 별칭)
+        const airtableManager = window.AirtableManager ? window.AirtableManager.getInstance() : null;
+        if (airtableManager) {
+            airtableContentsDB = airtableContentsDB || airtableManager.contentsBaseUrl;
+            airtableContentsTable = airtableContentsTable || airtableManager.wordTable;
+        }
+        
+        if (!airtableContentsDB || !airtableContentsTable) {
+            throw new Error('에어테이블 콘텐츠 정보가 없습니다');
+        }
+        
+        if (!airtableManager && !airtableApiKey) {
             throw new Error('에어테이블 API 정보가 없습니다');
         }
         
@@ -174,38 +211,15 @@ class DifficultModeManager {
                         const detailUrl = `${airtableContentsDB}/${airtableContentsTable}?filterByFormula=${encodedFilter}`;
                         console.log(`요청 URL: ${detailUrl.substring(0, 100)}...`);
                         
-                        // 요청 시도
-                        let detailResponse;
+                        // 요청 시도 (AirtableManager가 있으면 프록시 + 토큰 + 콘텐츠 ID 경로 사용)
+                        let detailData;
                         try {
-                            detailResponse = await fetch(
-                                detailUrl,
-                                { 
-                                    method: "GET",
-                                    headers: { 
-                                        "Authorization": `Bearer ${airtableApiKey}`,
-                                        "Accept": "application/json"
-                                    }
-                                }
-                            );
+                            detailData = await this.requestAirtable(detailUrl, airtableManager, airtableApiKey);
                         } catch (fetchError) {
-                            console.error(`'${word.word}' 페치 오류:`, fetchError);
+                            console.error(`'${word.word}' API 요청 오류:`, fetchError);
                             return word; // 기본 단어 반환
                         }
                         
-                        if (!detailResponse.ok) {
-                            console.error(`'${word.word}' API 응답 오류:`, detailResponse.status);
-                            return word;
-                        }
-                        
-                        // 응답 데이터 파싱
-                        let detailData;
-                        try {
-                            detailData = await detailResponse.json();
-                        } catch (jsonError) {
-                            console.error(`'${word.word}' JSON 파싱 오류:`, jsonError);
-                            return word;
-                        }
-                        
                         if (!detailData.records || !detailData.records.length) {
                             console.log(`'${word.word}' 레코드 없음`);
                             return word;
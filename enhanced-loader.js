@@ -95,33 +95,43 @@ if (!window.app) {
 }
 
 /**
- * API 키 존재 여부 확인 (보안 강화)
+ * URL에서 에어테이블 API 키 제거 (보안 강화)
+ * API 키는 서버 환경변수로만 관리하며, 남아있는 예전 링크의 키는 즉시 주소창/히스토리에서 지움
+ * @returns {boolean} 제거 여부
  */
-function hasApiKeyInUrl() {
+function removeApiKeyFromUrl() {
   try {
-    const params = new URLSearchParams(window.location.search);
-    const urlParams = params.get('urlParams');
+    const url = new URL(window.location.href);
+    let removed = false;
     
+    if (url.searchParams.has('airtable_apikey')) {
+      url.searchParams.delete('airtable_apikey');
+      removed = true;
+    }
+    
+    const urlParams = url.searchParams.get('urlParams');
     if (urlParams) {
       const decodedParams = new URLSearchParams(decodeURIComponent(urlParams));
-      return decodedParams.has('airtable_apikey');
+      if (decodedParams.has('airtable_apikey')) {
+        decodedParams.delete('airtable_apikey');
+        url.searchParams.set('urlParams', decodedParams.toString());
+        removed = true;
+      }
     }
     
-    return params.has('airtable_apikey');
+    if (removed) {
+      window.history.replaceState({}, document.title, url.toString());
+    }
+    return removed;
   } catch (e) {
+    console.error('URL API 키 제거 오류:', e);
     return false;
   }
 }
 
-// 개발 환경에서만 API 키 경고 표시
-if (window.ENV_CONFIG.isDevelopment && hasApiKeyInUrl()) {
-  console.warn('⚠️ 개발 환경: URL에 API 키가 노출되어 있습니다. 프로덕션에서는 제거하세요!');
-}
-
-// Netlify 환경에서 API 키가 있으면 경고
-if (window.ENV_CONFIG.isNetlify && hasApiKeyInUrl()) {
-  console.error('🚨 보안 경고: Netlify 환경에서 API 키가 URL에 노출되어 있습니다!');
-  console.error('URL에서 airtable_apikey 파라미터를 제거하고 환경변수를 사용하세요.');
+if (removeApiKeyFromUrl()) {
+  console.error('🚨 보안 경고: URL의 airtable_apikey 파라미터는 더 이상 사용하지 않으며 주소에서 제거했습니다.');
+  console.error('API 키는 Netlify 환경변수(airtable_key)로, 콘텐츠 DB는 airtable_content_sources로 설정하세요.');
 }
 
 /**
@@ -383,6 +393,9 @@ function parseUrlParams() {
       params.append('type', '1');
     }
     
+    // API 키는 URL로 받지 않음
+    params.delete('airtable_apikey');
+    
     const contents = params.get('contents');
     if (contents) {
       console.log(`URL에서 감지된 콘텐츠: "${contents}"`);
@@ -939,7 +952,23 @@ async function loadCoreScripts() {
       console.log('4단계: 필수 유틸리티 클래스 로드');
       await Promise.all([
         loadScriptOnce('type-settings.js'),
-        loadScriptOnce('word-count-cache.js')
+        loadScriptOnce('word-count-cache.js'),
+        loadScriptOnce('srs-scheduler.js'),
+        loadScriptOnce('typing-grader.js'),
+        loadScriptOnce('card-direction.js'),
+        loadScriptOnce('speech-player.js'),
+        loadScriptOnce('session-store.js'),
+        loadScriptOnce('answer-undo.js'),
+        loadScriptOnce('learning-steps.js'),
+        loadScriptOnce('custom-study.js'),
+        loadScriptOnce('word-notes.js'),
+        loadScriptOnce('daily-goals.js'),
+        loadScriptOnce('exam-planner.js'),
+        loadScriptOnce('file-download.js'),
+        loadScriptOnce('progress-backup.js'),
+        loadScriptOnce('word-export.js'),
+        loadScriptOnce('local-word-list.js'),
+        loadScriptOnce('content-sources.js')
       ]);
       if (window._initStatus && window._initStatus.modules) {
         window._initStatus.modules.utils = true;
@@ -1037,6 +1066,11 @@ async function loadCoreScripts() {
         }
         
         console.log('ContentAppInitializer 초기화 완료');
+        
+        // 스케줄이 없는 학습 단어에 초기 복습 스케줄 적용 (known_2 구간 → 복습 간격)
+        if (window.app && window.app.dbManager && typeof window.app.dbManager.applyInitialSchedules === 'function') {
+          await window.app.dbManager.applyInitialSchedules();
+        }
       } else {
         console.warn('ContentAppInitializer 클래스를 찾을 수 없습니다');
       }
@@ -1053,6 +1087,9 @@ async function loadCoreScripts() {
         loadScriptOnce('direct-data-loader.js', ['content-based-db-manager.js']),
         loadScriptOnce('airtable-adapter.js', ['airtable-manager.js', 'content-based-db-manager.js']),
         loadScriptOnce('difficult-mode.js', ['content-based-db-manager.js']),
+        loadScriptOnce('stats-dashboard.js', ['content-based-db-manager.js', 'srs-scheduler.js']),
+        loadScriptOnce('sync-manager.js', ['airtable-manager.js', 'content-based-db-manager.js']),
+        loadScriptOnce('content-selector.js', ['content-based-db-manager.js']),
         loadScriptOnce('UIManager.js')
       ]);
       
@@ -1113,6 +1150,13 @@ async function loadCoreScripts() {
             console.log('지연된 네트워크 매니저 초기화 완료');
           }
           
+          // 학습 진도 동기화 엔진 시작 (이전 세션에서 남은 큐 이어서 처리)
+          if (!window.app.syncManager && typeof SyncManager === 'function') {
+            window.app.syncManager = SyncManager.getInstance();
+            window.app.syncManager.start();
+            console.log('동기화 매니저 초기화 완료');
+          }
+          
           window.app.fullyInitialized = true;
           console.log('✅ 모든 컴포넌트 초기화 완료');
         } catch (error) {
@@ -1361,6 +1405,11 @@ window.addEventListener('online', function() {
   if (window.app && window.app.networkManager) {
     window.app.networkManager.handleNetworkChange({ type: 'online' });
   }
+  
+  // 오프라인 중 쌓인 학습 진도 전송
+  if (window.app && window.app.syncManager) {
+    window.app.syncManager.processQueue();
+  }
 });
 
 window.addEventListener('offline', function() {
@@ -0,0 +1,201 @@
+/**
+ * exam-planner.js - 시험일 학습 계획
+ * 시험일까지 남은 날로 남은 단어와 밀린 복습을 나눠 하루 할당량 계산
+ * - 신규: 아직 학습하지 않은 단어(isStudied="0") ÷ 남은 날
+ * - 복습: 밀린 복습(복습 예정일이 지난 단어)을 최대 BACKLOG_DAYS일 안에 나눠 처리
+ *         + 새로 외운 단어의 복습분(신규 할당량 × REVIEW_PER_NEW)
+ * - 매일 그날 시작 시점의 남은 양으로 다시 계산하므로 학습하지 않은 날이 있으면 할당량이 늘어남
+ *   (밀린 복습은 그날 처음 계산할 때의 값을 계획에 기억해 두고 하루 동안 사용)
+ * - applyToGoals가 켜져 있으면 할당량을 오늘의 목표(DailyGoals)로 사용
+ *   처음 덮어쓸 때 원래 목표를 기억해 두었다가 계획을 지우거나 끄면 되돌림
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.ExamPlanner) {
+    console.log('ExamPlanner가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  window.ExamPlanner = {
+    SETTING_KEY: 'examPlan',
+
+    // 밀린 복습을 나눠 처리할 최대 일수
+    BACKLOG_DAYS: 7,
+
+    // 새로 외운 단어 하나가 하루에 만드는 복습 수 (단기→장기 복습 평균)
+    REVIEW_PER_NEW: 2,
+
+    /**
+     * 저장된 계획 읽기
+     * @param {Object} dbManager - IndexedDBManager
+     * @returns {Promise<Object|null>} { targetDate, startDay, applyToGoals, savedGoals, dayStart } (없으면 null)
+     */
+    async loadPlan(dbManager) {
+      try {
+        if (!dbManager || typeof dbManager.getSetting !== 'function') return null;
+        const plan = await dbManager.getSetting(this.SETTING_KEY);
+        return plan && /^\d{4}-\d{2}-\d{2}$/.test(plan.targetDate) ? plan : null;
+      } catch (error) {
+        console.warn('시험 계획 읽기 오류:', error);
+        return null;
+      }
+    },
+
+    /**
+     * 계획 저장 (targetDate가 없으면 계획 삭제)
+     * 계획을 지우거나 목표 반영을 끄면 덮어쓰기 전의 오늘의 목표로 되돌림
+     * @param {Object} dbManager - IndexedDBManager
+     * @param {Object|null} plan - { targetDate, applyToGoals }
+     * @returns {Promise<boolean>} 저장 성공 여부
+     */
+    async savePlan(dbManager, plan) {
+      if (!dbManager || typeof dbManager.saveSetting !== 'function') return false;
+
+      try {
+        const previous = await this.loadPlan(dbManager);
+        const isCleared = !plan || !/^\d{4}-\d{2}-\d{2}$/.test(plan.targetDate);
+        const applyToGoals = !isCleared && plan.applyToGoals !== false;
+
+        let savedGoals = (previous && previous.savedGoals) || null;
+        if (savedGoals && !applyToGoals) {
+          await window.DailyGoals.saveGoals(dbManager, savedGoals);
+          savedGoals = null;
+        }
+
+        if (isCleared) {
+          return await dbManager.saveSetting(this.SETTING_KEY, null);
+        }
+
+        return await dbManager.saveSetting(this.SETTING_KEY, {
+          targetDate: plan.targetDate,
+          applyToGoals,
+          // 시험일을 바꿔도 놓친 날은 처음 계획한 날부터 셈
+          startDay: (previous && previous.startDay) || window.KoreanTimeUtil.getKoreanDayString(),
+          savedGoals,
+          dayStart: (previous && previous.dayStart) || null
+        });
+      } catch (error) {
+        console.error('시험 계획 저장 오류:', error);
+        return false;
+      }
+    },
+
+    /**
+     * 두 날짜 사이 일수
+     * @param {string} fromDay - YYYY-MM-DD
+     * @param {string} toDay - YYYY-MM-DD
+     * @returns {number} 일수 (toDay가 이전이면 음수)
+     */
+    daysBetween(fromDay, toDay) {
+      return Math.round((Date.parse(`${toDay}T00:00:00Z`) - Date.parse(`${fromDay}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+    },
+
+    /**
+     * 계획을 세운 날부터 어제까지 학습하지 않은 날 수
+     * @param {Object} days - DailyGoals 학습일 기록
+     * @param {string} startDay - 계획 시작일
+     * @param {string} today - 오늘
+     * @returns {number} 놓친 날 수
+     */
+    countMissedDays(days, startDay, today) {
+      let missed = 0;
+      for (let day = startDay; day < today; day = window.KoreanTimeUtil.addDays(day, 1)) {
+        if (!days[day] || !days[day].studied) missed++;
+      }
+      return missed;
+    },
+
+    /**
+     * 오늘의 할당량 계산
+     * @param {Object} dbManager - IndexedDBManager
+     * @returns {Promise<Object|null>} 계획 요약 (계획이 없으면 null)
+     */
+    async getSummary(dbManager) {
+      if (!window.DailyGoals) return null;
+
+      const plan = await this.loadPlan(dbManager);
+      if (!plan) return null;
+
+      try {
+        const today = window.KoreanTimeUtil.getKoreanDayString();
+        const daysLeft = this.daysBetween(today, plan.targetDate);
+
+        const [unstudied, backlog, todayLogs, studyDays] = await Promise.all([
+          dbManager.getWordCount({ isStudied: '0' }),
+          typeof dbManager.getDueWordCount === 'function' ? dbManager.getDueWordCount({ isStudied: '1' }) : 0,
+          dbManager.getAnswerLogsByDay(today),
+          dbManager.getSetting(window.DailyGoals.DAYS_KEY)
+        ]);
+
+        // 그날 시작 시점 기준으로 계산 (하루 동안 할당량이 바뀌지 않게)
+        // 신규는 오늘 배운 만큼 되돌리고, 밀린 복습은 그날 처음 계산한 값을 사용
+        // (오늘 답변을 더하면 예정일이 아니던 단어의 타이핑/4지선다/커스텀 답변이나 오답까지 더해짐)
+        const doneToday = window.DailyGoals.countProgress(todayLogs || []);
+        const remainingNew = unstudied + doneToday.newWords;
+        let remainingBacklog = backlog;
+        if (plan.dayStart && plan.dayStart.day === today) {
+          remainingBacklog = plan.dayStart.backlog;
+        } else {
+          await dbManager.saveSetting(this.SETTING_KEY, { ...plan, dayStart: { day: today, backlog } });
+        }
+
+        // 시험 당일은 학습일에서 제외, 이미 지났거나 당일이면 남은 양을 오늘 모두
+        const studyDaysLeft = Math.max(1, daysLeft);
+        const newPerDay = Math.ceil(remainingNew / studyDaysLeft);
+        const reviewsPerDay = Math.ceil(remainingBacklog / Math.min(studyDaysLeft, this.BACKLOG_DAYS)) +
+          Math.min(newPerDay, remainingNew) * this.REVIEW_PER_NEW;
+
+        return {
+          targetDate: plan.targetDate,
+          applyToGoals: plan.applyToGoals !== false,
+          daysLeft,
+          unstudied,
+          backlog,
+          newPerDay,
+          reviewsPerDay,
+          missedDays: this.countMissedDays((studyDays && studyDays.days) || {}, plan.startDay || today, today)
+        };
+      } catch (error) {
+        console.error('시험 계획 계산 오류:', error);
+        return null;
+      }
+    },
+
+    /**
+     * 할당량을 오늘의 목표로 저장 (applyToGoals가 켜져 있고 값이 바뀐 경우만)
+     * @param {Object} dbManager - IndexedDBManager
+     * @param {Object} summary - getSummary 결과
+     * @returns {Promise<boolean>} 목표를 바꿨는지
+     */
+    async applyToGoals(dbManager, summary) {
+      if (!summary || !summary.applyToGoals || summary.daysLeft < 0) return false;
+
+      const goals = await window.DailyGoals.loadGoals(dbManager);
+      if (goals.newWords === summary.newPerDay && goals.reviews === summary.reviewsPerDay) return false;
+
+      // 처음 덮어쓸 때 원래 목표를 계획에 기억 (계획을 지우면 savePlan이 되돌림)
+      const plan = await this.loadPlan(dbManager);
+      if (plan && !plan.savedGoals) {
+        await dbManager.saveSetting(this.SETTING_KEY, { ...plan, savedGoals: goals });
+      }
+
+      return window.DailyGoals.saveGoals(dbManager, {
+        newWords: summary.newPerDay,
+        reviews: summary.reviewsPerDay
+      });
+    },
+
+    /**
+     * 남은 날 표시 (D-30, D-day, D+2)
+     * @param {number} daysLeft - 남은 일수
+     * @returns {string} 표시 문자열
+     */
+    formatCountdown(daysLeft) {
+      if (daysLeft === 0) return 'D-day';
+      return daysLeft > 0 ? `D-${daysLeft}` : `D+${-daysLeft}`;
+    }
+  };
+
+  console.log('ExamPlanner 로드 완료');
+})();
@@ -0,0 +1,48 @@
+/**
+ * file-download.js - 내보내기 파일 내려받기
+ * 진도 백업(ProgressBackup)과 단어 목록 내보내기(WordExport)가 함께 쓰는 파일 이름 규칙과 Blob 저장
+ * - 파일 이름: 콘텐츠_종류_YYYY-MM-DD.확장자 (한국 날짜, 콘텐츠 이름의 특수문자는 _로)
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.FileDownload) {
+    console.log('FileDownload가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  window.FileDownload = {
+    /**
+     * 파일 이름 만들기
+     * @param {string} contentId - 콘텐츠 ID
+     * @param {string} kind - 파일 종류 (progress, difficult 등)
+     * @param {string} extension - 확장자
+     * @returns {string} 파일 이름
+     */
+    getFileName(contentId, kind, extension) {
+      const day = window.KoreanTimeUtil.getKoreanDayString();
+      const safeContent = String(contentId || 'default').replace(/[^\w가-힣\-]/g, '_');
+      return `${safeContent}_${kind}_${day}.${extension}`;
+    },
+
+    /**
+     * 내용을 파일로 내려받기
+     * @param {string} content - 파일 내용
+     * @param {string} fileName - 파일 이름
+     * @param {string} mimeType - MIME 형식
+     */
+    save(content, fileName, mimeType) {
+      const blob = new Blob([content], { type: mimeType });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+  };
+
+  console.log('FileDownload 로드 완료');
+})();
@@ -8,13 +8,16 @@ if (typeof window.IndexedDBManager === 'undefined') {
     constructor(dbName = null) {  // ⭐ 기본값을 null로 변경
       // DB 이름을 매개변수로 받거나, 없으면 나중에 설정
       this.DB_NAME = dbName;  // ⭐ 고정값 대신 매개변수 사용
-      this.DB_VERSION = 1;
+      this.DB_VERSION = 3;  // 2: answerLog 스토어 추가, 3: answerLog 일자/세션/모드 인덱스
       this.STORES = {
         WORDS: 'words',
         SETTINGS: 'settings',
         SYNC_QUEUE: 'syncQueue',
-        SYNC_LOG: 'syncLog'
+        SYNC_LOG: 'syncLog',
+        ANSWER_LOG: 'answerLog'
       };
+      // 사용자가 직접 붙인 필드 (별표, 메모, 태그) - 콘텐츠를 다시 받아도 유지
+      this.PERSONAL_FIELDS = ['starred', 'note', 'tags'];
       this.db = null;
       
       // 한국 시간대 추가
@@ -78,52 +81,7 @@ if (typeof window.IndexedDBManager === 'undefined') {
           
           // 업그레이드 필요시 (첫 생성 또는 버전 변경)
           request.onupgradeneeded = (event) => {
-            console.log(`[IndexedDB] 데이터베이스 업그레이드: ${this.DB_NAME}`);
-            const db = event.target.result;
-            
-            // words 스토어 생성
-            if (!db.objectStoreNames.contains(this.STORES.WORDS)) {
-              console.log('[IndexedDB] words 스토어 생성');
-              const wordStore = db.createObjectStore(this.STORES.WORDS, { keyPath: '_id' });
-              
-              // 인덱스 생성
-              wordStore.createIndex('No', 'No', { unique: false });
-              wordStore.createIndex('known_2', 'known_2', { unique: false });
-              wordStore.createIndex('status', 'status', { unique: false });
-              wordStore.createIndex('difficult', 'difficult', { unique: false });
-              wordStore.createIndex('studiedDate', 'studiedDate', { unique: false });
-              wordStore.createIndex('isStudied', 'isStudied', { unique: false });
-              wordStore.createIndex('updatedAt', 'updatedAt', { unique: false });
-              wordStore.createIndex('content', 'content', { unique: false });
-              wordStore.createIndex('phone', 'phone', { unique: false });
-            }
-            
-            // settings 스토어 생성
-            if (!db.objectStoreNames.contains(this.STORES.SETTINGS)) {
-              console.log('[IndexedDB] settings 스토어 생성');
-              db.createObjectStore(this.STORES.SETTINGS, { keyPath: 'key' });
-            }
-            
-            // syncQueue 스토어 생성
-            if (!db.objectStoreNames.contains(this.STORES.SYNC_QUEUE)) {
-              console.log('[IndexedDB] syncQueue 스토어 생성');
-              const syncStore = db.createObjectStore(this.STORES.SYNC_QUEUE, { 
-                keyPath: 'id', 
-                autoIncrement: true 
-              });
-              syncStore.createIndex('status', 'status', { unique: false });
-              syncStore.createIndex('timestamp', 'timestamp', { unique: false });
-            }
-            
-            // syncLog 스토어 생성
-            if (!db.objectStoreNames.contains(this.STORES.SYNC_LOG)) {
-              console.log('[IndexedDB] syncLog 스토어 생성');
-              const logStore = db.createObjectStore(this.STORES.SYNC_LOG, { 
-                keyPath: 'id', 
-                autoIncrement: true 
-              });
-              logStore.createIndex('timestamp', 'timestamp', { unique: false });
-            }
+            this._upgradeDatabase(event.target.result, event.target.transaction);
           };
           
           // 연결 성공
@@ -138,6 +96,14 @@ if (typeof window.IndexedDBManager === 'undefined') {
               console.error('[IndexedDB] 데이터베이스 오류:', error);
             };
             
+            // 다른 탭에서 새 버전으로 업그레이드하면 연결을 닫아 차단하지 않음
+            this.db.onversionchange = () => {
+              console.log('[IndexedDB] 새 버전 감지, 연결 종료');
+              this.db.close();
+              this.db = null;
+              this._initialized = false;
+            };
+            
             // 연결이 닫혔을 때 처리
             this.db.onclose = () => {
               console.log('[IndexedDB] 연결이 닫혔습니다');
@@ -172,6 +138,81 @@ if (typeof window.IndexedDBManager === 'undefined') {
       return this._connectionPromise;
     }
 
+    /**
+     * 스토어/인덱스 생성 - 없는 것만 만들므로 어느 버전에서 올라와도 안전
+     * (ContentBasedDBManager가 기존 DB를 열 때도 사용)
+     * @param {IDBDatabase} db - 업그레이드 중인 데이터베이스
+     * @param {IDBTransaction} transaction - 업그레이드 트랜잭션 (기존 스토어에 인덱스 추가용)
+     */
+    _upgradeDatabase(db, transaction) {
+      console.log(`[IndexedDB] 데이터베이스 업그레이드: ${this.DB_NAME}`);
+      
+      // words 스토어 생성
+      if (!db.objectStoreNames.contains(this.STORES.WORDS)) {
+        console.log('[IndexedDB] words 스토어 생성');
+        const wordStore = db.createObjectStore(this.STORES.WORDS, { keyPath: '_id' });
+        
+        // 인덱스 생성
+        wordStore.createIndex('No', 'No', { unique: false });
+        wordStore.createIndex('known_2', 'known_2', { unique: false });
+        wordStore.createIndex('status', 'status', { unique: false });
+        wordStore.createIndex('difficult', 'difficult', { unique: false });
+        wordStore.createIndex('studiedDate', 'studiedDate', { unique: false });
+        wordStore.createIndex('isStudied', 'isStudied', { unique: false });
+        wordStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+        wordStore.createIndex('content', 'content', { unique: false });
+        wordStore.createIndex('phone', 'phone', { unique: false });
+      }
+      
+      // settings 스토어 생성
+      if (!db.objectStoreNames.contains(this.STORES.SETTINGS)) {
+        console.log('[IndexedDB] settings 스토어 생성');
+        db.createObjectStore(this.STORES.SETTINGS, { keyPath: 'key' });
+      }
+      
+      // syncQueue 스토어 생성
+      if (!db.objectStoreNames.contains(this.STORES.SYNC_QUEUE)) {
+        console.log('[IndexedDB] syncQueue 스토어 생성');
+        const syncStore = db.createObjectStore(this.STORES.SYNC_QUEUE, { 
+          keyPath: 'id', 
+          autoIncrement: true 
+        });
+        syncStore.createIndex('status', 'status', { unique: false });
+        syncStore.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+      
+      // syncLog 스토어 생성
+      if (!db.objectStoreNames.contains(this.STORES.SYNC_LOG)) {
+        console.log('[IndexedDB] syncLog 스토어 생성');
+        const logStore = db.createObjectStore(this.STORES.SYNC_LOG, { 
+          keyPath: 'id', 
+          autoIncrement: true 
+        });
+        logStore.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+      
+      // answerLog 스토어 생성 (v2)
+      let answerStore = null;
+      if (!db.objectStoreNames.contains(this.STORES.ANSWER_LOG)) {
+        console.log('[IndexedDB] answerLog 스토어 생성');
+        answerStore = db.createObjectStore(this.STORES.ANSWER_LOG, {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+      } else if (transaction) {
+        answerStore = transaction.objectStore(this.STORES.ANSWER_LOG);
+      }
+      
+      // answerLog 인덱스 (v3: 일자/세션/모드 추가)
+      if (answerStore) {
+        ['wordId', 'timestamp', 'day', 'sessionId', 'mode'].forEach(indexName => {
+          if (!answerStore.indexNames.contains(indexName)) {
+            answerStore.createIndex(indexName, indexName, { unique: false });
+          }
+        });
+      }
+    }
+
     /**
      * DB 연결 가져오기 (없으면 재연결)
      * @returns {Promise<IDBDatabase>} 데이터베이스 연결
@@ -260,6 +301,24 @@ if (typeof window.IndexedDBManager === 'undefined') {
       return normalized;
     }
 
+    /**
+     * 새로 받은 단어에 기존 단어의 사용자 필드(별표, 메모, 태그) 옮기기
+     * @param {Object|undefined} existing - 저장되어 있던 단어
+     * @param {Object} word - 새로 저장할 단어
+     * @returns {Object} 저장할 단어
+     */
+    mergePersonalFields(existing, word) {
+      if (!existing) return word;
+      
+      const merged = { ...word };
+      this.PERSONAL_FIELDS.forEach(field => {
+        if (existing[field] !== undefined && merged[field] === undefined) {
+          merged[field] = existing[field];
+        }
+      });
+      return merged;
+    }
+
     /**
      * 단어 추가
      * @param {Object} word - 추가할 단어
@@ -314,17 +373,7 @@ if (typeof window.IndexedDBManager === 'undefined') {
             const normalizedWord = this.normalizeFieldTypes(word);
             normalizedWord.updatedAt = koreanTime;
             
-            const request = store.put(normalizedWord); // add 대신 put 사용 (업데이트 가능)
-            
-            request.onsuccess = () => {
-              addedCount++;
-              if (addedCount + errorCount === words.length) {
-                console.log(`[bulkAddWords] ${addedCount}/${words.length} 단어 추가 완료`);
-                resolve(addedCount);
-              }
-            };
-            
-            request.onerror = (event) => {
+            const onError = (event) => {
               console.error(`단어 추가 오류 (인덱스 ${index}):`, event.target.error);
               errorCount++;
               if (addedCount + errorCount === words.length) {
@@ -332,6 +381,156 @@ if (typeof window.IndexedDBManager === 'undefined') {
                 resolve(addedCount);
               }
             };
+            
+            // 기존 단어의 별표/메모/태그를 유지한 채 덮어씀
+            const getRequest = store.get(normalizedWord._id);
+            getRequest.onsuccess = () => {
+              const record = this.mergePersonalFields(getRequest.result, normalizedWord);
+              const request = store.put(record); // add 대신 put 사용 (업데이트 가능)
+              
+              request.onsuccess = () => {
+                addedCount++;
+                if (addedCount + errorCount === words.length) {
+                  console.log(`[bulkAddWords] ${addedCount}/${words.length} 단어 추가 완료`);
+                  resolve(addedCount);
+                }
+              };
+              request.onerror = onError;
+            };
+            getRequest.onerror = onError;
+          });
+        });
+      });
+    }
+
+    /**
+     * 단어 묶음과 설정 하나를 같은 트랜잭션으로 저장
+     * 다운로드 페이지와 체크포인트가 항상 함께 커밋되도록 할 때 사용
+     * @param {Array} words - 저장할 단어 배열
+     * @param {string} key - 설정 키
+     * @param {any} value - 설정 값
+     * @returns {Promise<number>} 저장된 단어 수 (트랜잭션 커밋 후 반환)
+     */
+    async saveWordsWithSetting(words, key, value) {
+      if (!key) {
+        return Promise.reject(new Error('유효한 설정 키가 필요합니다'));
+      }
+      
+      const validWords = Array.isArray(words) ? words.filter(word => word && word._id) : [];
+      const db = await this.getDbConnection();
+      
+      return new Promise((resolve, reject) => {
+        try {
+          const transaction = db.transaction([this.STORES.WORDS, this.STORES.SETTINGS], 'readwrite');
+          const wordStore = transaction.objectStore(this.STORES.WORDS);
+          const settingStore = transaction.objectStore(this.STORES.SETTINGS);
+          const koreanTime = this.getKoreanTimeISOString();
+          
+          validWords.forEach(word => {
+            const normalizedWord = this.normalizeFieldTypes(word);
+            normalizedWord.updatedAt = koreanTime;
+            
+            // 기존 단어의 별표/메모/태그를 유지한 채 덮어씀
+            const getRequest = wordStore.get(normalizedWord._id);
+            getRequest.onsuccess = () => {
+              wordStore.put(this.mergePersonalFields(getRequest.result, normalizedWord));
+            };
+          });
+          
+          settingStore.put({ key, value, updatedAt: koreanTime });
+          
+          transaction.oncomplete = () => {
+            resolve(validWords.length);
+          };
+          
+          transaction.onerror = (event) => {
+            console.error('[saveWordsWithSetting] 트랜잭션 오류:', event.target.error);
+            reject(event.target.error);
+          };
+          
+          transaction.onabort = (event) => {
+            console.error('[saveWordsWithSetting] 트랜잭션 중단:', event.target.error);
+            reject(event.target.error);
+          };
+        } catch (error) {
+          console.error('[saveWordsWithSetting] 트랜잭션 생성 오류:', error);
+          reject(error);
+        }
+      });
+    }
+
+    /**
+     * 콘텐츠 필드만 병합 저장 (변경분 동기화용)
+     * 기존 단어는 지정한 필드만 덮어쓰고 학습 진도(known_2, status, difficult, studiedDate 등)는 유지
+     * 새 단어는 그대로 추가
+     * @param {Array} words - 병합할 단어 배열
+     * @param {Array<string>} fields - 덮어쓸 콘텐츠 필드 목록
+     * @returns {Promise<{added: number, updated: number}>} 추가/갱신된 단어 수
+     */
+    async mergeContentFields(words, fields) {
+      if (!Array.isArray(words) || words.length === 0) {
+        return { added: 0, updated: 0 };
+      }
+      
+      return await this._executeTransaction(this.STORES.WORDS, 'readwrite', (store) => {
+        return new Promise((resolve) => {
+          let added = 0;
+          let updated = 0;
+          let processed = 0;
+          const koreanTime = this.getKoreanTimeISOString();
+          
+          const done = () => {
+            processed++;
+            if (processed === words.length) {
+              console.log(`[mergeContentFields] 추가 ${added}개, 갱신 ${updated}개`);
+              resolve({ added, updated });
+            }
+          };
+          
+          words.forEach((word) => {
+            if (!word || !word._id) {
+              done();
+              return;
+            }
+            
+            const getRequest = store.get(word._id);
+            
+            getRequest.onsuccess = (event) => {
+              const existing = event.target.result;
+              let record;
+              
+              if (existing) {
+                const contentData = {};
+                fields.forEach(field => {
+                  if (word.hasOwnProperty(field)) {
+                    contentData[field] = word[field];
+                  }
+                });
+                record = this.normalizeFieldTypes({ ...existing, ...contentData });
+              } else {
+                record = this.normalizeFieldTypes(word);
+              }
+              record.updatedAt = koreanTime;
+              
+              const putRequest = store.put(record);
+              putRequest.onsuccess = () => {
+                if (existing) {
+                  updated++;
+                } else {
+                  added++;
+                }
+                done();
+              };
+              putRequest.onerror = (putEvent) => {
+                console.error(`단어 병합 오류 (${word._id}):`, putEvent.target.error);
+                done();
+              };
+            };
+            
+            getRequest.onerror = (event) => {
+              console.error(`단어 조회 오류 (${word._id}):`, event.target.error);
+              done();
+            };
           });
         });
       });
@@ -416,38 +615,9 @@ if (typeof window.IndexedDBManager === 'undefined') {
 																		continue;
 																}
 																
-																// 복잡한 쿼리 연산자 처리
+																// 복잡한 쿼리 연산자 처리 ($lt, $gte, $in 등)
 																if (typeof filterValue === 'object' && filterValue !== null) {
-																		// 날짜나 숫자 비교 연산자
-																		for (const operator in filterValue) {
-																				const compareValue = filterValue[operator];
-																				
-																				switch(operator) {
-																						case '$lt':
-																								match = match && (cursorValue < compareValue);
-																								break;
-																						case '$lte':
-																								match = match && (cursorValue <= compareValue);
-																								break;
-																						case '$gt':
-																								match = match && (cursorValue > compareValue);
-																								break;
-																						case '$gte':
-																								match = match && (cursorValue >= compareValue);
-																								break;
-																						case '$ne':
-																								match = match && (cursorValue !== compareValue);
-																								break;
-																						case '$in':
-																								match = match && (Array.isArray(compareValue) && compareValue.includes(cursorValue));
-																								break;
-																						case '$nin':
-																								match = match && (Array.isArray(compareValue) && !compareValue.includes(cursorValue));
-																								break;
-																						default:
-																								console.warn(`지원하지 않는 연산자: ${operator}`);
-																				}
-																		}
+																		match = this.matchesOperators(cursorValue, filterValue);
 																} else {
 																		// 단순 일치 비교
 																		// 문자열 필드는 문자열로 비교
@@ -500,6 +670,56 @@ if (typeof window.IndexedDBManager === 'undefined') {
 						});
 				}
 
+    /**
+     * 필드 값이 연산자 조건을 모두 만족하는지 확인
+     * 비교값이 숫자면 필드 값도 숫자로 바꿔 비교 (difficult, No 등이 문자열로 저장된 경우)
+     * @param {*} value - 단어의 필드 값
+     * @param {Object} operators - 예: { $gte: 3 }, { $in: ['1', '2'] }, { $contains: '동사' }
+     * @returns {boolean} 일치 여부
+     */
+    matchesOperators(value, operators) {
+      for (const operator in operators) {
+        const compareValue = operators[operator];
+        const actual = typeof compareValue === 'number' && value !== null && value !== undefined && value !== '' ?
+          Number(value) : value;
+        
+        let match;
+        switch (operator) {
+          case '$lt':
+            match = actual < compareValue;
+            break;
+          case '$lte':
+            match = actual <= compareValue;
+            break;
+          case '$gt':
+            match = actual > compareValue;
+            break;
+          case '$gte':
+            match = actual >= compareValue;
+            break;
+          case '$ne':
+            match = actual !== compareValue;
+            break;
+          case '$in':
+            match = Array.isArray(compareValue) && compareValue.includes(actual);
+            break;
+          case '$nin':
+            match = Array.isArray(compareValue) && !compareValue.includes(actual);
+            break;
+          case '$contains':
+            // 배열 필드(태그 등)에 값이 들어 있는지
+            match = Array.isArray(value) && value.includes(compareValue);
+            break;
+          default:
+            console.warn(`지원하지 않는 연산자: ${operator}`);
+            match = true;
+        }
+        
+        if (!match) return false;
+      }
+      return true;
+    }
+
     /**
      * 단어 수 가져오기
      * @param {Object} filter - 필터 조건
@@ -662,6 +882,65 @@ if (typeof window.IndexedDBManager === 'undefined') {
       }
     }
     
+    /**
+     * 단어의 일부 필드를 이전 레코드 값으로 되돌림 (답변 되돌리기)
+     * 이전 레코드에 없던 필드는 삭제
+     * @param {string} wordId - 단어 ID
+     * @param {Object} previous - 답변 전 단어 레코드
+     * @param {string[]} fields - 되돌릴 필드
+     * @returns {Promise<Object>} 되돌린 단어
+     */
+    async restoreWordFields(wordId, previous, fields) {
+      if (!wordId || !previous) {
+        return Promise.reject(new Error('되돌릴 단어 정보가 필요합니다'));
+      }
+      
+      try {
+        return await this._executeTransaction(this.STORES.WORDS, 'readwrite', (store) => {
+          return new Promise((resolve, reject) => {
+            const request = store.get(wordId);
+            
+            request.onsuccess = (event) => {
+              const word = event.target.result;
+              
+              if (!word) {
+                reject(new Error(`ID가 ${wordId}인 단어를 찾을 수 없습니다`));
+                return;
+              }
+              
+              const restoredWord = { ...word };
+              fields.forEach(field => {
+                if (Object.prototype.hasOwnProperty.call(previous, field)) {
+                  restoredWord[field] = previous[field];
+                } else {
+                  delete restoredWord[field];
+                }
+              });
+              
+              const putRequest = store.put(restoredWord);
+              
+              putRequest.onsuccess = () => {
+                resolve(restoredWord);
+              };
+              
+              putRequest.onerror = (event) => {
+                console.error('단어 되돌리기 오류:', event.target.error);
+                reject(event.target.error);
+              };
+            };
+            
+            request.onerror = (event) => {
+              console.error('단어 조회 오류:', event.target.error);
+              reject(event.target.error);
+            };
+          });
+        });
+      } catch (error) {
+        console.error('restoreWordFields 메서드 오류:', error);
+        throw error;
+      }
+    }
+    
     /**
      * 설정 저장
      * @param {string} key - 설정 키
@@ -1067,6 +1346,268 @@ if (typeof window.IndexedDBManager === 'undefined') {
       }
     }
     
+    /**
+     * 한국 시간 기준 날짜 문자열 (YYYY-MM-DD)
+     * @param {Date|number|string} [date] - 기준 시각 (기본: 현재)
+     * @returns {string} 날짜 문자열
+     */
+    getKoreanDayString(date = Date.now()) {
+      return new Date(new Date(date).getTime() + this.TIMEZONE_OFFSET).toISOString().slice(0, 10);
+    }
+    
+    /**
+     * 답변 기록 추가
+     * @param {Object} entry - 답변 정보 { wordId, mode, isKnown, grade, latencyMs, sessionId }
+     * @returns {Promise<number>} 추가된 기록 ID
+     */
+    async addAnswerLog(entry) {
+      if (!entry || !entry.wordId) {
+        return Promise.reject(new Error('유효한 답변 기록이 필요합니다'));
+      }
+      
+      try {
+        const now = Date.now();
+        const koreanTime = new Date(now + this.TIMEZONE_OFFSET).toISOString().replace('Z', '+09:00');
+        
+        // 트랜잭션 실행
+        return await this._executeTransaction(this.STORES.ANSWER_LOG, 'readwrite', (store) => {
+          return new Promise((resolve, reject) => {
+            const request = store.add({
+              ...entry,
+              mode: entry.mode || null,
+              sessionId: entry.sessionId || null,
+              latencyMs: Number.isFinite(entry.latencyMs) ? entry.latencyMs : null,
+              timestamp: now,
+              answeredAt: koreanTime,
+              day: this.getKoreanDayString(now)
+            });
+            
+            request.onsuccess = (event) => {
+              resolve(event.target.result);
+            };
+            
+            request.onerror = (event) => {
+              console.error('답변 기록 추가 오류:', event.target.error);
+              reject(event.target.error);
+            };
+          });
+        });
+      } catch (error) {
+        console.error('addAnswerLog 메서드 오류:', error);
+        throw error;
+      }
+    }
+    
+    /**
+     * 답변 기록 삭제 (답변 되돌리기)
+     * @param {number} logId - addAnswerLog가 반환한 기록 ID
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    async deleteAnswerLog(logId) {
+      if (logId === null || logId === undefined) {
+        return false;
+      }
+      
+      try {
+        return await this._executeTransaction(this.STORES.ANSWER_LOG, 'readwrite', (store) => {
+          return new Promise((resolve, reject) => {
+            const request = store.delete(logId);
+            
+            request.onsuccess = () => {
+              resolve(true);
+            };
+            
+            request.onerror = (event) => {
+              console.error('답변 기록 삭제 오류:', event.target.error);
+              reject(event.target.error);
+            };
+          });
+        });
+      } catch (error) {
+        console.error('deleteAnswerLog 메서드 오류:', error);
+        return false;
+      }
+    }
+    
+    /**
+     * answerLog 인덱스로 답변 기록 조회 (시간순)
+     * @param {string} indexName - 인덱스 이름 (wordId, day, sessionId, mode, timestamp)
+     * @param {*} query - 인덱스 키 또는 IDBKeyRange
+     * @returns {Promise<Array>} 답변 기록 목록
+     */
+    async _getAnswerLogsByIndex(indexName, query) {
+      try {
+        return await this._executeTransaction(this.STORES.ANSWER_LOG, 'readonly', (store) => {
+          return new Promise((resolve, reject) => {
+            const request = store.index(indexName).getAll(query);
+            
+            request.onsuccess = () => {
+              const logs = request.result || [];
+              logs.sort((a, b) => a.timestamp - b.timestamp);
+              resolve(logs);
+            };
+            
+            request.onerror = (event) => {
+              console.error('답변 기록 조회 오류:', event.target.error);
+              reject(event.target.error);
+            };
+          });
+        });
+      } catch (error) {
+        console.error(`답변 기록 조회 오류 (${indexName}):`, error);
+        return [];
+      }
+    }
+    
+    /**
+     * 단어별 답변 기록
+     * @param {string} wordId - 단어 ID
+     * @returns {Promise<Array>} 답변 기록 목록 (시간순)
+     */
+    async getAnswerLogsByWord(wordId) {
+      if (!wordId) return [];
+      return this._getAnswerLogsByIndex('wordId', wordId);
+    }
+    
+    /**
+     * 날짜별 답변 기록 (한국 시간 기준)
+     * @param {string|Date|number} day - 'YYYY-MM-DD' 또는 해당 날짜의 시각
+     * @returns {Promise<Array>} 답변 기록 목록 (시간순)
+     */
+    async getAnswerLogsByDay(day) {
+      if (!day) return [];
+      const dayString = typeof day === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(day) ?
+        day : this.getKoreanDayString(day);
+      return this._getAnswerLogsByIndex('day', dayString);
+    }
+    
+    /**
+     * 날짜 범위의 답변 기록 (한국 시간 기준, 양 끝 포함)
+     * @param {string} fromDay - 시작일 'YYYY-MM-DD'
+     * @param {string} toDay - 종료일 'YYYY-MM-DD'
+     * @returns {Promise<Array>} 답변 기록 목록 (시간순)
+     */
+    async getAnswerLogsInRange(fromDay, toDay) {
+      if (!fromDay || !toDay || fromDay > toDay) return [];
+      return this._getAnswerLogsByIndex('day', IDBKeyRange.bound(fromDay, toDay));
+    }
+    
+    /**
+     * 답변 기록이 있는 날짜 목록 (한국 시간 기준, 양 끝 포함)
+     * @param {string} fromDay - 시작일 'YYYY-MM-DD'
+     * @param {string} toDay - 종료일 'YYYY-MM-DD'
+     * @returns {Promise<string[]>} 날짜 목록 (오름차순)
+     */
+    async getAnswerLogDays(fromDay, toDay) {
+      if (!fromDay || !toDay || fromDay > toDay) return [];
+      
+      try {
+        return await this._executeTransaction(this.STORES.ANSWER_LOG, 'readonly', (store) => {
+          return new Promise((resolve, reject) => {
+            const days = [];
+            const request = store.index('day').openKeyCursor(IDBKeyRange.bound(fromDay, toDay), 'nextunique');
+            
+            request.onsuccess = (event) => {
+              const cursor = event.target.result;
+              if (cursor) {
+                days.push(cursor.key);
+                cursor.continue();
+              } else {
+                resolve(days);
+              }
+            };
+            
+            request.onerror = (event) => {
+              console.error('답변 기록 날짜 조회 오류:', event.target.error);
+              reject(event.target.error);
+            };
+          });
+        });
+      } catch (error) {
+        console.error('답변 기록 날짜 조회 오류:', error);
+        return [];
+      }
+    }
+    
+    /**
+     * 학습 세션별 답변 기록
+     * @param {string} sessionId - 세션 ID (app.studySessionId)
+     * @returns {Promise<Array>} 답변 기록 목록 (시간순)
+     */
+    async getAnswerLogsBySession(sessionId) {
+      if (!sessionId) return [];
+      return this._getAnswerLogsByIndex('sessionId', sessionId);
+    }
+
+    /**
+     * 전체 답변 기록 (진도 내보내기)
+     * @returns {Promise<Array>} 답변 기록 목록 (시간순)
+     */
+    async getAllAnswerLogs() {
+      return this._getAnswerLogsByIndex('timestamp');
+    }
+
+    /**
+     * 답변 기록 일괄 추가 (진도 가져오기)
+     * timestamp/day 등 원래 값을 그대로 저장하고, 같은 단어·같은 시각의 기록은 건너뜀
+     * @param {Array} entries - 답변 기록 목록 (wordId, timestamp 필수)
+     * @param {string[]} [replaceWordIds] - 먼저 기존 기록을 지울 단어 ID (덮어쓰기)
+     * @returns {Promise<number>} 추가된 기록 수
+     */
+    async importAnswerLogs(entries, replaceWordIds = []) {
+      const validEntries = Array.isArray(entries) ?
+        entries.filter(entry => entry && entry.wordId && Number.isFinite(entry.timestamp)) : [];
+      if (validEntries.length === 0 && replaceWordIds.length === 0) {
+        return 0;
+      }
+
+      try {
+        return await this._executeTransaction(this.STORES.ANSWER_LOG, 'readwrite', (store) => {
+          return new Promise((resolve, reject) => {
+            const replaceSet = new Set(replaceWordIds);
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+              const existingKeys = new Set();
+              (request.result || []).forEach(log => {
+                if (replaceSet.has(log.wordId)) {
+                  store.delete(log.id);
+                } else {
+                  existingKeys.add(`${log.wordId}|${log.timestamp}`);
+                }
+              });
+
+              let added = 0;
+              validEntries.forEach(entry => {
+                const key = `${entry.wordId}|${entry.timestamp}`;
+                if (existingKeys.has(key)) return;
+                existingKeys.add(key);
+
+                const { id, ...log } = entry;
+                store.add({
+                  ...log,
+                  mode: log.mode || null,
+                  sessionId: log.sessionId || null,
+                  day: log.day || this.getKoreanDayString(log.timestamp)
+                });
+                added++;
+              });
+
+              resolve(added);
+            };
+
+            request.onerror = (event) => {
+              console.error('답변 기록 가져오기 오류:', event.target.error);
+              reject(event.target.error);
+            };
+          });
+        });
+      } catch (error) {
+        console.error('importAnswerLogs 메서드 오류:', error);
+        throw error;
+      }
+    }
+
     /**
      * 오늘 기준 DateString 가져오기 (00:00:00 기준, 한국시간)
      * @returns {string} 오늘 날짜의 ISO 문자열
@@ -1146,6 +1687,170 @@ if (typeof window.IndexedDBManager === 'undefined') {
       }
     }
      
+    /**
+     * ID로 단어 하나 가져오기
+     * @param {string} wordId - 단어 ID
+     * @returns {Promise<Object|null>} 단어 객체 또는 null
+     */
+    async getWordById(wordId) {
+      if (!wordId) {
+        return null;
+      }
+      
+      try {
+        return await this._executeTransaction(this.STORES.WORDS, 'readonly', (store) => {
+          return new Promise((resolve, reject) => {
+            const request = store.get(wordId);
+            
+            request.onsuccess = (event) => {
+              const word = event.target.result;
+              resolve(word ? this.normalizeFieldTypes(word) : null);
+            };
+            
+            request.onerror = (event) => {
+              console.error('단어 조회 오류:', event.target.error);
+              reject(event.target.error);
+            };
+          });
+        });
+      } catch (error) {
+        console.error('getWordById 실행 오류:', error);
+        return null;
+      }
+    }
+    
+    /**
+     * 복습 예정일(srsDue)이 지난 단어 가져오기 - 오래 밀린 단어부터
+     * 스케줄이 없는 단어는 SRSScheduler가 known_2 구간으로 계산한 초기 예정일 사용
+     * @param {Object} filter - 필터 조건 (getWords와 동일)
+     * @param {number} limit - 최대 개수 (0 = 제한 없음)
+     * @param {Date|number} [at] - 기준 시각
+     * @returns {Promise<Array>} 복습할 단어 배열
+     */
+    async getDueWords(filter = {}, limit = 0, at = Date.now()) {
+      if (!window.SRSScheduler) {
+        console.warn('SRSScheduler가 없어 복습 예정 단어를 계산할 수 없습니다');
+        return [];
+      }
+      
+      try {
+        const words = await this.getWords(filter, 0);
+        const dueWords = words
+          .filter(word => window.SRSScheduler.isDue(word, at))
+          .sort(window.SRSScheduler.compareDue);
+        
+        return limit > 0 ? dueWords.slice(0, limit) : dueWords;
+      } catch (error) {
+        console.error('getDueWords 실행 오류:', error);
+        return [];
+      }
+    }
+    
+    /**
+     * 카드 방향별 진도로 단어 선택 (역방향은 reverseProgress 기준)
+     * 진도 필드(known_2, status) 조건은 방향별 진도에 적용하고 나머지 조건은 그대로 적용
+     * @param {Object} filter - 필터 조건 (동등 비교)
+     * @param {number} limit - 최대 개수 (0 = 제한 없음)
+     * @param {Object} [options] - { direction, dueOnly, sortField }
+     * @returns {Promise<Array>} 방향별 진도가 반영된 단어 배열
+     */
+    async getWordsByDirection(filter = {}, limit = 0, options = {}) {
+      const { direction = 'forward', dueOnly = false, sortField = 'studiedDate' } = options;
+      
+      if (direction !== 'reverse' || !window.CardDirection) {
+        return dueOnly ? this.getDueWords(filter, limit) :
+          this.getWords(filter, limit, { field: sortField, direction: 'asc' });
+      }
+      
+      try {
+        const progressFilter = {};
+        const baseFilter = {};
+        Object.entries(filter).forEach(([key, value]) => {
+          if (key === 'known_2' || key === 'status') {
+            progressFilter[key] = String(value);
+          } else {
+            baseFilter[key] = value;
+          }
+        });
+        
+        const words = (await this.getWords(baseFilter, 0))
+          .map(word => window.CardDirection.getView(word, 'reverse'))
+          .filter(view => Object.entries(progressFilter).every(([key, value]) => String(view[key]) === value));
+        
+        let selected;
+        if (dueOnly && window.SRSScheduler) {
+          selected = words
+            .filter(view => window.SRSScheduler.isDue(view))
+            .sort(window.SRSScheduler.compareDue);
+        } else {
+          selected = words.sort((a, b) => String(a[sortField] || '').localeCompare(String(b[sortField] || '')));
+        }
+        
+        return limit > 0 ? selected.slice(0, limit) : selected;
+      } catch (error) {
+        console.error('getWordsByDirection 실행 오류:', error);
+        return [];
+      }
+    }
+    
+    /**
+     * 복습 예정일이 지난 단어 수 가져오기
+     * @param {Object} filter - 필터 조건
+     * @param {Date|number} [at] - 기준 시각
+     * @returns {Promise<number>} 단어 수
+     */
+    async getDueWordCount(filter = {}, at = Date.now()) {
+      const words = await this.getDueWords(filter, 0, at);
+      return words.length;
+    }
+    
+    /**
+     * 스케줄 필드가 없는 학습 단어에 초기 스케줄 저장 (known_2 구간 → 초기 간격)
+     * 에어테이블에서 받은 진도처럼 스케줄 없이 들어온 단어도 매번 채워 넣음
+     * @returns {Promise<number>} 스케줄을 채운 단어 수
+     */
+    async applyInitialSchedules() {
+      if (!window.SRSScheduler) {
+        return 0;
+      }
+      
+      try {
+        return await this._executeTransaction(this.STORES.WORDS, 'readwrite', (store) => {
+          return new Promise((resolve, reject) => {
+            let migrated = 0;
+            const request = store.openCursor();
+            
+            request.onsuccess = (event) => {
+              const cursor = event.target.result;
+              if (cursor) {
+                const word = cursor.value;
+                const schedule = word.srsDue ? null : window.SRSScheduler.getInitialSchedule(word);
+                
+                if (schedule) {
+                  cursor.update({ ...word, ...schedule });
+                  migrated++;
+                }
+                cursor.continue();
+              } else {
+                if (migrated > 0) {
+                  console.log(`[applyInitialSchedules] ${migrated}개 단어에 초기 복습 스케줄 적용`);
+                }
+                resolve(migrated);
+              }
+            };
+            
+            request.onerror = (event) => {
+              console.error('스케줄 이전 오류:', event.target.error);
+              reject(event.target.error);
+            };
+          });
+        });
+      } catch (error) {
+        console.error('applyInitialSchedules 실행 오류:', error);
+        return 0;
+      }
+    }
+     
     /**
      * 마지막으로 저장된 단어 가져오기
      * @param {string} phoneNumber - 전화번호
@@ -114,6 +114,30 @@ window.KoreanTimeUtil = {
         }
     },
     
+    /**
+     * 한국 시간 기준 날짜 문자열 (YYYY-MM-DD)
+     * @param {Date|number|string} [date] - 기준 시각 (없으면 현재)
+     */
+    getKoreanDayString(date = Date.now()) {
+        try {
+            return new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Seoul' });
+        } catch (error) {
+            console.error('getKoreanDayString 오류:', error);
+            return new Date(new Date(date).getTime() + this.TIMEZONE_OFFSET).toISOString().slice(0, 10);
+        }
+    },
+    
+    /**
+     * 날짜 문자열(YYYY-MM-DD)에 일수 더하기
+     * @param {string} day - 기준 날짜
+     * @param {number} days - 더할 일수 (음수면 이전 날짜)
+     */
+    addDays(day, days) {
+        const date = new Date(`${day}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    },
+    
     /**
      * 주어진 Date 객체를 한국 시간 문자열로 포맷
      */
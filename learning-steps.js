@@ -0,0 +1,229 @@
+/**
+ * learning-steps.js - 세션 안 학습 단계 (틀린 카드 다시 보기)
+ * 몰라요/오답 카드를 몇 장 뒤나 몇 분 뒤에 같은 세션에 다시 넣어 맞힐 때까지 반복
+ * - 설정: 학습 설정 창 또는 URL 파라미터 steps=3 (3장 뒤), steps=2m (2분 뒤), steps=0 (끄기), 값은 설정 저장소에 유지
+ * - 다시 나온 카드는 연습용: 진도(known_2, SRS 등)와 정답/오답 카운트는 첫 답변만 반영
+ * - 모드는 카드별 병렬 배열 이름을 getCardFields()로 알려주고, repeatFlags/waitingCards/repeatCount를 가짐
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.LearningSteps) {
+    console.log('LearningSteps가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  window.LearningSteps = {
+    SETTING_KEY: 'learningSteps',
+
+    DEFAULT_SETTINGS: {
+      enabled: true,
+      unit: 'cards',  // cards: 몇 장 뒤, minutes: 몇 분 뒤
+      cards: 3,
+      minutes: 1
+    },
+
+    settings: null,
+
+    // URL 파라미터는 페이지를 연 뒤 한 번만 반영 (이후 학습 설정 창에서 바꾼 값 유지)
+    urlApplied: false,
+
+    /**
+     * URL 파라미터 해석 (steps=3 / steps=2m / steps=0)
+     * @param {string} value - 파라미터 값
+     * @returns {Object|null} 설정 (형식이 맞지 않으면 null)
+     */
+    parseParam(value) {
+      const match = /^(\d+)(m?)$/.exec(String(value || '').trim());
+      if (!match) return null;
+
+      const amount = Number(match[1]);
+      if (amount === 0) return { enabled: false };
+      return match[2] === 'm' ?
+        { enabled: true, unit: 'minutes', minutes: amount } :
+        { enabled: true, unit: 'cards', cards: amount };
+    },
+
+    /**
+     * 설정 읽기 (처음 읽을 때 URL 파라미터가 있으면 저장 후 사용)
+     * @param {Object} dbManager - IndexedDBManager
+     * @returns {Promise<Object>} 설정
+     */
+    async loadSettings(dbManager) {
+      let saved = null;
+      try {
+        if (dbManager && typeof dbManager.getSetting === 'function') {
+          saved = await dbManager.getSetting(this.SETTING_KEY);
+        }
+
+        const params = window._originalUrlParams || {};
+        const urlValue = params.steps !== undefined ?
+          params.steps : new URLSearchParams(window.location.search).get('steps');
+        const fromUrl = this.urlApplied ? null : this.parseParam(urlValue);
+        this.urlApplied = true;
+
+        if (fromUrl) {
+          saved = { ...(saved || {}), ...fromUrl };
+          if (dbManager && typeof dbManager.saveSetting === 'function') {
+            await dbManager.saveSetting(this.SETTING_KEY, saved);
+          }
+        }
+      } catch (error) {
+        console.warn('학습 단계 설정 읽기 오류:', error);
+      }
+
+      this.settings = { ...this.DEFAULT_SETTINGS, ...(saved || {}) };
+      return this.settings;
+    },
+
+    /**
+     * 설정 저장 (학습 설정 창)
+     * @param {Object} dbManager - IndexedDBManager
+     * @param {Object} values - { enabled, unit, cards, minutes } 중 바꿀 값
+     * @returns {Promise<Object>} 저장한 설정
+     */
+    async saveSettings(dbManager, values) {
+      const merged = { ...this.DEFAULT_SETTINGS, ...(this.settings || {}), ...values };
+      const settings = {
+        enabled: !!merged.enabled,
+        unit: merged.unit === 'minutes' ? 'minutes' : 'cards',
+        cards: Math.max(1, Math.round(Number(merged.cards)) || this.DEFAULT_SETTINGS.cards),
+        minutes: Math.max(1, Math.round(Number(merged.minutes)) || this.DEFAULT_SETTINGS.minutes)
+      };
+
+      try {
+        if (dbManager && typeof dbManager.saveSetting === 'function') {
+          await dbManager.saveSetting(this.SETTING_KEY, settings);
+        }
+      } catch (error) {
+        console.warn('학습 단계 설정 저장 오류:', error);
+      }
+
+      this.settings = settings;
+      return settings;
+    },
+
+    /**
+     * 현재 카드가 다시 나온 카드인지
+     * @param {Object} mode - 모드 객체
+     * @returns {boolean} 반복 카드 여부
+     */
+    isRepeat(mode) {
+      return !!(mode.repeatFlags && mode.repeatFlags[mode.currentIndex]);
+    },
+
+    /**
+     * index 위치 카드의 병렬 배열 값 모으기
+     * @param {Object} mode - 모드 객체
+     * @param {number} index - 카드 위치
+     * @returns {Object} { 필드: 값 }
+     */
+    extractCard(mode, index) {
+      const card = {};
+      mode.getCardFields().forEach(field => {
+        if (Array.isArray(mode[field]) && index < mode[field].length) {
+          card[field] = mode[field][index];
+        }
+      });
+      return card;
+    },
+
+    /**
+     * index 위치 카드를 반복 카드로 복사
+     * @param {Object} mode - 모드 객체
+     * @param {number} index - 카드 위치
+     * @returns {Object} extractCard 결과 (반복 표시)
+     */
+    createRepeatCard(mode, index) {
+      const card = this.extractCard(mode, index);
+      card.repeatFlags = true;
+      if (mode.firstTimeFlags) card.firstTimeFlags = false;
+      return card;
+    },
+
+    /**
+     * 세션 저장용 대기 카드 목록 (카드 내용은 단어 ID로만 저장)
+     * @param {Object} mode - 모드 객체
+     * @returns {Array<Object>} [{ wordId, dueAt }]
+     */
+    getWaitingSnapshot(mode) {
+      if (!Array.isArray(mode.waitingCards)) return [];
+
+      return mode.waitingCards.map(item => {
+        const record = item.card.get_ids;
+        return { wordId: record && typeof record === 'object' ? record._id : record, dueAt: item.dueAt };
+      }).filter(item => item.wordId);
+    },
+
+    /**
+     * 저장한 대기 카드 되돌리기 (세션 단어 중 같은 단어의 카드를 반복 카드로 복사)
+     * @param {Object} mode - 단어 배열을 채운 모드 객체
+     * @param {Array<Object>} items - getWaitingSnapshot 결과
+     */
+    restoreWaiting(mode, items) {
+      if (!Array.isArray(items) || typeof mode.getCardFields !== 'function') return;
+
+      const ids = (mode.get_ids || []).map(item => (item && typeof item === 'object') ? item._id : item);
+      mode.waitingCards = items.map(item => {
+        const index = ids.indexOf(item.wordId);
+        return index < 0 ? null : { card: this.createRepeatCard(mode, index), dueAt: item.dueAt };
+      }).filter(Boolean);
+    },
+
+    /**
+     * 카드를 position에 끼워 넣기 (모든 병렬 배열에 같은 위치로)
+     * @param {Object} mode - 모드 객체
+     * @param {number} position - 넣을 위치
+     * @param {Object} card - extractCard 결과
+     */
+    insertCard(mode, position, card) {
+      Object.entries(card).forEach(([field, value]) => {
+        if (Array.isArray(mode[field])) {
+          mode[field].splice(position, 0, value);
+        }
+      });
+    },
+
+    /**
+     * 틀린 현재 카드를 다시 넣기 (장 수 기준이면 바로 끼워 넣고, 분 기준이면 대기 목록으로)
+     * @param {Object} mode - 모드 객체
+     * @returns {boolean} 다시 넣었는지
+     */
+    requeueCurrent(mode) {
+      const settings = this.settings || this.DEFAULT_SETTINGS;
+      if (!settings.enabled || typeof mode.getCardFields !== 'function') return false;
+
+      const card = this.createRepeatCard(mode, mode.currentIndex);
+
+      if (settings.unit === 'minutes') {
+        mode.waitingCards.push({ card, dueAt: Date.now() + Math.max(0, settings.minutes) * 60 * 1000 });
+      } else {
+        const position = Math.min(mode.currentIndex + Math.max(1, settings.cards), mode.words.length);
+        this.insertCard(mode, position, card);
+      }
+
+      mode.repeatCount++;
+      return true;
+    },
+
+    /**
+     * 시간이 된 대기 카드를 다음 위치에 넣기
+     * 남은 카드가 없으면 시간이 안 되었어도 가장 먼저 대기한 카드를 넣음
+     * @param {Object} mode - 모드 객체
+     */
+    releaseWaiting(mode) {
+      if (!Array.isArray(mode.waitingCards) || mode.waitingCards.length === 0) return;
+
+      const now = Date.now();
+      const due = mode.waitingCards.filter(item => item.dueAt <= now);
+      if (due.length === 0 && mode.currentIndex >= mode.words.length - 1) {
+        due.push(mode.waitingCards[0]);
+      }
+
+      mode.waitingCards = mode.waitingCards.filter(item => !due.includes(item));
+      due.reverse().forEach(item => this.insertCard(mode, mode.currentIndex + 1, item.card));
+    }
+  };
+
+  console.log('LearningSteps 로드 완료');
+})();
@@ -0,0 +1,328 @@
+/**
+ * local-word-list.js - 내 단어장 (에어테이블 없이 직접 만든 콘텐츠)
+ * 붙여넣은 텍스트, CSV, JSON 파일로 단어를 읽어 콘텐츠별 DB(WordsDB_<콘텐츠>)에 같은 단어 형식으로 저장
+ * - 텍스트: 한 줄에 한 단어 "단어<탭>뜻<탭>발음" (탭이 없으면 " - ", ":", 첫 쉼표 순으로 구분)
+ * - CSV: 첫 줄이 머리글(word/meaning/pronunciation/vipup/audio 또는 단어/뜻/발음)이면 열 이름으로,
+ *        아니면 단어, 뜻, 발음, VipUp, 오디오 순서로 읽음
+ * - JSON: 단어 객체 배열 또는 { words: [...] }
+ * - 읽은 단어/뜻/발음은 태그를 벗기고 VipUp은 허용한 태그만 남김 (ContentSources와 같은 규칙)
+ * - 단어 ID는 local_ 로 시작하고, DB 설정 contentSource = { type: 'local' }로 표시
+ *   → 데이터 로더는 에어테이블에서 받지 않고, 동기화 관리자는 진도를 에어테이블로 보내지 않음
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.LocalWordList) {
+    console.log('LocalWordList가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  window.LocalWordList = {
+    ID_PREFIX: 'local_',
+    SOURCE_KEY: 'contentSource',
+
+    // 내 단어장 이름 목록 (콘텐츠 선택기 표시용)
+    STORAGE_KEY: 'local_content_list',
+
+    MAX_WORDS: 5000,
+
+    // 머리글 이름 → 단어 필드
+    HEADER_ALIASES: {
+      word: ['word', '단어'],
+      meaning: ['meaning', '뜻', '의미'],
+      pronunciation: ['pronunciation', '발음'],
+      vipup: ['vipup', '암기법'],
+      audio: ['audio', '오디오'],
+      id: ['id', '아이디']  // CSV 콘텐츠 소스의 고정 단어 ID
+    },
+
+    // 머리글이 없을 때 열 순서
+    COLUMN_ORDER: ['word', 'meaning', 'pronunciation', 'vipup', 'audio'],
+
+    /**
+     * 내 단어장 단어 ID인지
+     * @param {string} wordId - 단어 ID
+     * @returns {boolean} 내 단어장 단어 여부
+     */
+    isLocalWordId(wordId) {
+      return typeof wordId === 'string' && wordId.startsWith(this.ID_PREFIX);
+    },
+
+    /**
+     * 현재 DB가 내 단어장 콘텐츠인지
+     * @param {Object} dbManager - IndexedDBManager
+     * @returns {Promise<boolean>} 내 단어장 여부
+     */
+    async isLocalContent(dbManager) {
+      try {
+        const source = await dbManager.getSetting(this.SOURCE_KEY);
+        return !!(source && source.type === 'local');
+      } catch (error) {
+        console.warn('콘텐츠 종류 확인 오류:', error);
+        return false;
+      }
+    },
+
+    /**
+     * 내 단어장 이름 목록
+     * @returns {string[]} 콘텐츠 이름
+     */
+    getListNames() {
+      try {
+        const names = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+        return Array.isArray(names) ? names : [];
+      } catch (error) {
+        return [];
+      }
+    },
+
+    /**
+     * CSV 한 덩어리를 행 배열로 (따옴표 안 쉼표/줄바꿈 지원)
+     * @param {string} text - CSV 내용
+     * @returns {Array<string[]>} 행 배열
+     */
+    parseCsvRows(text) {
+      const rows = [];
+      let row = [];
+      let value = '';
+      let inQuotes = false;
+
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+          if (char === '"' && text[i + 1] === '"') {
+            value += '"';
+            i++;
+          } else if (char === '"') {
+            inQuotes = false;
+          } else {
+            value += char;
+          }
+        } else if (char === '"') {
+          inQuotes = true;
+        } else if (char === ',') {
+          row.push(value);
+          value = '';
+        } else if (char === '\n' || char === '\r') {
+          if (char === '\r' && text[i + 1] === '\n') i++;
+          row.push(value);
+          rows.push(row);
+          row = [];
+          value = '';
+        } else {
+          value += char;
+        }
+      }
+      if (value || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+      }
+
+      return rows.filter(cells => cells.some(cell => cell.trim()));
+    },
+
+    /**
+     * 머리글 행에서 열 위치 찾기
+     * @param {string[]} header - 첫 행
+     * @returns {Object|null} { 필드: 열 위치 } (word, meaning 열이 없으면 null)
+     */
+    mapHeader(header) {
+      const columns = {};
+      header.forEach((cell, index) => {
+        const name = cell.trim().toLowerCase();
+        Object.entries(this.HEADER_ALIASES).forEach(([field, aliases]) => {
+          if (columns[field] === undefined && aliases.includes(name)) columns[field] = index;
+        });
+      });
+      return columns.word !== undefined && columns.meaning !== undefined ? columns : null;
+    },
+
+    /**
+     * 행 배열을 단어 입력으로
+     * @param {Array<string[]>} rows - 행 배열
+     * @returns {Array<Object>} { word, meaning, ... }
+     */
+    rowsToEntries(rows) {
+      if (rows.length === 0) return [];
+
+      const header = this.mapHeader(rows[0]);
+      const columns = header || this.COLUMN_ORDER.reduce((result, field, index) => {
+        result[field] = index;
+        return result;
+      }, {});
+
+      return (header ? rows.slice(1) : rows).map(cells => {
+        const entry = {};
+        Object.entries(columns).forEach(([field, index]) => {
+          entry[field] = (cells[index] || '').trim();
+        });
+        return entry;
+      });
+    },
+
+    /**
+     * 붙여넣은 텍스트 한 줄을 단어 입력으로
+     * @param {string} line - 한 줄
+     * @returns {Object} { word, meaning, pronunciation }
+     */
+    parseLine(line) {
+      let parts;
+      if (line.includes('\t')) {
+        parts = line.split('\t');
+      } else {
+        const match = /^(.+?)\s+-\s+(.+)$/.exec(line) || /^(.+?)\s*:\s*(.+)$/.exec(line) || /^([^,]+),(.+)$/.exec(line);
+        parts = match ? [match[1], match[2]] : [line];
+      }
+      return {
+        word: (parts[0] || '').trim(),
+        meaning: (parts[1] || '').trim(),
+        pronunciation: (parts[2] || '').trim()
+      };
+    },
+
+    /**
+     * 입력 내용 읽기
+     * @param {string} text - 붙여넣은 텍스트 또는 파일 내용
+     * @param {string} [type] - text | csv | json (파일 확장자로 정함)
+     * @returns {Array<Object>} 단어 입력 목록 (단어나 뜻이 빈 줄은 제외)
+     */
+    parse(text, type = 'text') {
+      const content = String(text || '').replace(/^\uFEFF/, '');
+      let entries;
+
+      if (type === 'json') {
+        const data = JSON.parse(content);
+        const list = Array.isArray(data) ? data : (data && Array.isArray(data.words) ? data.words : []);
+        entries = list.map(item => ({
+          word: String((item && item.word) || '').trim(),
+          meaning: String((item && item.meaning) || '').trim(),
+          pronunciation: String((item && item.pronunciation) || '').trim(),
+          vipup: String((item && item.vipup) || '').trim(),
+          audio: String((item && item.audio) || '').trim()
+        }));
+      } else if (type === 'csv') {
+        entries = this.rowsToEntries(this.parseCsvRows(content));
+      } else {
+        entries = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => this.parseLine(line));
+      }
+
+      return entries.map(entry => this.cleanEntry(entry)).filter(entry => entry.word && entry.meaning);
+    },
+
+    /**
+     * 단어 입력 정리 (나눠 받은 파일일 수 있으므로 콘텐츠 소스와 같은 규칙으로 HTML 정리)
+     * @param {Object} entry - 단어 입력
+     * @returns {Object} 정리된 단어 입력
+     */
+    cleanEntry(entry) {
+      const sources = window.ContentSources;
+      const text = value => sources ? sources.toPlainText(value) : String(value || '').replace(/[<>]/g, '').trim();
+
+      return {
+        word: text(entry.word),
+        meaning: text(entry.meaning),
+        pronunciation: text(entry.pronunciation),
+        vipup: sources ? sources.sanitizeVipup(entry.vipup || '') : '',
+        audio: entry.audio && sources ? (sources.normalizeUrl(entry.audio) || '') : ''
+      };
+    },
+
+    /**
+     * 파일 확장자로 입력 형식 정하기
+     * @param {string} fileName - 파일 이름
+     * @returns {string} text | csv | json
+     */
+    getFileType(fileName) {
+      const extension = String(fileName || '').split('.').pop().toLowerCase();
+      return extension === 'json' || extension === 'csv' ? extension : 'text';
+    },
+
+    /**
+     * 단어 입력을 단어 레코드로 (에어테이블에서 받은 단어와 같은 형식)
+     * @param {Array<Object>} entries - 단어 입력
+     * @param {string} contentId - 콘텐츠 ID
+     * @returns {Array<Object>} 단어 레코드
+     */
+    toWordRecords(entries, contentId) {
+      const now = new Date().toISOString();
+
+      return entries.slice(0, this.MAX_WORDS).map((entry, index) => {
+        const no = index + 1;
+        const _id = `${this.ID_PREFIX}${no}`;
+        const vipup = entry.vipup && window.VipUpEncryption ?
+          window.VipUpEncryption.encrypt(entry.vipup) : (entry.vipup || '');
+
+        return {
+          _id,
+          airtableId: _id,
+          word: entry.word,
+          meaning: entry.meaning,
+          pronunciation: entry.pronunciation || '',
+          audio: entry.audio || '',
+          vipup,
+          No: no,
+          content: contentId,
+          isStudied: '0',
+          known_2: '0',
+          status: '0',
+          difficult: 0,
+          studiedDate: now,
+          updatedAt: now
+        };
+      });
+    },
+
+    /**
+     * 내 단어장 만들기 (새 콘텐츠 DB에 단어와 표시 설정 저장)
+     * @param {string} contentId - 새 콘텐츠 이름
+     * @param {Array<Object>} entries - parse 결과
+     * @returns {Promise<number>} 저장한 단어 수
+     */
+    async createList(contentId, entries) {
+      if (!window.ContentBasedDBManager || !window.IndexedDBManager) {
+        throw new Error('데이터베이스 관리자를 찾을 수 없습니다');
+      }
+      if (entries.length === 0) {
+        throw new Error('저장할 단어가 없습니다');
+      }
+
+      // 현재 콘텐츠 연결은 그대로 두고 새 콘텐츠 DB를 따로 열어 저장
+      const dbName = `WordsDB_${window.ContentBasedDBManager.sanitizeContentId(contentId)}`;
+      const listDb = new window.IndexedDBManager(dbName);
+      await listDb.initDatabase();
+
+      try {
+        if (await listDb.getWordCount({}) > 0) {
+          throw new Error('같은 이름의 콘텐츠에 이미 단어가 있습니다');
+        }
+
+        const words = this.toWordRecords(entries, contentId);
+        await listDb.saveWordsWithSetting(words, this.SOURCE_KEY, {
+          type: 'local',
+          name: contentId,
+          createdAt: new Date().toISOString(),
+          wordCount: words.length
+        });
+        await listDb.saveSetting('initialDataLoaded', true);
+      } finally {
+        // 콘텐츠를 전환할 때 ContentBasedDBManager가 같은 DB를 열 수 있도록 연결 닫기
+        if (listDb.db) listDb.db.close();
+      }
+
+      const names = this.getListNames();
+      if (!names.includes(contentId)) {
+        names.push(contentId);
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(names));
+      }
+      if (window.ContentSources) {
+        window.ContentSources.rememberSource(contentId, 'local');
+      }
+
+      const wordCount = Math.min(entries.length, this.MAX_WORDS);
+      console.log(`[LocalWordList] "${contentId}" 단어장 생성: ${wordCount}개 단어`);
+      return wordCount;
+    }
+  };
+
+  console.log('LocalWordList 로드 완료');
+})();
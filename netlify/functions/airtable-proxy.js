@@ -1,73 +1,387 @@
+const { verifyToken } = require('./lib/app-token');
+
+// 허용된 에어테이블 API 호스트
+const AIRTABLE_API_HOST = 'api.airtable.com';
+
+// 서버에서 실제 베이스로 해석하는 별칭 (클라이언트 URL의 베이스 ID 자리)
+const CONTENTS_BASE_ALIAS = '@contents';
+const USER_BASE_ALIAS = '@user';
+
+// 대상별로 프록시가 전달하는 HTTP 메서드 (DELETE/PUT 등은 모두 차단)
+// - contents: 공용 단어 콘텐츠 (@contents, 허용 목록의 콘텐츠 베이스) → 읽기만
+// - user: 사용자 진도 테이블 (@user, 사용자 베이스) → 읽기와 생성/수정
+const TARGET_METHODS = {
+  contents: ['GET'],
+  user: ['GET', 'POST', 'PATCH']
+};
+
+// 사용자 테이블에서 레코드 주인을 나타내는 필드 (토큰의 전화번호와 비교)
+const OWNER_FIELD = 'phone';
+
+/**
+ * 쉼표로 구분된 환경변수를 배열로 변환
+ * @param {string} value - 환경변수 값
+ * @returns {Array<string>} 공백 제거된 항목 배열
+ */
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 환경변수에서 허용 목록 로드
+ * - airtable_allowed_bases: 허용할 베이스 ID (예: appXXXX,appYYYY)
+ * - airtable_allowed_tables: 허용할 테이블 (예: words,user 또는 appXXXX/words)
+ * @returns {{bases: Array<string>, tables: Array<string>}} 허용 목록
+ */
+function loadAllowlist() {
+  return {
+    bases: parseList(process.env.airtable_allowed_bases),
+    tables: parseList(process.env.airtable_allowed_tables)
+  };
+}
+
+/**
+ * 서버에서 해석할 베이스 별칭 설정 로드
+ * - airtable_content_sources: 콘텐츠 ID별 베이스/테이블 (JSON, 예: {"suneung":"appXXXX/words"})
+ * - airtable_user_base: 사용자/진도 데이터 베이스 ID
+ * 클라이언트는 @contents, @user 별칭과 콘텐츠 ID만 보내고 실제 베이스 ID와 API 키는 알 필요 없음
+ * @returns {{contents: Object, userBase: string}} 별칭 설정
+ */
+function loadResolvedSources() {
+  let contents = {};
+  try {
+    contents = JSON.parse(process.env.airtable_content_sources || '{}') || {};
+  } catch (e) {
+    console.error('airtable_content_sources 파싱 오류:', e.message);
+  }
+  return {
+    contents,
+    userBase: (process.env.airtable_user_base || '').trim()
+  };
+}
+
+/**
+ * 콘텐츠 ID에 해당하는 베이스/테이블 조회
+ * @param {Object} contents - 콘텐츠 ID별 설정
+ * @param {string} contentId - 콘텐츠 ID
+ * @returns {{base: string, table: string}|null} 베이스/테이블
+ */
+function findContentSource(contents, contentId) {
+  if (!contentId || !Object.prototype.hasOwnProperty.call(contents, contentId)) {
+    return null;
+  }
+
+  const source = contents[contentId];
+  if (typeof source === 'string') {
+    const [base, ...tableParts] = source.split('/');
+    return base && tableParts.length > 0 ? { base, table: tableParts.join('/') } : null;
+  }
+  return source && source.base && source.table ? { base: source.base, table: source.table } : null;
+}
+
+/**
+ * 테이블이 허용 목록에 포함되는지 확인
+ * @param {Array<string>} tables - 허용 테이블 목록
+ * @param {string} baseId - 베이스 ID
+ * @param {string} table - 테이블 이름
+ * @returns {boolean} 허용 여부
+ */
+function isTableAllowed(tables, baseId, table) {
+  return tables.includes(table) || tables.includes(`${baseId}/${table}`);
+}
+
+/**
+ * 요청 URL 검사 및 베이스 별칭 해석
+ * - 일반 URL: 허용 목록에 포함된 베이스/테이블만 허용
+ * - @contents: 콘텐츠 ID로 설정된 베이스/테이블로 교체 (클라이언트 테이블명 무시)
+ * - @user: 사용자 베이스로 교체, 테이블은 허용 목록 확인
+ * - target: 사용자 베이스면 user, 그 밖에는 contents (허용 메서드 결정에 사용)
+ * @param {string} rawUrl - 클라이언트가 보낸 URL
+ * @param {Object} allowlist - 허용 목록
+ * @param {string} contentId - 콘텐츠 ID (@contents 요청 시 필요)
+ * @returns {{ok: boolean, url?: string, tableUrl?: string, recordId?: string, target?: string, statusCode?: number, code?: string, error?: string}} 검사 결과
+ */
+function checkUrl(rawUrl, allowlist, contentId) {
+  let parsed;
+  try {
+    parsed = new URL(rawUrl);
+  } catch (e) {
+    return { ok: false, statusCode: 400, code: 'INVALID_URL', error: 'Invalid URL' };
+  }
+
+  if (parsed.protocol !== 'https:' || parsed.hostname !== AIRTABLE_API_HOST ||
+      parsed.username || parsed.password || (parsed.port && parsed.port !== '443')) {
+    return { ok: false, statusCode: 403, code: 'HOST_NOT_ALLOWED', error: `Host not allowed: ${parsed.hostname}` };
+  }
+
+  // 경로 형식: /v0/{baseId}/{table}[/{recordId}]
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  if (segments.length < 3 || segments.length > 4 || segments[0] !== 'v0') {
+    return { ok: false, statusCode: 403, code: 'PATH_NOT_ALLOWED', error: 'Only record endpoints are allowed' };
+  }
+
+  let baseId = segments[1];
+  let target = 'contents';
+  let table;
+  try {
+    table = decodeURIComponent(segments[2]);
+  } catch (e) {
+    return { ok: false, statusCode: 400, code: 'INVALID_URL', error: 'Invalid table name' };
+  }
+
+  if (baseId === CONTENTS_BASE_ALIAS) {
+    const source = findContentSource(loadResolvedSources().contents, contentId);
+    if (!source) {
+      return { ok: false, statusCode: 404, code: 'CONTENT_NOT_CONFIGURED', error: `Content not configured: ${contentId}` };
+    }
+    baseId = source.base;
+    table = source.table;
+  } else if (baseId === USER_BASE_ALIAS) {
+    const userBase = loadResolvedSources().userBase;
+    if (!userBase) {
+      return { ok: false, statusCode: 500, code: 'USER_BASE_NOT_CONFIGURED', error: 'User base not configured' };
+    }
+    baseId = userBase;
+    target = 'user';
+    if (!isTableAllowed(allowlist.tables, baseId, table)) {
+      return { ok: false, statusCode: 403, code: 'TABLE_NOT_ALLOWED', error: `Table not allowed: ${table}` };
+    }
+  } else {
+    // 허용 목록이 없으면 직접 지정한 베이스는 모두 거부 (열린 프록시 방지)
+    if (allowlist.bases.length === 0 || allowlist.tables.length === 0) {
+      return { ok: false, statusCode: 500, code: 'ALLOWLIST_NOT_CONFIGURED', error: 'Proxy allowlist not configured' };
+    }
+
+    if (!allowlist.bases.includes(baseId)) {
+      return { ok: false, statusCode: 403, code: 'BASE_NOT_ALLOWED', error: `Base not allowed: ${baseId}` };
+    }
+
+    if (!isTableAllowed(allowlist.tables, baseId, table)) {
+      return { ok: false, statusCode: 403, code: 'TABLE_NOT_ALLOWED', error: `Table not allowed: ${table}` };
+    }
+
+    // 직접 지정한 베이스도 사용자 베이스일 때만 쓰기 허용
+    if (baseId === loadResolvedSources().userBase) {
+      target = 'user';
+    }
+  }
+
+  const recordPath = segments[3] ? `/${segments[3]}` : '';
+  const tableUrl = `https://${AIRTABLE_API_HOST}/v0/${baseId}/${encodeURIComponent(table)}`;
+  return {
+    ok: true,
+    target,
+    tableUrl,
+    recordId: segments[3] || null,
+    url: `${tableUrl}${recordPath}${parsed.search}`
+  };
+}
+
+/**
+ * filterByFormula 문자열 값 이스케이프
+ * @param {string} value - 값
+ * @returns {string} 큰따옴표 안에 넣을 수 있는 값
+ */
+function escapeFormulaString(value) {
+  return String(value).replace(/["\\]/g, '\\$&');
+}
+
+/**
+ * 사용자 테이블 목록 조회를 토큰 주인의 레코드로 제한 (filterByFormula에 phone 조건을 AND로 추가)
+ * @param {string} url - 검사를 통과한 URL
+ * @param {string} phone - 토큰의 전화번호
+ * @returns {string} 조건을 추가한 URL
+ */
+function restrictToOwner(url, phone) {
+  const parsed = new URL(url);
+  const ownerFormula = `{${OWNER_FIELD}}="${escapeFormulaString(phone)}"`;
+  const formula = parsed.searchParams.get('filterByFormula');
+  parsed.searchParams.set('filterByFormula', formula ? `AND(${ownerFormula},${formula})` : ownerFormula);
+  return parsed.toString();
+}
+
+/**
+ * 사용자 테이블 쓰기가 토큰 주인의 레코드만 대상으로 하는지 확인
+ * - 보내는 필드에 phone이 있으면 토큰 전화번호와 같아야 하고, 생성(POST)과 upsert는 phone 필수
+ * - upsert 병합 키는 "전화번호_"로 시작해야 함 (다른 사용자 레코드에 병합 방지)
+ * - 레코드 ID로 수정하면 기존 레코드를 조회해 phone 확인
+ * @param {Object} urlCheck - checkUrl 결과
+ * @param {string} method - POST | PATCH
+ * @param {Object} body - 요청 본문
+ * @param {string} phone - 토큰의 전화번호
+ * @param {string} apiKey - 에어테이블 API 키
+ * @returns {Promise<string|null>} 거부 사유 (허용이면 null)
+ */
+async function checkOwnerWrite(urlCheck, method, body, phone, apiKey) {
+  const data = body || {};
+  const records = Array.isArray(data.records) ?
+    data.records : [{ id: urlCheck.recordId, fields: data.fields }];
+  const upsertFields = data.performUpsert && Array.isArray(data.performUpsert.fieldsToMergeOn) ?
+    data.performUpsert.fieldsToMergeOn : null;
+
+  for (const record of records) {
+    const fields = (record && record.fields) || {};
+
+    if (fields[OWNER_FIELD] !== undefined && String(fields[OWNER_FIELD]) !== phone) {
+      return 'Record owner does not match token';
+    }
+
+    if (method === 'POST' || upsertFields) {
+      if (String(fields[OWNER_FIELD] || '') !== phone) {
+        return `${OWNER_FIELD} field is required`;
+      }
+    }
+
+    if (upsertFields) {
+      const mergeOk = upsertFields.every(field => field === OWNER_FIELD ||
+        String(fields[field] || '').startsWith(`${phone}_`));
+      if (!mergeOk) {
+        return 'Upsert key does not belong to token owner';
+      }
+    }
+  }
+
+  // 레코드 ID로 수정: 기존 레코드 주인 확인
+  if (method === 'PATCH' && !upsertFields) {
+    for (const record of records) {
+      if (!record || !record.id) {
+        return 'Record id is required';
+      }
+
+      const response = await fetch(`${urlCheck.tableUrl}/${encodeURIComponent(record.id)}`, {
+        method: 'GET',
+        redirect: 'error',
+        headers: { 'Authorization': `Bearer ${apiKey}` }
+      });
+      const existing = response.ok ? await response.json() : null;
+      if (!existing || !existing.fields || String(existing.fields[OWNER_FIELD]) !== phone) {
+        return 'Record owner does not match token';
+      }
+    }
+  }
+
+  return null;
+}
+
 exports.handler = async (event) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-App-Token',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
     'Content-Type': 'application/json'
   };
 
+  const reject = (statusCode, code, error) => ({
+    statusCode,
+    headers,
+    body: JSON.stringify({ error, code })
+  });
+
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 200, headers, body: '' };
   }
 
   if (event.httpMethod === 'GET') {
+    const allowlist = loadAllowlist();
+    const resolved = loadResolvedSources();
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({
         message: 'Airtable Proxy is working!',
         timestamp: new Date().toISOString(),
-        hasApiKey: !!process.env.airtable_key
+        hasApiKey: !!process.env.airtable_key,
+        hasTokenSecret: !!process.env.token_secret,
+        hasAllowlist: allowlist.bases.length > 0 && allowlist.tables.length > 0,
+        resolvedContents: Object.keys(resolved.contents).length,
+        hasUserBase: !!resolved.userBase
       })
     };
   }
 
   if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
+    return reject(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
   }
 
   try {
     const AIRTABLE_API_KEY = process.env.airtable_key;
-    
+
     if (!AIRTABLE_API_KEY) {
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({ error: 'API key not configured' })
-      };
+      return reject(500, 'API_KEY_NOT_CONFIGURED', 'API key not configured');
+    }
+
+    // 유효한 앱 토큰이 있어야 프록시 사용 가능 (기존 토큰은 전환 기간 동안만)
+    const requestHeaders = event.headers || {};
+    const tokenCheck = verifyToken(requestHeaders['x-app-token'], process.env.token_secret);
+    if (!tokenCheck.valid) {
+      const statusCode = tokenCheck.code === 'TOKEN_SECRET_NOT_CONFIGURED' ? 500 : 401;
+      return reject(statusCode, tokenCheck.code, tokenCheck.reason);
     }
 
-    const { url, method = 'GET', body } = JSON.parse(event.body || '{}');
-    
+    let payload;
+    try {
+      payload = JSON.parse(event.body || '{}');
+    } catch (e) {
+      return reject(400, 'INVALID_BODY', 'Invalid JSON body');
+    }
+
+    const { url, body, contentId } = payload;
+    const method = String(payload.method || 'GET').toUpperCase();
+
     if (!url) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'URL required' })
-      };
+      return reject(400, 'URL_REQUIRED', 'URL required');
+    }
+
+    const urlCheck = checkUrl(url, loadAllowlist(), contentId);
+    if (!urlCheck.ok) {
+      return reject(urlCheck.statusCode, urlCheck.code, urlCheck.error);
+    }
+
+    if (!TARGET_METHODS[urlCheck.target].includes(method)) {
+      return reject(405, 'METHOD_NOT_ALLOWED', `Method not allowed for ${urlCheck.target}: ${method}`);
+    }
+
+    // 사용자 테이블은 토큰 주인의 레코드만 읽고 쓸 수 있음
+    const ownerPhone = String(tokenCheck.phone);
+    let targetUrl = urlCheck.url;
+    if (urlCheck.target === 'user') {
+      if (method === 'GET' && !urlCheck.recordId) {
+        targetUrl = restrictToOwner(urlCheck.url, ownerPhone);
+      } else if (method !== 'GET') {
+        const ownerError = await checkOwnerWrite(urlCheck, method, body, ownerPhone, AIRTABLE_API_KEY);
+        if (ownerError) {
+          return reject(403, 'OWNER_MISMATCH', ownerError);
+        }
+      }
     }
 
     const fetchOptions = {
       method,
+      redirect: 'error',
       headers: {
         'Authorization': `Bearer ${AIRTABLE_API_KEY}`,
         'Content-Type': 'application/json'
       }
     };
 
-    // PATCH/POST/PUT 요청의 경우 body 추가
-    if (body && (method === 'PATCH' || method === 'POST' || method === 'PUT')) {
+    // PATCH/POST 요청의 경우 body 추가
+    if (body && (method === 'PATCH' || method === 'POST')) {
       fetchOptions.body = JSON.stringify(body);
     }
 
-    const response = await fetch(url, fetchOptions);
+    const response = await fetch(targetUrl, fetchOptions);
 
     const data = await response.json();
 
+    // 레코드 ID로 조회한 사용자 레코드는 주인만 받을 수 있음
+    if (urlCheck.target === 'user' && method === 'GET' && urlCheck.recordId && response.ok &&
+        (!data.fields || String(data.fields[OWNER_FIELD]) !== ownerPhone)) {
+      return reject(403, 'OWNER_MISMATCH', 'Record owner does not match token');
+    }
+
     return {
       statusCode: response.status,
       headers,
@@ -75,10 +389,6 @@ exports.handler = async (event) => {
     };
 
   } catch (error) {
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ error: error.message })
-    };
+    return reject(500, 'PROXY_ERROR', error.message);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,115 @@
+const { issueToken, verifyToken, safeEqual, getLegacyUntil } = require('./lib/app-token');
+
+// 발급 가능한 최대 유효 기간 (1년)
+const MAX_TOKEN_LIFETIME_MS = 366 * 24 * 60 * 60 * 1000;
+
+exports.handler = async (event) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Issuer-Key',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  const respond = (statusCode, data) => ({
+    statusCode,
+    headers,
+    body: JSON.stringify(data)
+  });
+
+  const reject = (statusCode, code, error) => respond(statusCode, { error, code });
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod === 'GET') {
+    return respond(200, {
+      message: 'Auth token function is working!',
+      timestamp: new Date().toISOString(),
+      hasSecret: !!process.env.token_secret,
+      legacyAcceptedUntil: new Date(getLegacyUntil()).toISOString()
+    });
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return reject(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+  }
+
+  const secret = process.env.token_secret;
+  if (!secret) {
+    return reject(500, 'TOKEN_SECRET_NOT_CONFIGURED', 'Token secret not configured');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.body || '{}');
+  } catch (e) {
+    return reject(400, 'INVALID_BODY', 'Invalid JSON body');
+  }
+
+  // 토큰 검증: 기존 형식이면 신규 토큰으로 교환해서 반환
+  // (기존 토큰의 만료일은 서명이 없어 믿을 수 없으므로 전환 종료일과 최대 유효 기간으로 제한)
+  if (payload.action === 'verify') {
+    const result = verifyToken(payload.token, secret);
+
+    if (!result.valid) {
+      return respond(200, {
+        valid: false,
+        code: result.code,
+        reason: result.reason,
+        phone: result.phone,
+        exp: result.exp
+      });
+    }
+
+    if (result.format === 'legacy') {
+      const legacyUntil = getLegacyUntil();
+      if (Date.now() > legacyUntil) {
+        return respond(200, {
+          valid: false,
+          code: 'TOKEN_INVALID',
+          reason: 'Legacy token no longer accepted',
+          phone: result.phone
+        });
+      }
+
+      const exp = Math.min(result.exp, legacyUntil, Date.now() + MAX_TOKEN_LIFETIME_MS);
+      return respond(200, {
+        valid: true,
+        format: result.format,
+        phone: result.phone,
+        exp,
+        token: issueToken(result.phone, exp, secret)
+      });
+    }
+
+    return respond(200, {
+      valid: true,
+      format: result.format,
+      phone: result.phone,
+      exp: result.exp,
+      token: payload.token
+    });
+  }
+
+  // 토큰 발급: 타입봇 등 발급 서버만 호출 (X-Issuer-Key 필요)
+  if (payload.action === 'issue') {
+    const issuerKey = process.env.token_issuer_key;
+    const providedKey = (event.headers || {})['x-issuer-key'];
+
+    if (!issuerKey || !providedKey || !safeEqual(providedKey, issuerKey)) {
+      return reject(403, 'ISSUER_NOT_ALLOWED', 'Issuer key required');
+    }
+
+    const phone = String(payload.phone || '').trim();
+    const exp = Number(payload.exp);
+    if (!phone || !Number.isFinite(exp) || exp <= Date.now() || exp - Date.now() > MAX_TOKEN_LIFETIME_MS) {
+      return reject(400, 'INVALID_TOKEN_REQUEST', 'phone and a future exp (ms) are required');
+    }
+
+    return respond(200, { token: issueToken(phone, exp, secret), phone, exp });
+  }
+
+  return reject(400, 'INVALID_ACTION', 'action must be verify or issue');
+};
@@ -0,0 +1,178 @@
+/**
+ * app-token.js - 앱 접근 토큰 발급/검증 공용 모듈
+ * auth-token, airtable-proxy 함수에서 함께 사용 (함수로 배포되지 않는 lib 폴더)
+ *
+ * 토큰 형식
+ * - 신규: mk2.{base64url(payload)}.{base64url(HMAC-SHA256)}  payload = { phone, exp, iat }
+ * - 기존: base64(phone_exp_check)_x7K9m  (check = (exp * 7) % 999983, 전환 기간 동안만 허용)
+ */
+const crypto = require('crypto');
+
+// 신규 토큰 접두사
+const TOKEN_PREFIX = 'mk2';
+
+// 기존 토큰 접미사
+const LEGACY_SUFFIX = '_x7K9m';
+
+// 기존 토큰 허용 종료일 기본값 (환경변수 legacy_token_until 로 변경 가능)
+const DEFAULT_LEGACY_UNTIL = '2027-03-01T00:00:00+09:00';
+
+/**
+ * base64url 인코딩
+ * @param {Buffer|string} value - 인코딩할 값
+ * @returns {string} base64url 문자열
+ */
+function toBase64Url(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * base64url 디코딩
+ * @param {string} value - base64url 문자열
+ * @returns {Buffer} 디코딩된 버퍼
+ */
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(base64 + '='.repeat((4 - base64.length % 4) % 4), 'base64');
+}
+
+/**
+ * 서명 생성
+ * @param {string} data - 서명할 문자열
+ * @param {string} secret - 서버 비밀키
+ * @returns {string} base64url 서명
+ */
+function sign(data, secret) {
+  return toBase64Url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+/**
+ * 길이와 무관하게 시간 일정 비교
+ * @param {string} a - 비교 문자열
+ * @param {string} b - 비교 문자열
+ * @returns {boolean} 일치 여부
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * 기존 토큰 허용 종료 시각
+ * @returns {number} 타임스탬프 (ms)
+ */
+function getLegacyUntil() {
+  const configured = Date.parse(process.env.legacy_token_until || '');
+  return isNaN(configured) ? Date.parse(DEFAULT_LEGACY_UNTIL) : configured;
+}
+
+/**
+ * 신규 토큰 발급
+ * @param {string} phone - 전화번호
+ * @param {number} exp - 만료 시각 (ms)
+ * @param {string} secret - 서버 비밀키
+ * @returns {string} 서명된 토큰
+ */
+function issueToken(phone, exp, secret) {
+  const payload = toBase64Url(JSON.stringify({ phone: String(phone), exp: Number(exp), iat: Date.now() }));
+  return `${TOKEN_PREFIX}.${payload}.${sign(`${TOKEN_PREFIX}.${payload}`, secret)}`;
+}
+
+/**
+ * 신규(HMAC) 토큰 검증
+ * @param {string} token - 토큰
+ * @param {string} secret - 서버 비밀키
+ * @returns {Object} 검증 결과
+ */
+function verifySignedToken(token, secret) {
+  if (!secret) {
+    return { valid: false, code: 'TOKEN_SECRET_NOT_CONFIGURED', reason: 'Token secret not configured' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+    return { valid: false, code: 'TOKEN_INVALID', reason: 'Malformed token' };
+  }
+
+  const [prefix, payload, signature] = parts;
+  if (!safeEqual(signature, sign(`${prefix}.${payload}`, secret))) {
+    return { valid: false, code: 'TOKEN_INVALID', reason: 'Invalid signature' };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(payload).toString('utf8'));
+  } catch (e) {
+    return { valid: false, code: 'TOKEN_INVALID', reason: 'Malformed payload' };
+  }
+
+  if (!data.phone || !Number.isFinite(data.exp)) {
+    return { valid: false, code: 'TOKEN_INVALID', reason: 'Malformed payload' };
+  }
+
+  return { valid: true, format: 'hmac', phone: data.phone, exp: data.exp };
+}
+
+/**
+ * 기존(_x7K9m) 토큰 검증 - 전환 기간 동안만 허용
+ * @param {string} token - 토큰
+ * @returns {Object} 검증 결과
+ */
+function verifyLegacyToken(token) {
+  if (Date.now() > getLegacyUntil()) {
+    return { valid: false, code: 'TOKEN_INVALID', reason: 'Legacy token no longer accepted' };
+  }
+
+  const decoded = Buffer.from(token.slice(0, -LEGACY_SUFFIX.length), 'base64').toString('utf8');
+  const parts = decoded.split('_');
+  if (parts.length !== 3) {
+    return { valid: false, code: 'TOKEN_INVALID', reason: 'Malformed legacy token' };
+  }
+
+  const [phone, expStr, checkStr] = parts;
+  const exp = parseInt(expStr, 10);
+  const check = parseInt(checkStr, 10);
+  if (!phone || isNaN(exp) || isNaN(check) || check !== (exp * 7) % 999983) {
+    return { valid: false, code: 'TOKEN_INVALID', reason: 'Invalid legacy token' };
+  }
+
+  return { valid: true, format: 'legacy', phone, exp };
+}
+
+/**
+ * 토큰 검증 (형식 자동 판별 + 만료 확인)
+ * @param {string} token - 토큰
+ * @param {string} secret - 서버 비밀키
+ * @returns {{valid: boolean, code?: string, reason?: string, format?: string, phone?: string, exp?: number}} 검증 결과
+ */
+function verifyToken(token, secret) {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, code: 'TOKEN_REQUIRED', reason: 'Token required' };
+  }
+
+  let result;
+  if (token.startsWith(`${TOKEN_PREFIX}.`)) {
+    result = verifySignedToken(token, secret);
+  } else if (token.endsWith(LEGACY_SUFFIX)) {
+    result = verifyLegacyToken(token);
+  } else {
+    return { valid: false, code: 'TOKEN_INVALID', reason: 'Unknown token format' };
+  }
+
+  if (result.valid && result.exp < Date.now()) {
+    return { valid: false, code: 'TOKEN_EXPIRED', reason: 'Token expired', phone: result.phone, exp: result.exp };
+  }
+
+  return result;
+}
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  safeEqual,
+  getLegacyUntil
+};
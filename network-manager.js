@@ -143,22 +143,6 @@ class NetworkManager {
       }
     }
     
-    // URL 파라미터에서 API 키 가져오기
-    if (!apiKey) {
-      try {
-        const params = typeof parseUrlParams === 'function' ? 
-          parseUrlParams() : new URLSearchParams(window.location.search);
-        
-        apiKey = params.get('airtable_apikey');
-        if (apiKey) {
-          apiKey = decodeURIComponent(apiKey);
-          this._apiKeySource = 'url';
-        }
-      } catch (e) {
-        console.warn('URL 파라미터 파싱 오류:', e);
-      }
-    }
-    
     // app.airtableManager에서 API 키 가져오기
     if (!apiKey && window.app && window.app.airtableManager) {
       apiKey = window.app.airtableManager.apiKey;
@@ -217,7 +201,8 @@ class NetworkManager {
       
       const requestBody = {
         url: url,
-        method: method
+        method: method,
+        contentId: window.AirtableManager ? window.AirtableManager.getInstance().getContentId() : null
       };
       
       if (data && method !== 'GET') {
@@ -227,7 +212,8 @@ class NetworkManager {
       const response = await fetch(this.proxyUrl, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(window.tokenValidator ? window.tokenValidator.getAuthHeaders() : {})
         },
         body: JSON.stringify(requestBody)
       });
@@ -236,12 +222,13 @@ class NetworkManager {
         const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
         
         // 인증 오류 처리
-        if (response.status === 500 && errorData.error && errorData.error.includes('API key not configured')) {
+        if (errorData.code === 'API_KEY_NOT_CONFIGURED' ||
+            (response.status === 500 && typeof errorData.error === 'string' && errorData.error.includes('API key not configured'))) {
           console.error('Netlify 환경변수에 API 키가 설정되지 않았습니다');
           throw new Error('AUTHENTICATION_REQUIRED');
         }
         
-        throw new Error(errorData.error || `프록시 오류: ${response.status}`);
+        throw this.createProxyError(errorData, response.status);
       }
       
       return await response.json();
@@ -251,6 +238,30 @@ class NetworkManager {
     }
   }
 
+  /**
+   * 프록시 오류 응답을 Error 객체로 변환
+   * 허용 목록 거부 시 code/status를 함께 담아 호출 측에서 구분할 수 있도록 함
+   * @param {Object} errorData - 프록시 오류 응답 ({ error, code })
+   * @param {number} status - HTTP 상태 코드
+   * @returns {Error} 변환된 오류
+   */
+  createProxyError(errorData, status) {
+    const code = errorData && errorData.code ? errorData.code : null;
+    const rawMessage = errorData && errorData.error ?
+      (typeof errorData.error === 'string' ? errorData.error : errorData.error.message || JSON.stringify(errorData.error)) :
+      `프록시 오류: ${status}`;
+    
+    const description = code ? NetworkManager.PROXY_ERROR_MESSAGES[code] : null;
+    if (description) {
+      console.error(`프록시 요청 거부 (${code}): ${description}`);
+    }
+    
+    const error = new Error(code ? `[${code}] ${rawMessage}` : rawMessage);
+    error.code = code;
+    error.status = status;
+    return error;
+  }
+
   /**
    * GET 요청 실행
    * @param {string} url - 요청 URL
@@ -509,5 +520,24 @@ class NetworkManager {
   }
 }
 
+// 프록시 거부 코드별 안내 메시지
+NetworkManager.PROXY_ERROR_MESSAGES = {
+  URL_REQUIRED: '요청 URL이 없습니다.',
+  INVALID_URL: '요청 URL 형식이 올바르지 않습니다.',
+  INVALID_BODY: '프록시 요청 본문이 올바르지 않습니다.',
+  HOST_NOT_ALLOWED: '에어테이블 API 이외의 주소는 요청할 수 없습니다.',
+  PATH_NOT_ALLOWED: '허용되지 않은 에어테이블 API 경로입니다.',
+  METHOD_NOT_ALLOWED: '허용되지 않은 요청 방식입니다.',
+  BASE_NOT_ALLOWED: '허용되지 않은 에어테이블 베이스입니다.',
+  TABLE_NOT_ALLOWED: '허용되지 않은 에어테이블 테이블입니다.',
+  ALLOWLIST_NOT_CONFIGURED: '프록시 허용 목록이 서버에 설정되지 않았습니다.',
+  TOKEN_REQUIRED: '앱 인증 토큰이 없습니다. 다시 로그인해 주세요.',
+  TOKEN_INVALID: '앱 인증 토큰이 유효하지 않습니다. 다시 로그인해 주세요.',
+  TOKEN_EXPIRED: '사용 기간이 만료되었습니다.',
+  TOKEN_SECRET_NOT_CONFIGURED: '서버에 토큰 비밀키가 설정되지 않았습니다.',
+  CONTENT_NOT_CONFIGURED: '서버에 등록되지 않은 콘텐츠입니다.',
+  USER_BASE_NOT_CONFIGURED: '서버에 사용자 DB가 설정되지 않았습니다.'
+};
+
 // 전역 객체로 등록
 window.NetworkManager = NetworkManager;
\ No newline at end of file
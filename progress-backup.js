@@ -0,0 +1,281 @@
+/**
+ * progress-backup.js - 학습 진도 내보내기/가져오기
+ * 콘텐츠별 IndexedDB에만 있는 진도를 JSON 파일로 옮겨 다른 기기나 브라우저에서 복원
+ * - 파일: { format, version, contentId, exportedAt, records: [{ airtableId, No, word, fields, history }] }
+ *   fields = 진도/SRS/별표·메모·태그 필드, history = 그 단어의 답변 기록(answerLog)
+ * - 가져올 때 콘텐츠 ID가 같아야 하고, 단어는 airtableId → No(단어가 같을 때만) 순서로 찾음
+ * - merge: 더 최근에 학습한 쪽 진도를 쓰고 메모/태그/답변 기록은 합침
+ *   overwrite: 파일의 값으로 진도와 답변 기록을 덮어씀
+ * - 가져와서 바뀐 진도는 에어테이블 동기화 큐에도 넣음 (새 기기에서 복원해도 진도 테이블이 같아지도록)
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.ProgressBackup) {
+    console.log('ProgressBackup이 이미 정의되어 있습니다.');
+    return;
+  }
+
+  window.ProgressBackup = {
+    FORMAT: 'word-progress',
+    VERSION: 1,
+
+    // 내보내는 진도 필드
+    PROGRESS_FIELDS: [
+      'known_2', 'status', 'difficult', 'studiedDate', 'isStudied',
+      'lastGrade', 'firstTimeInMemorizing', 'reverseProgress',
+      'srsInterval', 'srsEase', 'srsReps', 'srsLapses', 'srsDue'
+    ],
+
+    // 단어 레코드에 붙은 사용자 필드
+    PERSONAL_FIELDS: ['starred', 'note', 'tags'],
+
+    // 답변 기록에서 내보내는 필드 (id, wordId는 가져올 때 다시 정함)
+    HISTORY_FIELDS: [
+      'mode', 'isKnown', 'grade', 'latencyMs', 'sessionId', 'isRepeat',
+      'direction', 'timestamp', 'answeredAt', 'day'
+    ],
+
+    /**
+     * 현재 콘텐츠 ID
+     * @param {Object} dbManager - IndexedDBManager
+     * @returns {string} 콘텐츠 ID
+     */
+    getContentId(dbManager) {
+      return (dbManager && dbManager.currentContent) || 'default';
+    },
+
+    /**
+     * 내보낼 만한 기록이 있는 단어인지 (학습했거나 별표/메모/태그/답변 기록이 있음)
+     * @param {Object} word - 단어 레코드
+     * @param {Array} history - 답변 기록
+     * @returns {boolean} 내보낼지
+     */
+    hasProgress(word, history) {
+      return word.isStudied === '1' || !!word.starred || !!word.note ||
+        (Array.isArray(word.tags) && word.tags.length > 0) || history.length > 0;
+    },
+
+    /**
+     * 진도 내보내기 데이터 만들기
+     * @param {Object} dbManager - IndexedDBManager
+     * @returns {Promise<Object|null>} 내보내기 데이터 (실패하면 null)
+     */
+    async buildExport(dbManager) {
+      try {
+        const [words, logs] = await Promise.all([
+          dbManager.getWords({}, 0),
+          typeof dbManager.getAllAnswerLogs === 'function' ? dbManager.getAllAnswerLogs() : []
+        ]);
+
+        const historyByWord = new Map();
+        logs.forEach(log => {
+          const entry = {};
+          this.HISTORY_FIELDS.forEach(field => {
+            if (log[field] !== undefined) entry[field] = log[field];
+          });
+          if (!historyByWord.has(log.wordId)) historyByWord.set(log.wordId, []);
+          historyByWord.get(log.wordId).push(entry);
+        });
+
+        const records = [];
+        words.forEach(word => {
+          const history = historyByWord.get(word._id) || [];
+          if (!this.hasProgress(word, history)) return;
+
+          const fields = {};
+          [...this.PROGRESS_FIELDS, ...this.PERSONAL_FIELDS].forEach(field => {
+            if (word[field] !== undefined) fields[field] = word[field];
+          });
+
+          records.push({
+            airtableId: word.airtableId || null,
+            No: word.No !== undefined ? word.No : null,
+            word: word.word || '',
+            fields,
+            history
+          });
+        });
+
+        return {
+          format: this.FORMAT,
+          version: this.VERSION,
+          contentId: this.getContentId(dbManager),
+          exportedAt: new Date().toISOString(),
+          records
+        };
+      } catch (error) {
+        console.error('진도 내보내기 오류:', error);
+        return null;
+      }
+    },
+
+    /**
+     * 진도를 JSON 파일로 내려받기 (콘텐츠_progress_YYYY-MM-DD.json)
+     * @param {Object} dbManager - IndexedDBManager
+     * @returns {Promise<number|null>} 내보낸 단어 수 (실패하면 null)
+     */
+    async download(dbManager) {
+      const data = await this.buildExport(dbManager);
+      if (!data) return null;
+
+      window.FileDownload.save(JSON.stringify(data),
+        window.FileDownload.getFileName(data.contentId, 'progress', 'json'), 'application/json');
+
+      return data.records.length;
+    },
+
+    /**
+     * 파일 내용 확인
+     * @param {string} text - 파일 내용
+     * @param {string} contentId - 현재 콘텐츠 ID
+     * @returns {{data: Object|null, error: string|null}} 확인 결과
+     */
+    parse(text, contentId) {
+      let data = null;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        return { data: null, error: 'JSON 파일이 아닙니다.' };
+      }
+
+      if (!data || data.format !== this.FORMAT || !Array.isArray(data.records)) {
+        return { data: null, error: '학습 진도 파일이 아닙니다.' };
+      }
+      if (!(Number(data.version) >= 1 && Number(data.version) <= this.VERSION)) {
+        return { data: null, error: `지원하지 않는 파일 버전입니다 (v${data.version}).` };
+      }
+      if (data.contentId !== contentId) {
+        return { data: null, error: `다른 콘텐츠의 진도입니다 ("${data.contentId}").` };
+      }
+      return { data, error: null };
+    },
+
+    /**
+     * 파일의 단어를 이 기기의 단어와 연결 (airtableId 우선, 없으면 No + 단어)
+     * @param {Array} records - 파일의 단어 기록
+     * @param {Array} words - 이 기기의 단어
+     * @returns {{matched: Array, unmatched: Array}} matched = [{ record, word }]
+     */
+    matchRecords(records, words) {
+      const byAirtableId = new Map();
+      const byNo = new Map();
+      words.forEach(word => {
+        if (word.airtableId) byAirtableId.set(word.airtableId, word);
+        if (word.No !== undefined && word.No !== null) byNo.set(Number(word.No), word);
+      });
+
+      const matched = [];
+      const unmatched = [];
+      records.forEach(record => {
+        let word = record.airtableId ? byAirtableId.get(record.airtableId) : null;
+        if (!word && record.No !== null && record.No !== undefined) {
+          const candidate = byNo.get(Number(record.No));
+          if (candidate && (!record.word || candidate.word === record.word)) word = candidate;
+        }
+
+        if (word && record.fields && typeof record.fields === 'object') {
+          matched.push({ record, word });
+        } else {
+          unmatched.push({ airtableId: record.airtableId || null, No: record.No, word: record.word || '' });
+        }
+      });
+
+      return { matched, unmatched };
+    },
+
+    /**
+     * 가져올 필드 값 정하기
+     * @param {Object} local - 이 기기의 단어
+     * @param {Object} fields - 파일의 필드
+     * @param {string} mode - merge | overwrite
+     * @returns {Object|null} 바꿀 필드 (바꿀 것이 없으면 null)
+     */
+    resolveFields(local, fields, mode) {
+      const changes = {};
+      const pick = source => this.PROGRESS_FIELDS.forEach(field => {
+        if (source[field] !== undefined) changes[field] = source[field];
+      });
+
+      if (mode === 'overwrite') {
+        pick(fields);
+        this.PERSONAL_FIELDS.forEach(field => {
+          if (fields[field] !== undefined) changes[field] = fields[field];
+        });
+      } else {
+        // 파일 쪽을 학습했고, 이 기기에서는 학습 전이거나 더 예전에 학습했을 때만 진도를 가져옴
+        const importedStudied = fields.isStudied === '1';
+        const localStudied = local.isStudied === '1';
+        if (importedStudied && (!localStudied || String(fields.studiedDate || '') > String(local.studiedDate || ''))) {
+          pick(fields);
+        }
+
+        if (fields.starred && !local.starred) changes.starred = true;
+        if (fields.note && !local.note) changes.note = fields.note;
+        if (Array.isArray(fields.tags) && fields.tags.length > 0) {
+          const localTags = Array.isArray(local.tags) ? local.tags : [];
+          const tags = Array.from(new Set([...localTags, ...fields.tags]));
+          if (tags.length !== localTags.length) changes.tags = tags;
+        }
+      }
+
+      return Object.keys(changes).length > 0 ? changes : null;
+    },
+
+    /**
+     * 진도 가져오기
+     * @param {Object} dbManager - IndexedDBManager
+     * @param {Object} data - parse로 확인한 파일 데이터
+     * @param {string} [mode] - merge | overwrite
+     * @param {Object} [syncManager] - SyncManager (있으면 바뀐 진도를 동기화 큐에 넣음)
+     * @returns {Promise<Object|null>} { matched, updated, historyAdded, unmatched } (실패하면 null)
+     */
+    async importData(dbManager, data, mode = 'merge', syncManager = null) {
+      try {
+        const words = await dbManager.getWords({}, 0);
+        const { matched, unmatched } = this.matchRecords(data.records, words);
+
+        const updates = [];
+        const changedFields = new Set();
+        const history = [];
+
+        matched.forEach(({ record, word }) => {
+          const changes = this.resolveFields(word, record.fields, mode);
+          if (changes) {
+            updates.push({ _id: word._id, ...changes });
+            Object.keys(changes).forEach(field => changedFields.add(field));
+          }
+
+          (Array.isArray(record.history) ? record.history : []).forEach(entry => {
+            history.push({ ...entry, wordId: word._id });
+          });
+        });
+
+        if (updates.length > 0) {
+          await dbManager.mergeContentFields(updates, Array.from(changedFields));
+        }
+
+        // 에어테이블 진도 테이블에도 반영 (진도 필드가 아닌 별표/메모 등은 큐에서 걸러짐)
+        if (syncManager && typeof syncManager.enqueueWordUpdate === 'function') {
+          for (const { _id, ...changes } of updates) {
+            await syncManager.enqueueWordUpdate(_id, changes);
+          }
+        }
+
+        let historyAdded = 0;
+        if (typeof dbManager.importAnswerLogs === 'function') {
+          const replaceWordIds = mode === 'overwrite' ? matched.map(({ word }) => word._id) : [];
+          historyAdded = await dbManager.importAnswerLogs(history, replaceWordIds);
+        }
+
+        console.log(`[ProgressBackup] 연결 ${matched.length}개, 진도 반영 ${updates.length}개, 답변 기록 ${historyAdded}개, 못 찾음 ${unmatched.length}개`);
+        return { matched: matched.length, updated: updates.length, historyAdded, unmatched };
+      } catch (error) {
+        console.error('진도 가져오기 오류:', error);
+        return null;
+      }
+    }
+  };
+
+  console.log('ProgressBackup 로드 완료');
+})();
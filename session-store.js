@@ -0,0 +1,179 @@
+/**
+ * session-store.js - 학습 세션 이어하기
+ * 카드를 보여줄 때마다 현재 세션(모드 이름, 단어 ID 순서, currentIndex, 정답/오답 통계, 반복/대기 카드, 커스텀 학습 조건)을
+ * IndexedDB 설정(saveSetting)에 저장하고, 다음 실행 때 이어서 학습할 수 있게 함
+ * - 세션을 끝까지 마치거나 중지하면 삭제
+ * - 콘텐츠 DB별로 저장되므로 다른 콘텐츠의 세션과 섞이지 않음
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.SessionStore) {
+    console.log('SessionStore가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  window.SessionStore = {
+    SETTING_KEY: 'activeStudySession',
+
+    // 이어하기 안내에 쓰는 모드 이름
+    MODE_LABELS: {
+      new: 'NEW',
+      memorizing: '암기중',
+      qMemory: 'S 메모리',
+      shortTerm: '단기기억',
+      longTerm: '장기기억',
+      typing: '타이핑',
+      choice: '4지선다',
+      custom: '커스텀 학습'
+    },
+
+    // 이 시간이 지난 세션은 이어하지 않음
+    MAX_AGE_MS: 24 * 60 * 60 * 1000,
+
+    // 모드별로 저장할 통계 필드 (모드에 있는 것만 저장)
+    STAT_FIELDS: [
+      'knownCount', 'unknownCount', 'wordsStudied', 'totalWords',
+      'totalCount', 'studiedWords', 'lastProcessedNo', '_originalWordsLength', 'repeatCount'
+    ],
+
+    // 중복 집계 방지용 Set 필드 (MemorizingMode.studiedWords, NewWordsMode.studiedWordsSet, CustomStudyMode.seenIds)
+    SET_FIELDS: ['studiedWords', 'studiedWordsSet', 'seenIds'],
+
+    /**
+     * 모드 상태 스냅샷 만들기
+     * @param {string} modeName - app.modes의 키
+     * @param {Object} mode - 모드 객체
+     * @param {string} sessionId - app.studySessionId
+     * @returns {Object|null} 스냅샷 (저장할 단어가 없으면 null)
+     */
+    createSnapshot(modeName, mode, sessionId) {
+      if (!modeName || !mode || !Array.isArray(mode.get_ids)) return null;
+
+      const wordIds = mode.get_ids.map(item => (item && typeof item === 'object') ? item._id : item);
+      if (wordIds.length === 0 || wordIds.some(id => !id)) return null;
+
+      const stats = {};
+      const sets = {};
+      this.STAT_FIELDS.forEach(field => {
+        if (typeof mode[field] === 'number') stats[field] = mode[field];
+      });
+      this.SET_FIELDS.forEach(field => {
+        if (mode[field] instanceof Set) sets[field] = Array.from(mode[field]);
+      });
+
+      return {
+        modeName,
+        wordIds,
+        currentIndex: Number(mode.currentIndex) || 0,
+        stats,
+        sets,
+        // 다시 넣은 카드 표시와 대기 카드 (없으면 이어할 때 반복 카드가 첫 답변으로 다시 반영됨)
+        repeatFlags: Array.isArray(mode.repeatFlags) ? mode.repeatFlags.map(Boolean) : null,
+        waitingCards: window.LearningSteps ? window.LearningSteps.getWaitingSnapshot(mode) : [],
+        // 커스텀 학습 조건 (없으면 이어한 뒤 남은 단어 수와 다음 단어 학습하기가 동작하지 않음)
+        options: mode.options ? { ...mode.options } : null,
+        sessionDirection: mode.sessionDirection || 'forward',
+        sessionId: sessionId || null,
+        savedAt: Date.now()
+      };
+    },
+
+    /**
+     * 현재 세션 저장
+     * @param {Object} app - WordLearningApp
+     * @param {string} modeName - 현재 모드 키
+     * @returns {Promise<boolean>} 저장 성공 여부
+     */
+    async save(app, modeName) {
+      if (!app || !app.dbManager || typeof app.dbManager.saveSetting !== 'function') return false;
+
+      const snapshot = this.createSnapshot(modeName, app.currentMode, app.studySessionId);
+      if (!snapshot) return false;
+
+      try {
+        return await app.dbManager.saveSetting(this.SETTING_KEY, snapshot);
+      } catch (error) {
+        console.error('학습 세션 저장 오류:', error);
+        return false;
+      }
+    },
+
+    /**
+     * 이어할 수 있는 세션 읽기 (오래되었거나 형식이 맞지 않으면 삭제 후 null)
+     * @param {Object} dbManager - IndexedDBManager
+     * @returns {Promise<Object|null>} 스냅샷
+     */
+    async load(dbManager) {
+      if (!dbManager || typeof dbManager.getSetting !== 'function') return null;
+
+      try {
+        const snapshot = await dbManager.getSetting(this.SETTING_KEY);
+        if (!snapshot) return null;
+
+        const isValid = Array.isArray(snapshot.wordIds) &&
+          snapshot.currentIndex >= 0 &&
+          snapshot.currentIndex < snapshot.wordIds.length &&
+          (Date.now() - snapshot.savedAt) < this.MAX_AGE_MS;
+
+        if (!isValid) {
+          await this.clear(dbManager);
+          return null;
+        }
+        return snapshot;
+      } catch (error) {
+        console.error('학습 세션 읽기 오류:', error);
+        return null;
+      }
+    },
+
+    /**
+     * 저장된 세션 삭제
+     * @param {Object} dbManager - IndexedDBManager
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    async clear(dbManager) {
+      if (!dbManager || typeof dbManager.saveSetting !== 'function') return false;
+
+      try {
+        return await dbManager.saveSetting(this.SETTING_KEY, null);
+      } catch (error) {
+        console.error('학습 세션 삭제 오류:', error);
+        return false;
+      }
+    },
+
+    /**
+     * 스냅샷의 통계/인덱스를 모드에 되돌림 (단어 배열은 모드가 setWords로 채운 뒤)
+     * @param {Object} mode - 모드 객체
+     * @param {Object} snapshot - 스냅샷
+     */
+    applySnapshot(mode, snapshot) {
+      // setOptions가 seenIds를 비우므로 Set 필드보다 먼저
+      if (snapshot.options && typeof mode.setOptions === 'function') {
+        mode.setOptions(snapshot.options);
+      }
+      Object.entries(snapshot.stats || {}).forEach(([field, value]) => {
+        mode[field] = value;
+      });
+      Object.entries(snapshot.sets || {}).forEach(([field, values]) => {
+        mode[field] = new Set(values);
+      });
+
+      // 반복 카드는 첫 학습 카드가 아님 (LearningSteps.createRepeatCard와 같게)
+      if (Array.isArray(snapshot.repeatFlags) && Array.isArray(mode.repeatFlags) &&
+          snapshot.repeatFlags.length === mode.repeatFlags.length) {
+        mode.repeatFlags = snapshot.repeatFlags.slice();
+        if (Array.isArray(mode.firstTimeFlags)) {
+          mode.firstTimeFlags = mode.firstTimeFlags.map((flag, index) => mode.repeatFlags[index] ? false : flag);
+        }
+      }
+      if (window.LearningSteps && Array.isArray(snapshot.waitingCards)) {
+        window.LearningSteps.restoreWaiting(mode, snapshot.waitingCards);
+      }
+      mode.currentIndex = snapshot.currentIndex;
+    }
+  };
+
+  console.log('SessionStore 로드 완료');
+})();
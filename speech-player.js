@@ -0,0 +1,232 @@
+/**
+ * speech-player.js - 단어 발음 재생
+ * - 에어테이블 audio 첨부파일이 있으면 그 파일을 재생
+ * - 재생에 실패하면 만료된 첨부파일 URL일 수 있으므로 새 URL을 받아 한 번 더 재생
+ * - 없거나 재생에 실패하면 브라우저 speechSynthesis로 읽기 (단어의 문자로 언어 추정)
+ * - 설정(자동 발음, 듣기 모드, 목소리, 속도)은 IndexedDBManager.saveSetting으로 저장
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.SpeechPlayer) {
+    console.log('SpeechPlayer가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  window.SpeechPlayer = {
+    SETTINGS_KEY: 'speechSettings',
+
+    DEFAULT_SETTINGS: {
+      autoPronounce: false, // 카드마다 자동으로 발음
+      listening: false,     // 듣기 모드 (단어를 가리고 소리를 먼저 들려줌)
+      voiceURI: '',         // 비어 있으면 언어에 맞는 첫 번째 목소리
+      rate: 1
+    },
+
+    RATE_MIN: 0.5,
+    RATE_MAX: 1.5,
+
+    // 문자 범위로 추정하는 언어 (위에서부터 검사)
+    LANGUAGE_PATTERNS: [
+      { lang: 'ko-KR', pattern: /[가-힣ㄱ-ㆎ]/ },
+      { lang: 'ja-JP', pattern: /[぀-ヿ]/ },
+      { lang: 'zh-CN', pattern: /[一-鿿]/ },
+      { lang: 'ru-RU', pattern: /[Ѐ-ӿ]/ },
+      { lang: 'es-ES', pattern: /[ñ¿¡]/i },
+      { lang: 'fr-FR', pattern: /[àâçèêëîïôœùûü]/i },
+      { lang: 'de-DE', pattern: /[äöüß]/i }
+    ],
+
+    DEFAULT_LANGUAGE: 'en-US',
+
+    settings: null,
+    _audio: null,
+
+    /**
+     * 설정 읽기 (한 번 읽은 뒤에는 메모리 값 사용)
+     * @returns {Promise<Object>} 설정
+     */
+    async loadSettings() {
+      if (this.settings) return this.settings;
+
+      let saved = null;
+      try {
+        const dbManager = window.app && window.app.dbManager;
+        if (dbManager && typeof dbManager.getSetting === 'function') {
+          saved = await dbManager.getSetting(this.SETTINGS_KEY);
+        }
+      } catch (error) {
+        console.warn('발음 설정 읽기 오류:', error);
+      }
+
+      this.settings = { ...this.DEFAULT_SETTINGS, ...(saved || {}) };
+      return this.settings;
+    },
+
+    /**
+     * 설정 변경 후 저장
+     * @param {Object} changes - 바꿀 설정
+     * @returns {Promise<boolean>} 저장 성공 여부
+     */
+    async saveSettings(changes) {
+      const current = await this.loadSettings();
+      this.settings = { ...current, ...changes };
+
+      const rate = Number(this.settings.rate);
+      this.settings.rate = isNaN(rate) ? 1 :
+        Math.min(this.RATE_MAX, Math.max(this.RATE_MIN, rate));
+
+      try {
+        const dbManager = window.app && window.app.dbManager;
+        if (!dbManager || typeof dbManager.saveSetting !== 'function') return false;
+        return await dbManager.saveSetting(this.SETTINGS_KEY, this.settings);
+      } catch (error) {
+        console.error('발음 설정 저장 오류:', error);
+        return false;
+      }
+    },
+
+    /**
+     * 브라우저 음성 합성 지원 여부
+     * @returns {boolean} 지원 여부
+     */
+    isSpeechSupported() {
+      return typeof window.speechSynthesis !== 'undefined' &&
+        typeof window.SpeechSynthesisUtterance !== 'undefined';
+    },
+
+    /**
+     * 단어의 언어 추정
+     * @param {string} text - 단어
+     * @returns {string} BCP 47 언어 태그
+     */
+    detectLanguage(text) {
+      const value = String(text || '');
+      const match = this.LANGUAGE_PATTERNS.find(item => item.pattern.test(value));
+      return match ? match.lang : this.DEFAULT_LANGUAGE;
+    },
+
+    /**
+     * 사용할 수 있는 목소리 목록 (lang을 주면 같은 언어만)
+     * @param {string} [lang] - 언어 태그
+     * @returns {SpeechSynthesisVoice[]} 목소리 목록
+     */
+    getVoices(lang) {
+      if (!this.isSpeechSupported()) return [];
+
+      const voices = window.speechSynthesis.getVoices() || [];
+      if (!lang) return voices;
+
+      const prefix = lang.split('-')[0].toLowerCase();
+      return voices.filter(voice => String(voice.lang || '').replace('_', '-').toLowerCase().startsWith(prefix));
+    },
+
+    /**
+     * 언어에 맞는 목소리 선택 (설정한 목소리가 같은 언어면 우선)
+     * @param {string} lang - 언어 태그
+     * @returns {SpeechSynthesisVoice|null} 목소리
+     */
+    pickVoice(lang) {
+      const voices = this.getVoices(lang);
+      if (voices.length === 0) return null;
+
+      const voiceURI = this.settings && this.settings.voiceURI;
+      const preferred = voiceURI && voices.find(voice => voice.voiceURI === voiceURI);
+      if (preferred) return preferred;
+
+      return voices.find(voice => voice.lang === lang) || voices[0];
+    },
+
+    /**
+     * 오디오 파일 재생
+     * @param {string} url - 오디오 URL
+     * @returns {Promise<boolean>} 재생 성공 여부
+     */
+    playAudio(url) {
+      if (!url || typeof window.Audio === 'undefined') return Promise.resolve(false);
+
+      return new Promise(resolve => {
+        const audio = new Audio(url);
+        audio.playbackRate = (this.settings && this.settings.rate) || 1;
+        this._audio = audio;
+
+        audio.onended = () => resolve(true);
+        audio.onerror = () => {
+          console.warn('발음 오디오 재생 실패:', url);
+          resolve(false);
+        };
+        audio.play().catch(error => {
+          console.warn('발음 오디오 재생 오류:', error);
+          resolve(false);
+        });
+      });
+    },
+
+    /**
+     * 음성 합성으로 읽기
+     * @param {string} text - 읽을 텍스트
+     * @param {string} [lang] - 언어 태그 (없으면 추정)
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    speak(text, lang) {
+      if (!text || !this.isSpeechSupported()) return Promise.resolve(false);
+
+      return new Promise(resolve => {
+        const utterance = new SpeechSynthesisUtterance(String(text));
+        utterance.lang = lang || this.detectLanguage(text);
+        utterance.rate = (this.settings && this.settings.rate) || 1;
+
+        const voice = this.pickVoice(utterance.lang);
+        if (voice) utterance.voice = voice;
+
+        utterance.onend = () => resolve(true);
+        utterance.onerror = (event) => {
+          // 다음 카드로 넘어가며 취소한 경우는 오류로 보지 않음
+          if (event.error !== 'interrupted' && event.error !== 'canceled') {
+            console.warn('음성 합성 오류:', event.error);
+          }
+          resolve(false);
+        };
+
+        window.speechSynthesis.speak(utterance);
+      });
+    },
+
+    /**
+     * 단어 발음 재생 (오디오 첨부파일 → 음성 합성 순)
+     * @param {Object} word - 단어 레코드
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    async playWord(word) {
+      if (!word || !word.word) return false;
+
+      await this.loadSettings();
+      this.stop();
+
+      if (word.audio && await this.playAudio(word.audio)) {
+        return true;
+      }
+
+      // 에어테이블 첨부파일 URL은 만료되므로 새로 받아 한 번 더 시도
+      const loader = window.app && window.app.dataLoader;
+      if (word.audio && loader && typeof loader.refreshAudioUrls === 'function' &&
+          await loader.refreshAudioUrls([word]) > 0 && await this.playAudio(word.audio)) {
+        return true;
+      }
+      return this.speak(word.word);
+    },
+
+    // 재생 중인 소리 멈춤
+    stop() {
+      if (this._audio) {
+        this._audio.pause();
+        this._audio = null;
+      }
+      if (this.isSpeechSupported()) {
+        window.speechSynthesis.cancel();
+      }
+    }
+  };
+
+  console.log('SpeechPlayer 로드 완료');
+})();
@@ -0,0 +1,267 @@
+/**
+ * srs-scheduler.js - 간격 반복(SM-2) 스케줄러
+ * 단어별 복습 간격(srsInterval), 난이도 계수(srsEase), 다음 복습일(srsDue)을 계산
+ * - 복습일은 한국 시간 자정 기준 (간격 1일 = 다음 날 0시부터 복습 대상)
+ * - 스케줄이 없는 기존 단어는 known_2 구간(0/1/2)에서 초기 간격을 만들어 이전
+ * - 스케줄 필드는 로컬(IndexedDB)에만 저장하고 에어테이블에는 known_2 등 기존 필드만 동기화
+ * - 답변은 알아요/몰라요(boolean) 또는 4단계 등급(다시/어려움/좋음/쉬움 = 1~4)
+ * 버전: 1.1.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.SRSScheduler) {
+    console.log('SRSScheduler가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  window.SRSScheduler = {
+    // SM-2 기본/최소 난이도 계수
+    DEFAULT_EASE: 2.5,
+    MIN_EASE: 1.3,
+
+    // 최대 복습 간격 (일)
+    MAX_INTERVAL: 365,
+
+    // 기존 known_2 구간별 초기 간격 (일)과 반복 횟수
+    BUCKET_SCHEDULES: {
+      '0': { interval: 0, reps: 0 },  // 암기중: 바로 복습
+      '1': { interval: 1, reps: 1 },  // 단기기억: 하루 뒤
+      '2': { interval: 6, reps: 2 }   // 장기기억: SM-2 두 번째 간격
+    },
+
+    // 4단계 답변 등급
+    GRADES: {
+      AGAIN: 1,  // 다시 (몰랐음)
+      HARD: 2,   // 어려움 (겨우 기억)
+      GOOD: 3,   // 좋음 (기억함)
+      EASY: 4    // 쉬움 (바로 앎)
+    },
+
+    // 등급 버튼 표시 이름
+    GRADE_LABELS: {
+      1: '다시',
+      2: '어려움',
+      3: '좋음',
+      4: '쉬움'
+    },
+
+    // 등급별 SM-2 품질 점수 (0~5)
+    GRADE_QUALITY: {
+      1: 1,
+      2: 3,
+      3: 4,
+      4: 5
+    },
+
+    // 등급별 difficult 증감 (알아요/몰라요는 좋음/다시와 같아 기존 ±1 유지)
+    GRADE_DIFFICULTY_DELTA: {
+      1: 1,
+      2: 0,
+      3: -1,
+      4: -2
+    },
+
+    /**
+     * 한국 시간 기준 해당 날짜 0시 (UTC 타임스탬프)
+     * @param {Date|string|number} date - 기준 시각
+     * @returns {number} 타임스탬프 (ms)
+     */
+    getKoreanDayStart(date) {
+      const base = new Date(date);
+      const koreanDate = base.toLocaleDateString('en-CA', { timeZone: 'Asia/Seoul' });
+      return new Date(`${koreanDate}T00:00:00+09:00`).getTime();
+    },
+
+    /**
+     * 답변을 등급으로 변환 (boolean이면 알아요=좋음, 몰라요=다시)
+     * @param {boolean|number} answer - 정답 여부 또는 등급 (1~4)
+     * @returns {number} 등급 (1~4)
+     */
+    toGrade(answer) {
+      if (typeof answer === 'number' && this.GRADE_QUALITY[answer] !== undefined) {
+        return answer;
+      }
+      return answer === true ? this.GRADES.GOOD : this.GRADES.AGAIN;
+    },
+
+    /**
+     * 기억한 것으로 보는 등급인지 (어려움 이상)
+     * @param {number} grade - 등급
+     * @returns {boolean} 통과 여부
+     */
+    isPassingGrade(grade) {
+      return grade >= this.GRADES.HARD;
+    },
+
+    /**
+     * 답변 결과를 SM-2 품질 점수로 변환
+     * @param {boolean|number} answer - 정답 여부 또는 등급 (1~4)
+     * @returns {number} 품질 점수
+     */
+    qualityFromAnswer(answer) {
+      return this.GRADE_QUALITY[this.toGrade(answer)];
+    },
+
+    /**
+     * 등급에 따른 difficult 증감값
+     * @param {boolean|number} answer - 정답 여부 또는 등급 (1~4)
+     * @returns {number} 증감값
+     */
+    getDifficultyDelta(answer) {
+      return this.GRADE_DIFFICULTY_DELTA[this.toGrade(answer)];
+    },
+
+    /**
+     * 등급을 반영한 새 difficult 값 (0 미만으로 내려가지 않음)
+     * @param {number} currentDifficulty - 현재 difficult
+     * @param {boolean|number} answer - 정답 여부 또는 등급 (1~4)
+     * @returns {number} 새 difficult
+     */
+    nextDifficulty(currentDifficulty, answer) {
+      return Math.max((Number(currentDifficulty) || 0) + this.getDifficultyDelta(answer), 0);
+    },
+
+    /**
+     * 스케줄 필드가 없는 단어의 초기 스케줄 (known_2 구간에서 이전)
+     * @param {Object} word - 단어 레코드
+     * @returns {Object|null} 스케줄 필드 (학습 전 단어는 null)
+     */
+    getInitialSchedule(word) {
+      if (!word || String(word.isStudied) !== '1') {
+        return null;
+      }
+
+      const bucket = this.BUCKET_SCHEDULES[String(word.known_2)] || this.BUCKET_SCHEDULES['0'];
+
+      // 어려웠던 단어일수록 난이도 계수를 낮춰 시작
+      const difficult = Math.min(Number(word.difficult) || 0, 8);
+      const ease = Math.max(this.DEFAULT_EASE - difficult * 0.15, this.MIN_EASE);
+
+      const studiedAt = word.studiedDate && !isNaN(Date.parse(word.studiedDate)) ?
+        word.studiedDate : Date.now();
+      const due = this.getKoreanDayStart(studiedAt) + bucket.interval * DAY_MS;
+
+      return {
+        srsInterval: bucket.interval,
+        srsEase: Math.round(ease * 100) / 100,
+        srsReps: bucket.reps,
+        srsLapses: 0,
+        srsDue: new Date(due).toISOString()
+      };
+    },
+
+    /**
+     * 단어의 현재 스케줄 (없으면 초기 스케줄)
+     * @param {Object} word - 단어 레코드
+     * @returns {Object|null} 스케줄 필드
+     */
+    getSchedule(word) {
+      if (word && word.srsDue) {
+        return {
+          srsInterval: Number(word.srsInterval) || 0,
+          srsEase: Number(word.srsEase) || this.DEFAULT_EASE,
+          srsReps: Number(word.srsReps) || 0,
+          srsLapses: Number(word.srsLapses) || 0,
+          srsDue: word.srsDue
+        };
+      }
+      return this.getInitialSchedule(word);
+    },
+
+    /**
+     * 답변 후 다음 스케줄 계산 (SM-2)
+     * @param {Object} word - 단어 레코드 (스케줄 필드 포함 가능)
+     * @param {number} quality - 품질 점수 (0~5, 3 미만은 실패)
+     * @param {Date|number} [now] - 답변 시각
+     * @returns {Object} updateWord에 넘길 스케줄 필드
+     */
+    schedule(word, quality, now = Date.now()) {
+      const current = this.getSchedule({ isStudied: '1', ...word }) || this.getInitialSchedule({ isStudied: '1' });
+      const q = Math.max(0, Math.min(5, Number(quality)));
+
+      // 난이도 계수 갱신 (SM-2 공식)
+      const ease = Math.max(
+        current.srsEase + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)),
+        this.MIN_EASE
+      );
+
+      let reps;
+      let interval;
+      let lapses = current.srsLapses;
+
+      if (q < 3) {
+        // 실패: 처음부터 다시 (오늘 바로 복습 대상)
+        reps = 0;
+        interval = 0;
+        lapses++;
+      } else {
+        reps = current.srsReps + 1;
+        if (reps === 1) {
+          interval = 1;
+        } else if (reps === 2) {
+          interval = 6;
+        } else {
+          interval = Math.round(Math.max(current.srsInterval, 1) * ease);
+        }
+      }
+
+      interval = Math.min(interval, this.MAX_INTERVAL);
+      const due = this.getKoreanDayStart(now) + interval * DAY_MS;
+
+      return {
+        srsInterval: interval,
+        srsEase: Math.round(ease * 100) / 100,
+        srsReps: reps,
+        srsLapses: lapses,
+        srsDue: new Date(due).toISOString()
+      };
+    },
+
+    /**
+     * 저장된 단어를 읽어 답변 후 스케줄 필드 계산 (각 모드의 updateWord 데이터에 병합)
+     * @param {Object} dbManager - DB 매니저 (getWordById 필요)
+     * @param {string} wordId - 단어 ID
+     * @param {number} quality - 품질 점수 (0~5)
+     * @returns {Promise<Object>} 스케줄 필드 (실패 시 빈 객체)
+     */
+    async getReviewUpdate(dbManager, wordId, quality) {
+      try {
+        const word = dbManager && typeof dbManager.getWordById === 'function' ?
+          await dbManager.getWordById(wordId) : null;
+        return this.schedule(word || {}, quality);
+      } catch (error) {
+        console.error('복습 스케줄 계산 오류:', error);
+        return {};
+      }
+    },
+
+    /**
+     * 복습 예정일이 지났는지 확인
+     * @param {Object} word - 단어 레코드
+     * @param {Date|number} [at] - 기준 시각
+     * @returns {boolean} 복습 대상 여부
+     */
+    isDue(word, at = Date.now()) {
+      const schedule = this.getSchedule(word);
+      if (!schedule) return false;
+      return Date.parse(schedule.srsDue) <= new Date(at).getTime();
+    },
+
+    /**
+     * 복습 예정일 오름차순 정렬 비교 함수 (오래 밀린 단어부터)
+     * @param {Object} a - 단어 레코드
+     * @param {Object} b - 단어 레코드
+     * @returns {number} 비교 결과
+     */
+    compareDue(a, b) {
+      const aDue = (window.SRSScheduler.getSchedule(a) || {}).srsDue || '';
+      const bDue = (window.SRSScheduler.getSchedule(b) || {}).srsDue || '';
+      if (aDue !== bDue) return aDue < bDue ? -1 : 1;
+      return (Number(a.No) || 0) - (Number(b.No) || 0);
+    }
+  };
+
+  console.log('SRSScheduler 로드 완료');
+})();
@@ -0,0 +1,307 @@
+/**
+ * stats-dashboard.js - 학습 통계 화면
+ * IndexedDB의 단어(studiedDate, srsDue)와 답변 기록(answerLog)으로 통계를 계산해
+ * 외부 서비스 없이 HTML/CSS 막대·히트맵으로 그림
+ * - 일자별 학습 단어 수 (최근 14일)
+ * - 모드별 정답률 (최근 30일)
+ * - 장기기억 유지율 (장기기억 복습 정답률, 최근 8주)
+ * - 학습 히트맵 (최근 12주)
+ * - 복습 예정 (앞으로 30일)
+ */
+class StatsDashboard {
+    constructor(dbManager) {
+        this.dbManager = dbManager;
+        this.DAY_MS = 24 * 60 * 60 * 1000;
+        this.TIMEZONE_OFFSET = 9 * 60 * 60 * 1000;
+
+        // 모드 키별 표시 이름 (UIManager.getCurrentModeKey 값)
+        this.MODE_LABELS = {
+            new: 'NEW',
+            memorizing: '암기중',
+            qMemory: 'S 메모리',
+            shortTerm: '단기기억',
+            longTerm: '장기기억',
+            typing: '타이핑',
+            choice: '4지선다',
+            custom: '커스텀'
+        };
+    }
+
+    /**
+     * 한국 시간 기준 날짜 문자열 (YYYY-MM-DD)
+     * @param {Date|number|string} date - 기준 시각
+     * @returns {string} 날짜 문자열
+     */
+    toDayString(date) {
+        return new Date(new Date(date).getTime() + this.TIMEZONE_OFFSET).toISOString().slice(0, 10);
+    }
+
+    /**
+     * 오늘 기준 offset일 떨어진 날짜 문자열
+     * @param {number} offset - 일수 (음수면 과거)
+     * @returns {string} 날짜 문자열
+     */
+    dayFromToday(offset) {
+        return this.toDayString(Date.now() + offset * this.DAY_MS);
+    }
+
+    /**
+     * 통계 계산에 필요한 데이터 읽기
+     * @returns {Promise<Object>} { words, logs }
+     */
+    async loadData() {
+        const from = this.dayFromToday(-83);
+        const to = this.dayFromToday(0);
+
+        const [words, logs] = await Promise.all([
+            this.dbManager.getWords({ isStudied: '1' }, 0),
+            typeof this.dbManager.getAnswerLogsInRange === 'function' ?
+                this.dbManager.getAnswerLogsInRange(from, to) : []
+        ]);
+
+        return { words: words || [], logs: logs || [] };
+    }
+
+    /**
+     * 일자별 학습 단어 수 (답변 기록 + 기록 이전 데이터는 studiedDate)
+     * @param {Array} words - 학습한 단어
+     * @param {Array} logs - 답변 기록
+     * @param {number} days - 일수
+     * @returns {Array<{day: string, value: number}>} 일자별 값
+     */
+    computeDailyStudied(words, logs, days = 14) {
+        const wordsByDay = new Map();
+        const addWord = (day, wordId) => {
+            if (!wordsByDay.has(day)) wordsByDay.set(day, new Set());
+            wordsByDay.get(day).add(wordId);
+        };
+
+        logs.forEach(log => addWord(log.day, log.wordId));
+        words.forEach(word => {
+            if (word.studiedDate && !isNaN(Date.parse(word.studiedDate))) {
+                addWord(this.toDayString(word.studiedDate), word._id);
+            }
+        });
+
+        const result = [];
+        for (let i = days - 1; i >= 0; i--) {
+            const day = this.dayFromToday(-i);
+            result.push({ day, value: wordsByDay.has(day) ? wordsByDay.get(day).size : 0 });
+        }
+        return result;
+    }
+
+    /**
+     * 모드별 정답률 (최근 days일)
+     * @param {Array} logs - 답변 기록
+     * @param {number} days - 일수
+     * @returns {Array<{mode: string, label: string, correct: number, total: number}>} 모드별 결과
+     */
+    computeAccuracyByMode(logs, days = 30) {
+        const since = this.dayFromToday(-(days - 1));
+        const byMode = {};
+
+        // 틀려서 다시 나온 카드의 답변은 제외 (첫 답변만 집계)
+        logs.filter(log => log.day >= since && log.mode && !log.isRepeat).forEach(log => {
+            if (!byMode[log.mode]) byMode[log.mode] = { correct: 0, total: 0 };
+            byMode[log.mode].total++;
+            if (log.isKnown) byMode[log.mode].correct++;
+        });
+
+        return Object.keys(this.MODE_LABELS)
+            .filter(mode => byMode[mode])
+            .map(mode => ({ mode, label: this.MODE_LABELS[mode], ...byMode[mode] }));
+    }
+
+    /**
+     * 장기기억 유지율 (장기기억 모드 복습 정답률, 주 단위)
+     * @param {Array} logs - 답변 기록
+     * @param {number} weeks - 주 수
+     * @returns {Object} { overall, weekly: [{ label, correct, total }] }
+     */
+    computeRetention(logs, weeks = 8) {
+        const reviews = logs.filter(log => log.mode === 'longTerm' && !log.isRepeat);
+        const weekly = [];
+
+        for (let i = weeks - 1; i >= 0; i--) {
+            const start = this.dayFromToday(-(i * 7 + 6));
+            const end = this.dayFromToday(-(i * 7));
+            const inWeek = reviews.filter(log => log.day >= start && log.day <= end);
+            weekly.push({
+                label: start.slice(5).replace('-', '/'),
+                correct: inWeek.filter(log => log.isKnown).length,
+                total: inWeek.length
+            });
+        }
+
+        const correct = weekly.reduce((sum, week) => sum + week.correct, 0);
+        const total = weekly.reduce((sum, week) => sum + week.total, 0);
+
+        return { overall: total > 0 ? Math.round(correct / total * 100) : null, weekly };
+    }
+
+    /**
+     * 히트맵용 일자별 답변 수 (최근 weeks주, 월요일 시작 열)
+     * @param {Array} logs - 답변 기록
+     * @param {number} weeks - 주 수
+     * @returns {Array<{day: string, value: number}|null>} 주 단위로 채운 칸 (미래는 null)
+     */
+    computeHeatmap(logs, weeks = 12) {
+        const counts = new Map();
+        logs.forEach(log => counts.set(log.day, (counts.get(log.day) || 0) + 1));
+
+        // 오늘이 속한 주의 일요일까지 채우도록 시작일 계산 (월=0 … 일=6)
+        const todayWeekday = (new Date(this.dayFromToday(0)).getUTCDay() + 6) % 7;
+        const firstOffset = -((weeks - 1) * 7 + todayWeekday);
+
+        const cells = [];
+        for (let i = 0; i < weeks * 7; i++) {
+            const offset = firstOffset + i;
+            if (offset > 0) {
+                cells.push(null);
+                continue;
+            }
+            const day = this.dayFromToday(offset);
+            cells.push({ day, value: counts.get(day) || 0 });
+        }
+        return cells;
+    }
+
+    /**
+     * 앞으로 days일 동안의 복습 예정 단어 수 (밀린 단어는 오늘에 포함)
+     * @param {Array} words - 학습한 단어
+     * @param {number} days - 일수
+     * @returns {Array<{day: string, value: number}>} 일자별 값
+     */
+    computeForecast(words, days = 30) {
+        const counts = new Map();
+        const today = this.dayFromToday(0);
+
+        if (window.SRSScheduler) {
+            words.forEach(word => {
+                const schedule = window.SRSScheduler.getSchedule(word);
+                if (!schedule || !schedule.srsDue) return;
+                let day = this.toDayString(schedule.srsDue);
+                if (day < today) day = today;
+                counts.set(day, (counts.get(day) || 0) + 1);
+            });
+        }
+
+        const result = [];
+        for (let i = 0; i < days; i++) {
+            const day = this.dayFromToday(i);
+            result.push({ day, value: counts.get(day) || 0 });
+        }
+        return result;
+    }
+
+    /**
+     * 세로 막대 차트 HTML
+     * @param {Array<{label: string, value: number, title?: string}>} items - 막대 데이터
+     * @returns {string} HTML
+     */
+    renderBarChart(items) {
+        const max = Math.max(1, ...items.map(item => item.value));
+
+        const bars = items.map(item => `
+            <div class="stats-bar" title="${item.title || item.label}: ${item.value}">
+                <span class="stats-bar-value">${item.value || ''}</span>
+                <div class="stats-bar-fill" style="height: ${Math.round(item.value / max * 100)}%"></div>
+                <span class="stats-bar-label">${item.label}</span>
+            </div>`).join('');
+
+        return `<div class="stats-bar-chart">${bars}</div>`;
+    }
+
+    /**
+     * 가로 비율 막대 HTML (정답률 등)
+     * @param {Array<{label: string, correct: number, total: number}>} rows - 행 데이터
+     * @returns {string} HTML
+     */
+    renderRateRows(rows) {
+        if (rows.length === 0) {
+            return '<p class="stats-empty">아직 답변 기록이 없습니다</p>';
+        }
+
+        return rows.map(row => {
+            const rate = row.total > 0 ? Math.round(row.correct / row.total * 100) : 0;
+            return `
+            <div class="stats-rate-row">
+                <span class="stats-rate-label">${row.label}</span>
+                <div class="stats-rate-track"><div class="stats-rate-fill" style="width: ${rate}%"></div></div>
+                <span class="stats-rate-value">${row.total > 0 ? rate + '%' : '-'}</span>
+            </div>`;
+        }).join('');
+    }
+
+    /**
+     * 히트맵 HTML (열 = 주, 행 = 요일)
+     * @param {Array} cells - computeHeatmap 결과
+     * @returns {string} HTML
+     */
+    renderHeatmap(cells) {
+        const max = Math.max(1, ...cells.filter(Boolean).map(cell => cell.value));
+
+        const html = cells.map(cell => {
+            if (!cell) return '<div class="stats-heat-cell future"></div>';
+            const level = cell.value === 0 ? 0 : Math.min(4, Math.ceil(cell.value / max * 4));
+            return `<div class="stats-heat-cell level-${level}" title="${cell.day}: ${cell.value}회"></div>`;
+        }).join('');
+
+        return `<div class="stats-heatmap">${html}</div>`;
+    }
+
+    /**
+     * 통계 화면 그리기
+     * @param {HTMLElement} container - 통계를 넣을 요소
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    async render(container) {
+        if (!container) return false;
+
+        container.innerHTML = '<p class="stats-empty">통계 계산 중...</p>';
+
+        try {
+            const { words, logs } = await this.loadData();
+
+            const daily = this.computeDailyStudied(words, logs);
+            const accuracy = this.computeAccuracyByMode(logs);
+            const retention = this.computeRetention(logs);
+            const heatmap = this.computeHeatmap(logs);
+            const forecast = this.computeForecast(words);
+
+            const dayLabel = day => String(Number(day.slice(8)));
+
+            container.innerHTML = `
+                <section class="stats-section">
+                    <h3>일자별 학습 단어</h3>
+                    ${this.renderBarChart(daily.map(item => ({ label: dayLabel(item.day), title: item.day, value: item.value })))}
+                </section>
+                <section class="stats-section">
+                    <h3>모드별 정답률 <small>최근 30일</small></h3>
+                    ${this.renderRateRows(accuracy)}
+                </section>
+                <section class="stats-section">
+                    <h3>장기기억 유지율 <small>${retention.overall !== null ? retention.overall + '%' : '기록 없음'}</small></h3>
+                    ${this.renderRateRows(retention.weekly.filter(week => week.total > 0))}
+                </section>
+                <section class="stats-section">
+                    <h3>학습 기록 <small>최근 12주</small></h3>
+                    ${this.renderHeatmap(heatmap)}
+                </section>
+                <section class="stats-section">
+                    <h3>복습 예정 <small>앞으로 30일</small></h3>
+                    ${this.renderBarChart(forecast.map(item => ({ label: dayLabel(item.day), title: item.day, value: item.value })))}
+                </section>`;
+
+            return true;
+        } catch (error) {
+            console.error('통계 화면 렌더링 오류:', error);
+            container.innerHTML = '<p class="stats-empty">통계를 불러오지 못했습니다</p>';
+            return false;
+        }
+    }
+}
+
+// 전역 객체에 노출
+window.StatsDashboard = StatsDashboard;
@@ -0,0 +1,582 @@
+/**
+ * SyncManager 클래스
+ * IndexedDB syncQueue에 쌓인 학습 진도 변경을 에어테이블 사용자 진도 테이블로 전송
+ * - 각 모드의 updateWord 직후 enqueueWordUpdate로 큐에 추가
+ * - 온라인 상태에서 프록시(또는 직접 요청)를 통해 일괄 upsert
+ * - 실패 시 지수 백오프로 재시도, 모든 시도는 syncLog에 기록
+ * - 새로고침 후 start()에서 남은 큐를 이어서 처리
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.SyncManager) {
+    console.log('SyncManager가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  // 에어테이블로 전송할 진도 필드 목록
+  const PROGRESS_FIELDS = ['known_2', 'status', 'difficult', 'studiedDate', 'isStudied'];
+
+  // 큐 항목 상태
+  const SYNC_STATUS = {
+    PENDING: 'pending',
+    SYNCING: 'syncing',
+    FAILED: 'failed'
+  };
+
+  // 재시도해도 결과가 같은 프록시 거부 코드 (airtable-proxy 허용 목록/토큰)
+  const NON_RETRYABLE_CODES = [
+    'API_KEY_NOT_CONFIGURED',
+    'ALLOWLIST_NOT_CONFIGURED',
+    'HOST_NOT_ALLOWED',
+    'PATH_NOT_ALLOWED',
+    'METHOD_NOT_ALLOWED',
+    'BASE_NOT_ALLOWED',
+    'TABLE_NOT_ALLOWED',
+    'TOKEN_REQUIRED',
+    'TOKEN_INVALID',
+    'TOKEN_EXPIRED',
+    'TOKEN_SECRET_NOT_CONFIGURED',
+    'CONTENT_NOT_CONFIGURED',
+    'USER_BASE_NOT_CONFIGURED'
+  ];
+
+  // 큐 항목 종류
+  const ITEM_TYPE_WORD_PROGRESS = 'wordProgress';
+
+  class SyncManager {
+    // 싱글톤 인스턴스
+    static instance = null;
+
+    // 싱글톤 getter
+    static getInstance() {
+      if (!SyncManager.instance) {
+        SyncManager.instance = new SyncManager();
+      }
+      return SyncManager.instance;
+    }
+
+    constructor(dbManager = null, airtableManager = null) {
+      // 싱글톤 체크
+      if (SyncManager.instance) {
+        return SyncManager.instance;
+      }
+
+      this.dbManager = dbManager;
+      this.airtableManager = airtableManager;
+
+      // 설정
+      this.batchSize = 10;              // 에어테이블 일괄 요청 최대 레코드 수
+      this.maxRetries = 5;              // 항목별 최대 재시도 횟수
+      this.baseRetryDelay = 2000;       // 첫 재시도 지연시간 (ms)
+      this.maxRetryDelay = 5 * 60 * 1000; // 최대 재시도 지연시간 (ms)
+      this.processDelay = 1500;         // 큐 추가 후 전송까지 대기시간 (ms)
+      this.requestDelay = 300;          // 연속 요청 사이의 지연시간 (ms)
+
+      // 진도 테이블 설정 (사용자 DB 안의 테이블)
+      const params = this._getUrlParams();
+      this.progressTable = params.get('airtable_progress_table') || 'progress';
+      this.mergeField = 'sync_key';
+
+      // 상태 관리
+      this._isProcessing = false;
+      this._processingPromise = null;
+      this._processTimer = null;
+      this._retryTimer = null;
+      this._started = false;
+
+      SyncManager.instance = this;
+      console.log(`SyncManager: 초기화 완료 (진도 테이블: ${this.progressTable})`);
+    }
+
+    /**
+     * URL 파라미터 가져오기 (enhanced-loader의 파싱 결과 우선)
+     * @returns {URLSearchParams} URL 파라미터
+     */
+    _getUrlParams() {
+      try {
+        if (typeof window.parseUrlParams === 'function') {
+          return window.parseUrlParams();
+        }
+        return new URLSearchParams(window.location.search);
+      } catch (error) {
+        console.error('SyncManager: URL 파라미터 파싱 오류:', error);
+        return new URLSearchParams('');
+      }
+    }
+
+    /**
+     * 현재 DB 매니저 가져오기
+     * @returns {Object|null} DB 매니저
+     */
+    _getDbManager() {
+      return this.dbManager || window.app?.dbManager || null;
+    }
+
+    /**
+     * 요청 가능한 AirtableManager 가져오기
+     * @returns {Object|null} makeApiRequest를 가진 AirtableManager
+     */
+    _getAirtableManager() {
+      const candidates = [
+        this.airtableManager,
+        window.AirtableManager && typeof window.AirtableManager.getInstance === 'function' ?
+          window.AirtableManager.getInstance() : null,
+        window.app?.airtableManager
+      ];
+
+      return candidates.find(manager => manager && typeof manager.makeApiRequest === 'function') || null;
+    }
+
+    /**
+     * 현재 사용자 전화번호
+     * @returns {string|null} 전화번호
+     */
+    _getPhone() {
+      return window.app?.userPhone || null;
+    }
+
+    /**
+     * 네트워크 온라인 여부
+     * @returns {boolean} 온라인 여부
+     */
+    isOnline() {
+      const networkManager = window.app?.networkManager;
+      if (networkManager && typeof networkManager.isNetworkOnline === 'function') {
+        return networkManager.isNetworkOnline();
+      }
+      return navigator.onLine;
+    }
+
+    /**
+     * 동기화 가능 여부 확인
+     * @returns {boolean} 동기화 가능 여부
+     */
+    canSync() {
+      const airtableManager = this._getAirtableManager();
+
+      if (!this._getDbManager() || !airtableManager) {
+        return false;
+      }
+
+      if (typeof airtableManager.isOfflineMode === 'function' && airtableManager.isOfflineMode()) {
+        return false;
+      }
+
+      if (!airtableManager.userBaseUrl || !this._getPhone()) {
+        return false;
+      }
+
+      return this.isOnline();
+    }
+
+    /**
+     * 업데이트 데이터에서 진도 필드만 추출
+     * @param {Object} updateData - updateWord에 전달한 데이터
+     * @returns {Object} 진도 필드
+     */
+    extractProgressFields(updateData) {
+      const fields = {};
+      if (!updateData) return fields;
+
+      PROGRESS_FIELDS.forEach(field => {
+        if (updateData[field] !== undefined) {
+          fields[field] = updateData[field];
+        }
+      });
+
+      return fields;
+    }
+
+    /**
+     * 단어 진도 변경을 동기화 큐에 추가
+     * 같은 단어의 대기 항목이 있으면 병합하여 마지막 상태만 전송
+     * @param {string} wordId - 단어 ID (에어테이블 레코드 ID)
+     * @param {Object} updateData - updateWord에 전달한 데이터
+     * @returns {Promise<boolean>} 추가 성공 여부
+     */
+    async enqueueWordUpdate(wordId, updateData) {
+      const dbManager = this._getDbManager();
+      if (!wordId || !dbManager) return false;
+
+      // 내 단어장 단어는 에어테이블에 레코드가 없으므로 이 기기에만 저장
+      if (window.LocalWordList && window.LocalWordList.isLocalWordId(wordId)) return false;
+
+      // JSON/CSV 소스에서 받은 단어도 에어테이블 레코드가 아니면 보내지 않음
+      if (window.ContentSources && !window.ContentSources.isAirtableWordId(wordId)) return false;
+
+      const fields = this.extractProgressFields(updateData);
+      if (Object.keys(fields).length === 0) return false;
+
+      try {
+        const contentId = typeof dbManager.getCurrentContentId === 'function' ?
+          dbManager.getCurrentContentId() : 'default';
+
+        const pendingItems = await dbManager.getSyncQueue({ status: SYNC_STATUS.PENDING }, 0);
+        const existing = pendingItems.find(item =>
+          item.type === ITEM_TYPE_WORD_PROGRESS &&
+          item.wordId === wordId &&
+          item.content === contentId
+        );
+
+        if (existing) {
+          await dbManager.updateSyncQueueItem(existing.id, {
+            fields: { ...existing.fields, ...fields }
+          });
+        } else {
+          await dbManager.addToSyncQueue({
+            type: ITEM_TYPE_WORD_PROGRESS,
+            wordId: wordId,
+            content: contentId,
+            phone: this._getPhone(),
+            fields: fields
+          });
+        }
+
+        this.scheduleProcess();
+        return true;
+      } catch (error) {
+        console.error('동기화 큐 추가 오류:', error);
+        return false;
+      }
+    }
+
+    /**
+     * 잠시 후 큐 처리 예약 (연속 응답을 한 번에 전송)
+     * @param {number} delay - 대기시간 (ms)
+     */
+    scheduleProcess(delay = this.processDelay) {
+      if (this._processTimer) {
+        clearTimeout(this._processTimer);
+      }
+
+      this._processTimer = setTimeout(() => {
+        this._processTimer = null;
+        this.processQueue();
+      }, delay);
+    }
+
+    /**
+     * 다음 재시도 시각에 맞춰 큐 처리 예약
+     * 처리 중에 들어와 건너뛴 항목(재시도 시각 없음)이 있으면 바로 다시 처리
+     */
+    async scheduleRetry() {
+      if (this._retryTimer) {
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+      }
+
+      const dbManager = this._getDbManager();
+      if (!dbManager) return;
+
+      try {
+        const pendingItems = await dbManager.getSyncQueue({ status: SYNC_STATUS.PENDING }, 0);
+        if (pendingItems.length === 0) return;
+
+        const now = Date.now();
+        const retryTimes = pendingItems.map(item =>
+          typeof item.nextRetryAt === 'number' ? item.nextRetryAt : now);
+
+        const delay = Math.max(Math.min(...retryTimes) - now, 0);
+        if (delay === 0) {
+          this.scheduleProcess();
+          return;
+        }
+
+        this._retryTimer = setTimeout(() => {
+          this._retryTimer = null;
+          this.processQueue();
+        }, delay);
+      } catch (error) {
+        console.error('동기화 재시도 예약 오류:', error);
+      }
+    }
+
+    /**
+     * 재시도 지연시간 계산 (지수 백오프)
+     * @param {number} retryCount - 재시도 횟수
+     * @returns {number} 지연시간 (ms)
+     */
+    getRetryDelay(retryCount) {
+      return Math.min(this.baseRetryDelay * Math.pow(2, Math.max(retryCount - 1, 0)), this.maxRetryDelay);
+    }
+
+    /**
+     * 동기화 큐 처리
+     * @returns {Promise<number>} 전송 완료된 항목 수
+     */
+    async processQueue() {
+      // 이미 처리 중이면 진행 중인 프로미스 반환
+      if (this._isProcessing && this._processingPromise) {
+        return this._processingPromise;
+      }
+
+      if (!this.canSync()) {
+        return 0;
+      }
+
+      this._isProcessing = true;
+
+      this._processingPromise = (async () => {
+        let syncedCount = 0;
+
+        try {
+          const dbManager = this._getDbManager();
+          const now = Date.now();
+          const pendingItems = await dbManager.getSyncQueue({ status: SYNC_STATUS.PENDING }, 0);
+          const readyItems = pendingItems.filter(item => !item.nextRetryAt || item.nextRetryAt <= now);
+
+          if (readyItems.length === 0) {
+            return 0;
+          }
+
+          console.log(`[SyncManager] ${readyItems.length}개 항목 동기화 시작`);
+
+          for (let i = 0; i < readyItems.length; i += this.batchSize) {
+            if (!this.isOnline()) {
+              console.log('[SyncManager] 오프라인 상태 감지, 동기화 중단');
+              break;
+            }
+
+            const batch = readyItems.slice(i, i + this.batchSize);
+            const result = await this.pushBatch(batch);
+            syncedCount += result.synced;
+
+            if (result.halt) {
+              break;
+            }
+
+            // API 제한 방지 딜레이
+            if (i + this.batchSize < readyItems.length) {
+              await new Promise(resolve => setTimeout(resolve, this.requestDelay));
+            }
+          }
+
+          console.log(`[SyncManager] 동기화 완료: ${syncedCount}개 전송`);
+          return syncedCount;
+        } catch (error) {
+          console.error('동기화 큐 처리 오류:', error);
+          return syncedCount;
+        } finally {
+          this._isProcessing = false;
+          this._processingPromise = null;
+          this.scheduleRetry();
+        }
+      })();
+
+      return this._processingPromise;
+    }
+
+    /**
+     * 큐 항목을 에어테이블 upsert 레코드로 변환
+     * @param {Object} item - 동기화 큐 항목
+     * @returns {Object} 에어테이블 레코드
+     */
+    buildRecord(item) {
+      const phone = item.phone || this._getPhone();
+
+      return {
+        fields: {
+          [this.mergeField]: `${phone}_${item.content}_${item.wordId}`,
+          phone: phone,
+          contents: item.content,
+          word_id: item.wordId,
+          ...item.fields
+        }
+      };
+    }
+
+    /**
+     * 항목 묶음을 에어테이블로 전송
+     * @param {Array} batch - 동기화 큐 항목 배열
+     * @returns {Promise<{synced: number, halt: boolean}>} 전송 결과
+     */
+    async pushBatch(batch) {
+      const dbManager = this._getDbManager();
+      const airtableManager = this._getAirtableManager();
+      const startTime = Date.now();
+      const itemIds = batch.map(item => item.id);
+
+      // 전송 중 표시 (전송 중에 들어온 변경은 새 항목으로 쌓임)
+      for (const item of batch) {
+        await dbManager.updateSyncQueueItem(item.id, { status: SYNC_STATUS.SYNCING });
+      }
+
+      try {
+        const url = `${airtableManager.userBaseUrl}/${encodeURIComponent(this.progressTable)}`;
+
+        await airtableManager.makeApiRequest(url, {
+          method: 'PATCH',
+          body: JSON.stringify({
+            performUpsert: { fieldsToMergeOn: [this.mergeField] },
+            records: batch.map(item => this.buildRecord(item)),
+            typecast: true
+          })
+        });
+
+        for (const item of batch) {
+          await dbManager.removeSyncQueueItem(item.id);
+        }
+
+        await this.writeLog({
+          result: 'success',
+          itemIds: itemIds,
+          wordIds: batch.map(item => item.wordId),
+          count: batch.length,
+          duration: Date.now() - startTime
+        });
+
+        return { synced: batch.length, halt: false };
+      } catch (error) {
+        const message = error?.message || String(error);
+        const isAuthError = message.includes('AUTHENTICATION_REQUIRED') ||
+                            message.includes('401') ||
+                            message.includes('403');
+        const isRejected = NON_RETRYABLE_CODES.includes(error?.code);
+
+        console.error('[SyncManager] 전송 실패:', message);
+
+        // 전송 중에 같은 단어의 새 변경이 쌓였으면 실패한 항목을 거기에 합침 (새 값 우선)
+        // → 오래된 값이 나중에 재시도되어 에어테이블의 새 값을 덮어쓰지 않게
+        const pendingItems = await dbManager.getSyncQueue({ status: SYNC_STATUS.PENDING }, 0);
+
+        for (const item of batch) {
+          const newer = pendingItems.find(pending =>
+            pending.id !== item.id &&
+            pending.type === item.type &&
+            pending.wordId === item.wordId &&
+            pending.content === item.content
+          );
+
+          if (newer) {
+            await dbManager.updateSyncQueueItem(newer.id, {
+              fields: { ...item.fields, ...newer.fields }
+            });
+            await dbManager.removeSyncQueueItem(item.id);
+            continue;
+          }
+
+          const retryCount = (item.retryCount || 0) + 1;
+          const exhausted = retryCount >= this.maxRetries;
+
+          await dbManager.updateSyncQueueItem(item.id, {
+            status: exhausted ? SYNC_STATUS.FAILED : SYNC_STATUS.PENDING,
+            retryCount: retryCount,
+            nextRetryAt: exhausted ? null : Date.now() + this.getRetryDelay(retryCount),
+            lastError: message
+          });
+        }
+
+        await this.writeLog({
+          result: 'error',
+          itemIds: itemIds,
+          wordIds: batch.map(item => item.wordId),
+          count: batch.length,
+          duration: Date.now() - startTime,
+          error: message
+        });
+
+        // 인증 오류나 프록시 거부는 재시도해도 같은 결과이므로 이번 처리 중단
+        return { synced: 0, halt: isAuthError || isRejected };
+      }
+    }
+
+    /**
+     * syncLog에 전송 시도 기록
+     * @param {Object} log - 로그 데이터
+     */
+    async writeLog(log) {
+      const dbManager = this._getDbManager();
+      if (!dbManager || typeof dbManager.addSyncLog !== 'function') return;
+
+      try {
+        await dbManager.addSyncLog({
+          type: ITEM_TYPE_WORD_PROGRESS,
+          table: this.progressTable,
+          ...log
+        });
+      } catch (error) {
+        console.error('동기화 로그 기록 오류:', error);
+      }
+    }
+
+    /**
+     * 새로고침 등으로 중단된 항목을 대기 상태로 복구
+     * 재시도 한도를 넘긴 항목도 새 세션에서 다시 시도
+     * @returns {Promise<number>} 복구된 항목 수
+     */
+    async recoverInterruptedItems() {
+      const dbManager = this._getDbManager();
+      if (!dbManager) return 0;
+
+      try {
+        const [syncingItems, failedItems] = await Promise.all([
+          dbManager.getSyncQueue({ status: SYNC_STATUS.SYNCING }, 0),
+          dbManager.getSyncQueue({ status: SYNC_STATUS.FAILED }, 0)
+        ]);
+
+        for (const item of syncingItems) {
+          await dbManager.updateSyncQueueItem(item.id, { status: SYNC_STATUS.PENDING });
+        }
+
+        for (const item of failedItems) {
+          await dbManager.updateSyncQueueItem(item.id, {
+            status: SYNC_STATUS.PENDING,
+            retryCount: 0,
+            nextRetryAt: null
+          });
+        }
+
+        const recovered = syncingItems.length + failedItems.length;
+        if (recovered > 0) {
+          console.log(`[SyncManager] 중단된 항목 ${recovered}개 복구`);
+        }
+        return recovered;
+      } catch (error) {
+        console.error('중단된 동기화 항목 복구 오류:', error);
+        return 0;
+      }
+    }
+
+    /**
+     * 동기화 엔진 시작 - 남은 큐 복구 후 처리
+     * @returns {Promise<void>}
+     */
+    async start() {
+      if (this._started) return;
+      this._started = true;
+
+      await this.recoverInterruptedItems();
+      this.scheduleProcess(0);
+    }
+
+    /**
+     * 동기화 상태 조회
+     * @returns {Promise<Object>} 상태별 항목 수
+     */
+    async getStatus() {
+      const dbManager = this._getDbManager();
+      if (!dbManager) {
+        return { pending: 0, syncing: 0, failed: 0, isProcessing: false };
+      }
+
+      const [pending, syncing, failed] = await Promise.all([
+        dbManager.getSyncQueue({ status: SYNC_STATUS.PENDING }, 0),
+        dbManager.getSyncQueue({ status: SYNC_STATUS.SYNCING }, 0),
+        dbManager.getSyncQueue({ status: SYNC_STATUS.FAILED }, 0)
+      ]);
+
+      return {
+        pending: pending.length,
+        syncing: syncing.length,
+        failed: failed.length,
+        isProcessing: this._isProcessing
+      };
+    }
+  }
+
+  // 전역 객체로 노출
+  window.SyncManager = SyncManager;
+
+  console.log('SyncManager: 스크립트 로드 완료');
+})();
@@ -1,11 +1,21 @@
 /**
  * token-validator.js - 완성된 토큰 검증 시스템
  * 타입봇에서 생성한 토큰을 검증하고 만료 시 접근을 차단합니다
+ * 서버(auth-token 함수)의 HMAC 서명 검증을 우선 사용하고, 기존 _x7K9m 토큰은 전환 기간 동안 신규 토큰으로 교환합니다
  */
 
 (function() {
   'use strict';
   
+  // 토큰 검증/교환 Netlify 함수
+  const AUTH_ENDPOINT = '/.netlify/functions/auth-token';
+  
+  // 프록시 요청용 토큰 저장 키 (탭 단위)
+  const AUTH_TOKEN_STORAGE_KEY = 'memoryking_auth_token';
+  
+  // 신규(HMAC) 토큰 접두사
+  const TOKEN_PREFIX = 'mk2';
+  
   // 토큰 검증 클래스
   class TokenValidator {
     constructor() {
@@ -15,6 +25,9 @@
       // 검증 상태
       this.isValidated = false;
       this.validationResult = null;
+      
+      // 프록시 요청에 사용할 토큰
+      this.authToken = null;
     }
 
     // 타입봇 URL 가져오기 (URL 파라미터 > localStorage > 기본값)
@@ -63,14 +76,87 @@
       }
     }
     
-    // 토큰 검증
+    // base64url 디코드 (신규 토큰 payload용)
+    decodeBase64Url(str) {
+      const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+      return this.decodeBase64(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    }
+    
+    // 전화번호/만료시간으로 검증 결과 생성
+    createResult(phone, exp) {
+      // 현재 시간
+      const now = Date.now();
+      console.log('시간 비교:', {
+        now: new Date(now).toISOString(),
+        exp: new Date(exp).toISOString(),
+        diff: exp - now
+      });
+      
+      // 만료 시간 확인
+      if (exp < now) {
+        const expiredDate = new Date(exp).toLocaleString('ko-KR', {
+          year: 'numeric',
+          month: '2-digit',
+          day: '2-digit',
+          hour: '2-digit',
+          minute: '2-digit'
+        });
+        return { 
+          valid: false, 
+          reason: '사용 기간이 만료되었습니다',
+          expiredAt: expiredDate,
+          phone: phone
+        };
+      }
+      
+      // 유효한 토큰
+      const remainingMs = exp - now;
+      const remainingDays = Math.ceil(remainingMs / (24 * 60 * 60 * 1000));
+      const remainingHours = Math.floor((remainingMs % (24 * 60 * 60 * 1000)) / (60 * 60 * 1000));
+      
+      return {
+        valid: true,
+        phone: phone,
+        expiresAt: new Date(exp).toLocaleString('ko-KR', {
+          year: 'numeric',
+          month: '2-digit',
+          day: '2-digit',
+          hour: '2-digit',
+          minute: '2-digit'
+        }),
+        expiresTimestamp: exp, // 원본 타임스탬프 저장 (주기적 체크용)
+        remainingTime: remainingMs,
+        remainingDays: remainingDays,
+        remainingHours: remainingHours,
+        remainingText: `${remainingDays}일 ${remainingHours}시간`
+      };
+    }
+    
+    // 토큰 로컬 검증 (서버 검증을 사용할 수 없을 때만 사용)
+    // 신규 토큰은 서명을 확인할 수 없으므로 형식/만료만 확인하고, 실제 권한은 프록시가 다시 검증
     verifyToken(token) {
       try {
         if (!token) {
           return { valid: false, reason: '토큰이 없습니다' };
         }
         
-        // 토큰 형식: base64데이터_x7K9m
+        // 신규 토큰 형식: mk2.payload.signature
+        if (token.startsWith(TOKEN_PREFIX + '.')) {
+          const parts = token.split('.');
+          const decoded = parts.length === 3 ? this.decodeBase64Url(parts[1]) : null;
+          if (!decoded) {
+            return { valid: false, reason: '토큰 디코드 실패' };
+          }
+          
+          const data = JSON.parse(decoded);
+          if (!data.phone || isNaN(parseInt(data.exp))) {
+            return { valid: false, reason: '토큰 데이터가 올바르지 않습니다' };
+          }
+          
+          return this.createResult(data.phone, parseInt(data.exp));
+        }
+        
+        // 기존 토큰 형식: base64데이터_x7K9m
         if (!token.endsWith('_x7K9m')) {
           return { valid: false, reason: '잘못된 토큰 형식입니다' };
         }
@@ -113,59 +199,79 @@
           return { valid: false, reason: '토큰이 변조되었습니다' };
         }
         
-        // 현재 시간
-        const now = Date.now();
-        console.log('시간 비교:', {
-          now: new Date(now).toISOString(),
-          exp: new Date(exp).toISOString(),
-          diff: exp - now
+        return this.createResult(phone, exp);
+        
+      } catch (error) {
+        console.error('토큰 검증 오류:', error);
+        return { valid: false, reason: '토큰 검증 중 오류가 발생했습니다' };
+      }
+    }
+    
+    // 서버(auth-token 함수)에서 토큰 검증
+    // 서버에 연결할 수 없으면 null 반환 (오프라인/개발 환경)
+    async verifyTokenWithServer(token) {
+      try {
+        const response = await fetch(AUTH_ENDPOINT, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ action: 'verify', token: token })
         });
         
-        // 만료 시간 확인
-        if (exp < now) {
-          const expiredDate = new Date(exp).toLocaleString('ko-KR', {
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit',
-            hour: '2-digit',
-            minute: '2-digit'
-          });
-          return { 
-            valid: false, 
-            reason: '사용 기간이 만료되었습니다',
-            expiredAt: expiredDate,
-            phone: phone
-          };
+        const data = await response.json().catch(() => null);
+        
+        // 검증 응답이 아니면 (함수 없음, 비밀키 미설정 등) 서버 검증 불가로 처리
+        if (!response.ok || !data || typeof data.valid !== 'boolean') {
+          console.warn('[TokenValidator] 서버 검증 불가:', response.status, data && data.code);
+          return null;
         }
         
-        // 유효한 토큰
-        const remainingMs = exp - now;
-        const remainingDays = Math.ceil(remainingMs / (24 * 60 * 60 * 1000));
-        const remainingHours = Math.floor((remainingMs % (24 * 60 * 60 * 1000)) / (60 * 60 * 1000));
+        if (data.valid) {
+          return { ...this.createResult(data.phone, data.exp), token: data.token, format: data.format };
+        }
         
-        return {
-          valid: true,
-          phone: phone,
-          expiresAt: new Date(exp).toLocaleString('ko-KR', {
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit',
-            hour: '2-digit',
-            minute: '2-digit'
-          }),
-          expiresTimestamp: exp, // 원본 타임스탬프 저장 (주기적 체크용)
-          remainingTime: remainingMs,
-          remainingDays: remainingDays,
-          remainingHours: remainingHours,
-          remainingText: `${remainingDays}일 ${remainingHours}시간`
-        };
+        if (data.code === 'TOKEN_EXPIRED') {
+          return this.createResult(data.phone, data.exp);
+        }
+        
+        console.error('[TokenValidator] 서버 검증 실패:', data.code, data.reason);
+        return { valid: false, reason: '유효하지 않은 토큰입니다' };
         
       } catch (error) {
-        console.error('토큰 검증 오류:', error);
-        return { valid: false, reason: '토큰 검증 중 오류가 발생했습니다' };
+        console.warn('[TokenValidator] 서버 검증 요청 실패:', error);
+        return null;
+      }
+    }
+    
+    // 프록시 요청에 사용할 토큰 저장 (기존 토큰은 서버가 교환해 준 신규 토큰으로 대체)
+    saveAuthToken(token) {
+      this.authToken = token;
+      try {
+        sessionStorage.setItem(AUTH_TOKEN_STORAGE_KEY, token);
+      } catch (e) {
+        console.error('[TokenValidator] 토큰 저장 오류:', e);
+      }
+    }
+    
+    // 프록시 요청용 토큰 가져오기
+    getAuthToken() {
+      if (this.authToken) {
+        return this.authToken;
+      }
+      try {
+        return sessionStorage.getItem(AUTH_TOKEN_STORAGE_KEY);
+      } catch (e) {
+        return null;
       }
     }
     
+    // 프록시 요청 헤더 (X-App-Token)
+    getAuthHeaders() {
+      const token = this.getAuthToken();
+      return token ? { 'X-App-Token': token } : {};
+    }
+    
     // 만료 화면 표시
     showExpiredScreen(validationResult) {
       // 기존 화면 숨기기
@@ -449,8 +555,16 @@
       
       console.log('검증할 토큰:', token);
       
-      // 토큰 검증
-      const result = this.verifyToken(decodeURIComponent(token));
+      // 토큰 검증 (서버 검증 우선, 서버에 연결할 수 없을 때만 로컬 검증)
+      const decodedToken = decodeURIComponent(token);
+      let result = await this.verifyTokenWithServer(decodedToken);
+      
+      if (result) {
+        result.verifiedBy = 'server';
+      } else {
+        result = this.verifyToken(decodedToken);
+        result.verifiedBy = 'local';
+      }
       
       if (!result.valid) {
         console.log('토큰 검증 실패:', result.reason);
@@ -491,6 +605,9 @@
 								// URL 처리 실패해도 계속 진행
 						}
 
+						// 프록시 요청용 토큰 저장
+						this.saveAuthToken(result.token || decodedToken);
+
 						this.validationResult = result;
 						this.isValidated = true;
       
@@ -501,7 +618,8 @@
           phone: result.phone,
           expiresAt: result.expiresAt,
           remainingDays: result.remainingDays,
-          remainingHours: result.remainingHours
+          remainingHours: result.remainingHours,
+          verifiedBy: result.verifiedBy
         };
       }
       
@@ -0,0 +1,179 @@
+/**
+ * typing-grader.js - 타이핑(스펠링) 퀴즈 채점
+ * 입력한 단어와 정답을 관대하게 비교
+ * - 앞뒤/중간 공백, 대소문자, 문장부호 무시
+ * - 한글은 자모 단위로 분해해 비교 (받침 하나 틀린 정도는 오타로 인정)
+ * - 두 음절 이하 한글 단어는 자모 하나 차이로도 다른 단어가 되므로 정확히 입력해야 정답
+ * - 정답에 여러 표기가 있으면 (쉼표, 슬래시, 세미콜론 구분) 하나만 맞아도 정답
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.TypingGrader) {
+    console.log('TypingGrader가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  // 한글 음절 분해용 자모 표 (유니코드 순서)
+  const CHOSEONG = ['ㄱ','ㄲ','ㄴ','ㄷ','ㄸ','ㄹ','ㅁ','ㅂ','ㅃ','ㅅ','ㅆ','ㅇ','ㅈ','ㅉ','ㅊ','ㅋ','ㅌ','ㅍ','ㅎ'];
+  const JUNGSEONG = ['ㅏ','ㅐ','ㅑ','ㅒ','ㅓ','ㅔ','ㅕ','ㅖ','ㅗ','ㅘ','ㅙ','ㅚ','ㅛ','ㅜ','ㅝ','ㅞ','ㅟ','ㅠ','ㅡ','ㅢ','ㅣ'];
+  const JONGSEONG = ['','ㄱ','ㄲ','ㄳ','ㄴ','ㄵ','ㄶ','ㄷ','ㄹ','ㄺ','ㄻ','ㄼ','ㄽ','ㄾ','ㄿ','ㅀ','ㅁ','ㅂ','ㅄ','ㅅ','ㅆ','ㅇ','ㅈ','ㅊ','ㅋ','ㅌ','ㅍ','ㅎ'];
+  const HANGUL_START = 0xAC00;
+  const HANGUL_END = 0xD7A3;
+
+  window.TypingGrader = {
+    // 채점 결과
+    RESULTS: {
+      EXACT: 'exact',   // 정확히 일치
+      CLOSE: 'close',   // 오타 허용 범위
+      WRONG: 'wrong'    // 오답
+    },
+
+    /**
+     * 비교용 문자열 정리 (유니코드 정규화, 소문자, 공백/문장부호 제거)
+     * @param {string} text - 원본 문자열
+     * @returns {string} 정리된 문자열
+     */
+    normalize(text) {
+      return String(text || '')
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[\s\u200B]+/g, '')
+        .replace(/[.,!?;:'"`~()[\]{}<>·…\-_/\\]/g, '');
+    },
+
+    /**
+     * 한글 음절을 자모로 분해 (그 외 문자는 그대로)
+     * @param {string} text - 문자열
+     * @returns {string[]} 자모/문자 배열
+     */
+    decompose(text) {
+      const result = [];
+      for (const char of text) {
+        const code = char.charCodeAt(0);
+        if (code >= HANGUL_START && code <= HANGUL_END) {
+          const offset = code - HANGUL_START;
+          result.push(CHOSEONG[Math.floor(offset / 588)]);
+          result.push(JUNGSEONG[Math.floor((offset % 588) / 28)]);
+          const jong = JONGSEONG[offset % 28];
+          if (jong) result.push(jong);
+        } else {
+          result.push(char);
+        }
+      }
+      return result;
+    },
+
+    /**
+     * 편집 거리 (Levenshtein)
+     * @param {Array|string} a - 비교 대상
+     * @param {Array|string} b - 비교 대상
+     * @returns {number} 거리
+     */
+    distance(a, b) {
+      const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+      for (let i = 1; i <= a.length; i++) {
+        let diagonal = prev[0];
+        prev[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+          const temp = prev[j];
+          prev[j] = Math.min(
+            prev[j] + 1,
+            prev[j - 1] + 1,
+            diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+          );
+          diagonal = temp;
+        }
+      }
+      return prev[b.length];
+    },
+
+    /**
+     * 한글 음절 수
+     * @param {string} text - 정리된 문자열
+     * @returns {number} 음절 수
+     */
+    countSyllables(text) {
+      let count = 0;
+      for (const char of text) {
+        const code = char.charCodeAt(0);
+        if (code >= HANGUL_START && code <= HANGUL_END) count++;
+      }
+      return count;
+    },
+
+    /**
+     * 허용 오타 수 (자모 길이 기준: 짧은 단어는 정확히, 길수록 조금 더 허용)
+     * 두 음절 이하 한글 단어는 길이와 상관없이 허용하지 않음 (예: 사과/사고, 강/감)
+     * @param {number} length - 정답 자모 길이
+     * @param {number} [syllables=0] - 정답 한글 음절 수
+     * @returns {number} 허용 거리
+     */
+    getTolerance(length, syllables = 0) {
+      if (syllables > 0 && syllables <= 2) return 0;
+      if (length < 4) return 0;
+      if (length < 10) return 1;
+      return 2;
+    },
+
+    /**
+     * 정답의 여러 표기 분리
+     * @param {string} answer - 정답 문자열
+     * @returns {string[]} 표기 목록
+     */
+    splitVariants(answer) {
+      const variants = String(answer || '').split(/[,/;]/).map(v => v.trim()).filter(Boolean);
+      return variants.length > 0 ? variants : [String(answer || '')];
+    },
+
+    /**
+     * 입력 채점
+     * @param {string} input - 사용자가 입력한 단어
+     * @param {string} answer - 정답 단어
+     * @returns {Object} { result, isCorrect, distance }
+     */
+    grade(input, answer) {
+      const typed = this.decompose(this.normalize(input));
+      if (typed.length === 0) {
+        return { result: this.RESULTS.WRONG, isCorrect: false, distance: Infinity };
+      }
+
+      let best = { result: this.RESULTS.WRONG, isCorrect: false, distance: Infinity };
+
+      for (const variant of this.splitVariants(answer)) {
+        const normalized = this.normalize(variant);
+        const expected = this.decompose(normalized);
+        if (expected.length === 0) continue;
+
+        const dist = this.distance(typed, expected);
+        if (dist === 0) {
+          return { result: this.RESULTS.EXACT, isCorrect: true, distance: 0 };
+        }
+
+        // 이미 오타로 인정한 표기가 있으면 오답 표기와는 거리를 비교하지 않음
+        const isCorrect = dist <= this.getTolerance(expected.length, this.countSyllables(normalized));
+        if (best.isCorrect && !isCorrect) continue;
+        if (best.isCorrect === isCorrect && dist >= best.distance) continue;
+
+        best = isCorrect ?
+          { result: this.RESULTS.CLOSE, isCorrect: true, distance: dist } :
+          { result: this.RESULTS.WRONG, isCorrect: false, distance: dist };
+      }
+
+      return best;
+    },
+
+    /**
+     * 채점 결과를 답변 등급으로 변환 (정확 = 좋음, 오타 = 어려움, 오답 = 다시)
+     * @param {Object} graded - grade() 결과
+     * @returns {number} 등급 (1~4)
+     */
+    toAnswerGrade(graded) {
+      if (graded.result === this.RESULTS.EXACT) return 3;
+      if (graded.result === this.RESULTS.CLOSE) return 2;
+      return 1;
+    }
+  };
+
+  console.log('TypingGrader 로드 완료');
+})();
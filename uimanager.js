@@ -9,7 +9,10 @@ class UIManager {
             completion: document.getElementById('completionScreen'),
             qStart: document.getElementById('qStartScreen'),
             qGame: document.getElementById('qGameScreen'),
-            qResult: document.getElementById('qResultScreen')
+            qResult: document.getElementById('qResultScreen'),
+            stats: document.getElementById('statsScreen'),
+            typing: document.getElementById('typingScreen'),
+            choiceQuiz: document.getElementById('choiceQuizScreen')
         };
 
         this.cache = {
@@ -28,10 +31,1135 @@ class UIManager {
         this.updateTimer = null;
         this.updateDelay = 100;
         
+        // 등급 답변 모드 (알아요/몰라요 대신 뒷면에서 다시/어려움/좋음/쉬움 선택)
+        this.gradedAnswerMode = this.loadGradedAnswerSetting();
+        
         // 초기화 시작
         this.initialize();
     }
 
+    /**
+     * 등급 답변 모드 설정 읽기
+     * 학습 설정 창이나 URL 파라미터 grading=1/0 으로 켜고 끄며, 값은 로컬 스토리지에 유지
+     * @returns {boolean} 등급 답변 모드 사용 여부
+     */
+    loadGradedAnswerSetting() {
+        try {
+            const params = window._originalUrlParams || {};
+            const urlValue = params.grading !== undefined ?
+                params.grading : new URLSearchParams(window.location.search).get('grading');
+            
+            if (urlValue === '1' || urlValue === '0') {
+                localStorage.setItem(UIManager.GRADED_ANSWER_STORAGE_KEY, urlValue);
+            }
+            
+            return localStorage.getItem(UIManager.GRADED_ANSWER_STORAGE_KEY) === '1';
+        } catch (error) {
+            console.warn('등급 답변 설정 읽기 오류:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 등급 답변 모드 켜기/끄기
+     * @param {boolean} enabled - 사용 여부
+     */
+    setGradedAnswerMode(enabled) {
+        this.gradedAnswerMode = !!enabled;
+        
+        try {
+            localStorage.setItem(UIManager.GRADED_ANSWER_STORAGE_KEY, this.gradedAnswerMode ? '1' : '0');
+        } catch (error) {
+            console.warn('등급 답변 설정 저장 오류:', error);
+        }
+    }
+
+    /**
+     * 카드가 표시된 뒤 지난 시간 (응답 시간)
+     * @returns {number|null} 밀리초 (카드 표시 시각이 없으면 null)
+     */
+    getAnswerLatency() {
+        return this._cardShownAt ? Date.now() - this._cardShownAt : null;
+    }
+
+    /**
+     * 답변 기록 저장 (백그라운드, 실패해도 학습 흐름은 계속)
+     * @param {string} wordId - 단어 ID
+     * @param {boolean|number} answer - 정답 여부 또는 등급 (1~4)
+     * @param {number|null} [latencyMs] - 카드 표시부터 답변까지 걸린 시간
+     * @returns {Promise<number|null>} 답변 기록 ID (되돌리기에서 삭제용)
+     */
+    recordAnswer(wordId, answer, latencyMs = this.getAnswerLatency()) {
+        if (!wordId || !this.app || !this.app.dbManager ||
+            typeof this.app.dbManager.addAnswerLog !== 'function') {
+            return Promise.resolve(null);
+        }
+        
+        const { grade, isKnown } = normalizeAnswer(answer);
+        
+        this._lastAnswerLogPromise = this.app.dbManager.addAnswerLog({
+            wordId,
+            grade,
+            isKnown,
+            mode: this.getCurrentModeKey(),
+            latencyMs,
+            sessionId: this.app.studySessionId || null,
+            direction: this.getCardDirection(),
+            // 틀려서 다시 나온 카드의 답변 (통계에서는 첫 답변만 사용)
+            isRepeat: !!(window.LearningSteps && this.app.currentMode &&
+                window.LearningSteps.isRepeat(this.app.currentMode))
+        }).catch(error => {
+            console.error('답변 기록 저장 오류:', error);
+            return null;
+        });
+        return this._lastAnswerLogPromise;
+    }
+
+    /**
+     * 답변 처리 직전 되돌리기 정보 준비
+     * @param {string} wordId - 단어 ID
+     * @returns {Object|null} 되돌리기 항목
+     */
+    beginUndoableAnswer(wordId) {
+        return window.AnswerUndo ? window.AnswerUndo.begin(this.app, wordId) : null;
+    }
+
+    /**
+     * 답변 처리 후 되돌리기 스택에 추가
+     * @param {Object|null} entry - beginUndoableAnswer 결과
+     * @param {Object} options - { updatePromise, logIdPromise }
+     */
+    commitUndoableAnswer(entry, options) {
+        if (!entry || !window.AnswerUndo) return;
+        
+        window.AnswerUndo.commit(entry, options);
+        this.updateUndoButtons();
+    }
+
+    // 되돌릴 답변이 있을 때만 되돌리기 버튼 표시
+    updateUndoButtons() {
+        const count = window.AnswerUndo && this.app ?
+            window.AnswerUndo.count(this.app.studySessionId || null) : 0;
+        
+        ['undoBtn', 'qUndoBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.style.display = count > 0 ? 'block' : 'none';
+        });
+    }
+
+    // 마지막 답변 되돌리기 후 그 카드를 다시 표시
+    async handleUndo() {
+        if (!this.ensureApp() || !window.AnswerUndo || this._isUndoing) return;
+        
+        this._isUndoing = true;
+        try {
+            // Q 게임의 자동 진행/뒤집기와 등급 대기 취소
+            clearTimeout(this._qAdvanceTimer);
+            this._qAdvanceTimer = null;
+            this._pendingQGrade = null;
+            if (this.app.currentMode && typeof this.app.currentMode.clearFlipTimer === 'function') {
+                this.app.currentMode.clearFlipTimer();
+            }
+            
+            const entry = await window.AnswerUndo.undo(this.app);
+            this.updateUndoButtons();
+            if (!entry) return;
+            
+            this._isHandlingAnswer = false;
+            
+            if (this.screens.qGame && this.screens.qGame.style.display !== 'none') {
+                const card = this.getElement('card');
+                const cardBack = card && card.querySelector('.card-back');
+                const qGradeButtons = document.getElementById('qGradeButtons');
+                if (cardBack) cardBack.style.backgroundColor = '';
+                if (qGradeButtons) qGradeButtons.style.display = 'none';
+                await this.showQMemoryCard();
+            } else {
+                this.currentStudyIndex = this.app.currentMode.currentIndex;
+                await this.showWord();
+            }
+        } finally {
+            this._isUndoing = false;
+        }
+    }
+
+    /**
+     * 현재 카드 방향
+     * @returns {string} forward | reverse
+     */
+    getCardDirection() {
+        const mode = this.app && this.app.currentMode;
+        return mode && mode.currentDirection === 'reverse' ? 'reverse' : 'forward';
+    }
+
+    /**
+     * 새 카드의 방향 결정 (세션 설정이 섞기면 카드마다 무작위)
+     * @returns {string} forward | reverse
+     */
+    pickCardDirection() {
+        const mode = this.app && this.app.currentMode;
+        if (!mode) return 'forward';
+        
+        mode.currentDirection = window.CardDirection ?
+            window.CardDirection.pick(mode.sessionDirection) : 'forward';
+        return mode.currentDirection;
+    }
+
+    /**
+     * 카드 앞면 텍스트 (정방향 = 단어, 역방향 = 뜻)
+     * @param {Object} word - 현재 단어
+     * @returns {string} 앞면 텍스트
+     */
+    getCardFrontText(word) {
+        if (!word) return '';
+        if (this.isListeningCard()) return '🔊';
+        return this.getCardDirection() === 'reverse' ? String(word.meaning || '') : (word.word || '');
+    }
+
+    /**
+     * 듣기 모드로 보여줄 카드인지 (정방향 카드만: 역방향은 소리가 곧 정답)
+     * @returns {boolean} 듣기 카드 여부
+     */
+    isListeningCard() {
+        const settings = window.SpeechPlayer && window.SpeechPlayer.settings;
+        return !!(settings && settings.listening) && this.getCardDirection() === 'forward';
+    }
+
+    /**
+     * 카드 발음 재생
+     * - 앞면: 듣기 모드이거나 자동 발음이면서 단어가 보이는 정방향 카드
+     * - 뒷면: 자동 발음이면서 역방향 카드 (정답을 본 뒤에 발음)
+     * @param {Object} word - 현재 단어
+     * @param {boolean} revealed - 정답(뒷면)을 보여준 시점인지
+     */
+    speakCardWord(word, revealed = false) {
+        const player = window.SpeechPlayer;
+        if (!player || !player.settings || !word) return;
+        
+        const isForward = this.getCardDirection() === 'forward';
+        const shouldSpeak = revealed ?
+            player.settings.autoPronounce && !isForward :
+            isForward && (player.settings.listening || player.settings.autoPronounce);
+        
+        if (shouldSpeak) {
+            player.playWord(word).catch(error => {
+                console.warn('발음 재생 오류:', error);
+            });
+        }
+    }
+
+    // 메인 화면의 오늘의 목표 표시 갱신
+    async updateDailyGoalBox() {
+        const box = document.getElementById('dailyGoalBox');
+        if (!box || !window.DailyGoals || !this.app || !this.app.dbManager) return;
+        
+        // 시험 계획이 있으면 남은 날에 맞춘 할당량을 목표로 먼저 반영
+        await this.updateExamPlan();
+        
+        const summary = await window.DailyGoals.refresh(this.app.dbManager);
+        if (!summary) {
+            box.style.display = 'none';
+            return;
+        }
+        
+        const { goals, progress, streak, goalMet } = summary;
+        const setProgress = (textId, barId, value, goal) => {
+            const text = document.getElementById(textId);
+            const bar = document.getElementById(barId);
+            if (text) text.textContent = goal > 0 ? `${value}/${goal}` : `${value}`;
+            if (bar) bar.style.width = `${Math.round(window.DailyGoals.getRatio(value, goal) * 100)}%`;
+        };
+        setProgress('dailyGoalNewText', 'dailyGoalNewBar', progress.newWords, goals.newWords);
+        setProgress('dailyGoalReviewText', 'dailyGoalReviewBar', progress.reviews, goals.reviews);
+        
+        const streakText = document.getElementById('dailyGoalStreak');
+        if (streakText) {
+            streakText.textContent = streak > 0 ? `🔥 ${streak}일` : '';
+        }
+        box.classList.toggle('completed', goalMet);
+        box.style.display = '';
+    }
+
+    /**
+     * 세션 종료 화면의 오늘의 목표 요약
+     * @param {string} elementId - 요약을 표시할 요소 ID
+     */
+    async showDailyGoalSummary(elementId) {
+        const element = document.getElementById(elementId);
+        if (!element || !window.DailyGoals || !this.app || !this.app.dbManager) return;
+        
+        // 마지막 답변 기록이 저장된 뒤에 계산
+        if (this._lastAnswerLogPromise) {
+            await this._lastAnswerLogPromise;
+        }
+        
+        const summary = await window.DailyGoals.refresh(this.app.dbManager);
+        if (!summary) {
+            element.style.display = 'none';
+            return;
+        }
+        
+        const { goals, progress, streak, goalMet } = summary;
+        const parts = [];
+        if (goals.newWords > 0) parts.push(`신규 ${Math.min(progress.newWords, goals.newWords)}/${goals.newWords}`);
+        if (goals.reviews > 0) parts.push(`복습 ${Math.min(progress.reviews, goals.reviews)}/${goals.reviews}`);
+        
+        const title = goalMet ? '오늘의 목표 달성! 🎉' : '오늘의 목표';
+        element.innerHTML = `
+            <div class="goal-summary-title">${title}</div>
+            ${parts.length > 0 ? `<div class="goal-summary-progress">${parts.join(' · ')}</div>` : ''}
+            ${streak > 0 ? `<div class="goal-summary-streak">🔥 ${streak}일 연속 학습</div>` : ''}
+        `;
+        element.classList.toggle('completed', goalMet);
+        element.style.display = 'block';
+    }
+
+    /**
+     * 시험 계획 갱신 (메인 화면 D-day 표시, 할당량을 목표로 반영)
+     * @returns {Promise<Object|null>} 계획 요약
+     */
+    async updateExamPlan() {
+        if (!window.ExamPlanner || !this.app || !this.app.dbManager) return null;
+        
+        const summary = await window.ExamPlanner.getSummary(this.app.dbManager);
+        
+        const button = document.getElementById('examPlanBtn');
+        if (button) {
+            button.textContent = summary ? window.ExamPlanner.formatCountdown(summary.daysLeft) : '시험일';
+            button.classList.toggle('exam-countdown', !!summary);
+        }
+        
+        if (summary) {
+            await window.ExamPlanner.applyToGoals(this.app.dbManager, summary);
+        }
+        return summary;
+    }
+
+    /**
+     * 시험 계획 창의 할당량 안내
+     * @param {Object|null} summary - ExamPlanner.getSummary 결과
+     */
+    renderExamPlanSummary(summary) {
+        const element = document.getElementById('examPlanSummary');
+        if (!element) return;
+        
+        if (!summary) {
+            element.textContent = '시험일을 정하면 남은 단어와 복습을 날짜별로 나눠 드립니다.';
+            return;
+        }
+        if (summary.daysLeft < 0) {
+            element.textContent = '시험일이 지났습니다. 새 시험일을 정해 주세요.';
+            return;
+        }
+        
+        const lines = [
+            `${window.ExamPlanner.formatCountdown(summary.daysLeft)} · 남은 단어 ${summary.unstudied}개 · 밀린 복습 ${summary.backlog}개`,
+            `하루 신규 ${summary.newPerDay}개 · 복습 ${summary.reviewsPerDay}개`
+        ];
+        if (summary.missedDays > 0) {
+            lines.push(`학습하지 않은 날 ${summary.missedDays}일만큼 할당량을 다시 나눴습니다.`);
+        }
+        element.textContent = lines.join('\n');
+    }
+
+    // 시험 계획 창 연결
+    setupExamPlanner() {
+        const modal = document.getElementById('examPlanModal');
+        if (!window.ExamPlanner || !modal) return;
+        
+        const dateInput = document.getElementById('examDateInput');
+        const applyGoals = document.getElementById('examApplyGoals');
+        
+        const openBtn = document.getElementById('examPlanBtn');
+        if (openBtn) {
+            openBtn.addEventListener('click', async () => {
+                if (!this.ensureApp()) return;
+                const plan = await window.ExamPlanner.loadPlan(this.app.dbManager);
+                dateInput.value = plan ? plan.targetDate : '';
+                dateInput.min = window.KoreanTimeUtil.getKoreanDayString();
+                applyGoals.checked = !plan || plan.applyToGoals !== false;
+                this.renderExamPlanSummary(plan ? await window.ExamPlanner.getSummary(this.app.dbManager) : null);
+                modal.style.display = 'flex';
+            });
+        }
+        
+        const closeBtn = document.getElementById('examPlanCloseBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                modal.style.display = 'none';
+            });
+        }
+        
+        const saveBtn = document.getElementById('examPlanSaveBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', async () => {
+                if (!this.ensureApp() || !dateInput.value) return;
+                await window.ExamPlanner.savePlan(this.app.dbManager, {
+                    targetDate: dateInput.value,
+                    applyToGoals: applyGoals.checked
+                });
+                this.renderExamPlanSummary(await window.ExamPlanner.getSummary(this.app.dbManager));
+                this.updateDailyGoalBox();
+            });
+        }
+        
+        const clearBtn = document.getElementById('examPlanClearBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', async () => {
+                if (!this.ensureApp()) return;
+                await window.ExamPlanner.savePlan(this.app.dbManager, null);
+                dateInput.value = '';
+                this.renderExamPlanSummary(null);
+                this.updateDailyGoalBox();
+            });
+        }
+    }
+
+    /**
+     * 단어 내보내기 창 열기
+     * @param {string} [selectionType] - 처음 고를 방식 (difficult | starred | bucket | custom)
+     */
+    openWordExport(selectionType = 'difficult') {
+        const modal = document.getElementById('wordExportModal');
+        if (!window.WordExport || !modal) return;
+        
+        const selection = document.getElementById('wordExportSelection');
+        selection.value = window.WordExport.SELECTIONS[selectionType] ? selectionType : 'difficult';
+        selection.dispatchEvent(new Event('change'));
+        this.showWordExportMessage('');
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * 단어 내보내기 창 메시지
+     * @param {string} text - 메시지
+     * @param {boolean} [isError] - 오류 여부
+     */
+    showWordExportMessage(text, isError = false) {
+        const element = document.getElementById('wordExportMessage');
+        if (!element) return;
+        element.textContent = text;
+        element.classList.toggle('error', isError);
+    }
+
+    // 단어 내보내기 창 연결
+    setupWordExport() {
+        const modal = document.getElementById('wordExportModal');
+        if (!window.WordExport || !modal) return;
+        
+        // 필드 선택 체크박스
+        const fieldsContainer = document.getElementById('wordExportFields');
+        Object.entries(window.WordExport.FIELDS).forEach(([field, label]) => {
+            const item = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = field;
+            checkbox.checked = window.WordExport.DEFAULT_FIELDS.includes(field);
+            item.appendChild(checkbox);
+            item.appendChild(document.createTextNode(label));
+            fieldsContainer.appendChild(item);
+        });
+        
+        const selection = document.getElementById('wordExportSelection');
+        const bucketRow = document.getElementById('wordExportBucketRow');
+        selection.addEventListener('change', () => {
+            bucketRow.style.display = selection.value === 'bucket' ? 'flex' : 'none';
+            this.showWordExportMessage(selection.value === 'custom' ? '마지막으로 사용한 커스텀 학습 조건으로 고릅니다.' : '');
+        });
+        
+        const openBtn = document.getElementById('wordExportBtn');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.openWordExport('difficult'));
+        }
+        
+        const closeBtn = document.getElementById('wordExportCloseBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                modal.style.display = 'none';
+            });
+        }
+        
+        const startBtn = document.getElementById('wordExportStartBtn');
+        if (startBtn) {
+            startBtn.addEventListener('click', async () => {
+                if (!this.ensureApp()) return;
+                
+                const fields = Array.from(fieldsContainer.querySelectorAll('input:checked')).map(input => input.value);
+                if (fields.length === 0) {
+                    this.showWordExportMessage('내보낼 항목을 하나 이상 골라 주세요.', true);
+                    return;
+                }
+                
+                const selectionOptions = {
+                    type: selection.value,
+                    bucket: document.getElementById('wordExportBucket').value
+                };
+                if (selection.value === 'custom' && window.CustomStudy) {
+                    selectionOptions.customOptions = await window.CustomStudy.loadOptions(this.app.dbManager);
+                }
+                
+                startBtn.disabled = true;
+                const count = await window.WordExport.download(this.app.dbManager, {
+                    selection: selectionOptions,
+                    fields,
+                    format: document.getElementById('wordExportFormat').value
+                });
+                startBtn.disabled = false;
+                
+                if (count === null) {
+                    this.showWordExportMessage('내보내기에 실패했습니다.', true);
+                } else if (count === 0) {
+                    this.showWordExportMessage('조건에 맞는 단어가 없습니다.', true);
+                } else {
+                    this.showWordExportMessage(`단어 ${count}개를 내보냈습니다.`);
+                }
+            });
+        }
+    }
+
+    /**
+     * 진도 백업 창 메시지
+     * @param {string} text - 메시지
+     * @param {boolean} [isError] - 오류 여부
+     */
+    showProgressBackupMessage(text, isError = false) {
+        const element = document.getElementById('progressBackupMessage');
+        if (!element) return;
+        element.textContent = text;
+        element.classList.toggle('error', isError);
+    }
+
+    // 진도 내보내기/가져오기 창 연결
+    setupProgressBackup() {
+        const modal = document.getElementById('progressBackupModal');
+        if (!window.ProgressBackup || !modal) return;
+        
+        const openBtn = document.getElementById('progressBackupBtn');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => {
+                this.showProgressBackupMessage('');
+                modal.style.display = 'flex';
+            });
+        }
+        
+        const closeBtn = document.getElementById('progressBackupCloseBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                modal.style.display = 'none';
+            });
+        }
+        
+        const exportBtn = document.getElementById('progressExportBtn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', async () => {
+                if (!this.ensureApp()) return;
+                exportBtn.disabled = true;
+                const count = await window.ProgressBackup.download(this.app.dbManager);
+                exportBtn.disabled = false;
+                
+                if (count === null) {
+                    this.showProgressBackupMessage('내보내기에 실패했습니다.', true);
+                } else {
+                    this.showProgressBackupMessage(`단어 ${count}개의 진도를 내보냈습니다.`);
+                }
+            });
+        }
+        
+        const importBtn = document.getElementById('progressImportBtn');
+        const fileInput = document.getElementById('progressImportFile');
+        if (importBtn && fileInput) {
+            importBtn.addEventListener('click', async () => {
+                if (!this.ensureApp()) return;
+                const file = fileInput.files && fileInput.files[0];
+                if (!file) {
+                    this.showProgressBackupMessage('가져올 파일을 선택해 주세요.', true);
+                    return;
+                }
+                
+                const modeInput = document.querySelector('input[name="progressImportMode"]:checked');
+                const mode = modeInput ? modeInput.value : 'merge';
+                if (mode === 'overwrite' && !confirm('이 기기의 진도를 파일의 진도로 덮어씁니다. 계속할까요?')) return;
+                
+                importBtn.disabled = true;
+                try {
+                    const { data, error } = window.ProgressBackup.parse(
+                        await file.text(),
+                        window.ProgressBackup.getContentId(this.app.dbManager)
+                    );
+                    if (error) {
+                        this.showProgressBackupMessage(error, true);
+                        return;
+                    }
+                    
+                    const result = await window.ProgressBackup.importData(this.app.dbManager, data, mode, this.app.syncManager);
+                    if (!result) {
+                        this.showProgressBackupMessage('가져오기에 실패했습니다.', true);
+                        return;
+                    }
+                    
+                    const lines = [`단어 ${result.matched}개 중 ${result.updated}개의 진도, 답변 기록 ${result.historyAdded}개를 가져왔습니다.`];
+                    if (result.unmatched.length > 0) {
+                        lines.push(`찾지 못한 단어 ${result.unmatched.length}개:`);
+                        result.unmatched.slice(0, 20).forEach(item => {
+                            lines.push(`- ${item.No !== null && item.No !== undefined ? `#${item.No} ` : ''}${item.word || item.airtableId || ''}`);
+                        });
+                        if (result.unmatched.length > 20) lines.push(`외 ${result.unmatched.length - 20}개`);
+                    }
+                    this.showProgressBackupMessage(lines.join('\n'));
+                    
+                    if (this.app.countCache) {
+                        this.app.countCache.invalidate();
+                    }
+                    if (this.app.updateWordCounts) {
+                        this.app.updateWordCounts(true).catch(error => {
+                            console.error('Error updating word counts:', error);
+                        });
+                    }
+                    this.updateDailyGoalBox();
+                } finally {
+                    importBtn.disabled = false;
+                }
+            });
+        }
+    }
+
+    // 학습 설정 창에 틀린 카드 다시 보기 설정 표시
+    async updateLearningStepsForm() {
+        const unitSelect = document.getElementById('learningStepsUnit');
+        const amountInput = document.getElementById('learningStepsAmount');
+        if (!window.LearningSteps || !unitSelect || !amountInput || !this.ensureApp()) return;
+        
+        const settings = await window.LearningSteps.loadSettings(this.app.dbManager);
+        unitSelect.value = settings.enabled ? settings.unit : 'off';
+        amountInput.value = settings.unit === 'minutes' ? settings.minutes : settings.cards;
+        amountInput.disabled = !settings.enabled;
+    }
+
+    // 학습 설정 창 연결 (등급 답변 모드, 틀린 카드 다시 보기)
+    setupStudySettings() {
+        const modal = document.getElementById('studySettingsModal');
+        if (!modal) return;
+        
+        const gradedToggle = document.getElementById('gradedAnswerToggle');
+        
+        const openBtn = document.getElementById('studySettingsBtn');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => {
+                if (gradedToggle) gradedToggle.checked = this.gradedAnswerMode;
+                this.updateLearningStepsForm();
+                modal.style.display = 'flex';
+            });
+        }
+        
+        const closeBtn = document.getElementById('studySettingsCloseBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                modal.style.display = 'none';
+            });
+        }
+        
+        if (gradedToggle) {
+            gradedToggle.addEventListener('change', () => {
+                this.setGradedAnswerMode(gradedToggle.checked);
+            });
+        }
+        
+        const unitSelect = document.getElementById('learningStepsUnit');
+        const amountInput = document.getElementById('learningStepsAmount');
+        if (window.LearningSteps && unitSelect && amountInput) {
+            const saveSteps = async (values) => {
+                if (!this.ensureApp()) return;
+                await window.LearningSteps.saveSettings(this.app.dbManager, values);
+                await this.updateLearningStepsForm();
+            };
+            // 단위를 바꾸면 그 단위로 저장해 둔 값을 표시
+            unitSelect.addEventListener('change', () => {
+                const unit = unitSelect.value;
+                saveSteps(unit === 'off' ? { enabled: false } : { enabled: true, unit });
+            });
+            amountInput.addEventListener('change', () => {
+                const unit = unitSelect.value;
+                if (unit !== 'off') saveSteps({ [unit]: amountInput.value });
+            });
+        }
+    }
+
+    // 오늘의 목표 설정 창 연결
+    setupDailyGoals() {
+        const modal = document.getElementById('dailyGoalModal');
+        if (!window.DailyGoals || !modal) return;
+        
+        const newInput = document.getElementById('dailyGoalNewInput');
+        const reviewInput = document.getElementById('dailyGoalReviewInput');
+        
+        const box = document.getElementById('dailyGoalBox');
+        if (box) {
+            box.addEventListener('click', async () => {
+                if (!this.ensureApp()) return;
+                const goals = await window.DailyGoals.loadGoals(this.app.dbManager);
+                newInput.value = goals.newWords;
+                reviewInput.value = goals.reviews;
+                modal.style.display = 'flex';
+            });
+        }
+        
+        const closeBtn = document.getElementById('dailyGoalCloseBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                modal.style.display = 'none';
+            });
+        }
+        
+        const saveBtn = document.getElementById('dailyGoalSaveBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', async () => {
+                if (!this.ensureApp()) return;
+                await window.DailyGoals.saveGoals(this.app.dbManager, {
+                    newWords: newInput.value,
+                    reviews: reviewInput.value
+                });
+                modal.style.display = 'none';
+                this.updateDailyGoalBox();
+            });
+        }
+    }
+
+    /**
+     * 학습 카드 뒷면의 별표/메모/태그 표시 갱신
+     * @param {string} wordId - 단어 ID
+     */
+    async refreshCardNotes(wordId) {
+        if (!window.WordNotes || !this.app || !this.app.dbManager || !wordId) return;
+        
+        let word = null;
+        try {
+            word = await this.app.dbManager.getWordById(wordId);
+        } catch (error) {
+            console.warn('단어 메모 조회 오류:', error);
+        }
+        
+        // 그 사이 다음 카드로 넘어갔으면 표시하지 않음
+        if (this.app.getCurrentWord()?._id !== wordId) return;
+        
+        const notes = window.WordNotes.getNotes(word);
+        const starBtn = document.getElementById('starBtn');
+        if (starBtn) {
+            starBtn.textContent = notes.starred ? '★' : '☆';
+            starBtn.classList.toggle('active', notes.starred);
+        }
+        
+        const noteText = document.getElementById('wordNoteText');
+        if (noteText) {
+            const tagText = notes.tags.map(tag => `#${tag}`).join(' ');
+            noteText.textContent = [notes.note, tagText].filter(Boolean).join('\n');
+            noteText.style.display = noteText.textContent ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * 별표/메모/태그 편집 창 열기
+     * @param {string} wordId - 단어 ID
+     * @param {Function} [onSaved] - 저장 후 호출
+     */
+    async openWordNoteEditor(wordId, onSaved) {
+        const modal = document.getElementById('wordNoteModal');
+        if (!modal || !window.WordNotes || !this.ensureApp() || !wordId) return;
+        
+        const word = await this.app.dbManager.getWordById(wordId).catch(() => null);
+        if (!word) return;
+        
+        const notes = window.WordNotes.getNotes(word);
+        document.getElementById('wordNoteTitle').textContent = word.word || '메모';
+        document.getElementById('wordNoteStarred').checked = notes.starred;
+        document.getElementById('wordNoteInput').value = notes.note;
+        document.getElementById('wordTagsInput').value = notes.tags.join(', ');
+        
+        this._wordNoteTarget = { wordId, onSaved };
+        modal.style.display = 'flex';
+    }
+
+    // 별표/메모/태그 버튼과 편집 창 연결
+    setupWordNotes() {
+        const modal = document.getElementById('wordNoteModal');
+        if (!window.WordNotes || !modal) return;
+        
+        const closeBtn = document.getElementById('wordNoteCloseBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                modal.style.display = 'none';
+                this._wordNoteTarget = null;
+            });
+        }
+        
+        const saveBtn = document.getElementById('wordNoteSaveBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', async () => {
+                const target = this._wordNoteTarget;
+                if (!target || !this.ensureApp()) return;
+                
+                saveBtn.disabled = true;
+                try {
+                    const saved = await window.WordNotes.save(this.app.dbManager, target.wordId, {
+                        starred: document.getElementById('wordNoteStarred').checked,
+                        note: document.getElementById('wordNoteInput').value,
+                        tags: document.getElementById('wordTagsInput').value
+                    });
+                    if (saved) {
+                        modal.style.display = 'none';
+                        this._wordNoteTarget = null;
+                        if (typeof target.onSaved === 'function') target.onSaved();
+                    }
+                } finally {
+                    saveBtn.disabled = false;
+                }
+            });
+        }
+        
+        // 학습 카드 뒷면의 별표 버튼
+        const starBtn = document.getElementById('starBtn');
+        if (starBtn) {
+            starBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                if (!this.ensureApp()) return;
+                const currentWord = this.app.getCurrentWord();
+                if (!currentWord?._id) return;
+                
+                await window.WordNotes.toggleStar(this.app.dbManager, currentWord._id);
+                this.refreshCardNotes(currentWord._id);
+            });
+        }
+        
+        // 학습 카드 뒷면의 메모 버튼
+        const noteBtn = document.getElementById('wordNoteBtn');
+        if (noteBtn) {
+            noteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (!this.ensureApp()) return;
+                const currentWord = this.app.getCurrentWord();
+                if (!currentWord?._id) return;
+                
+                this.openWordNoteEditor(currentWord._id, () => this.refreshCardNotes(currentWord._id));
+            });
+        }
+    }
+
+    // 커스텀 학습 조건 창에 값 채우기
+    fillCustomStudyForm(options) {
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value === null || value === undefined ? '' : value;
+        };
+        setValue('customNoFrom', options.noFrom);
+        setValue('customNoTo', options.noTo);
+        setValue('customMinDifficulty', options.minDifficulty);
+        setValue('customStudiedAfter', options.studiedAfter);
+        setValue('customStudiedBefore', options.studiedBefore);
+        setValue('customBucket', options.bucket);
+        setValue('customTag', options.tag);
+        setValue('customOrder', options.order);
+        setValue('customCount', options.count);
+        
+        const starredOnly = document.getElementById('customStarredOnly');
+        if (starredOnly) starredOnly.checked = !!options.starredOnly;
+    }
+
+    // 커스텀 학습 조건 창의 입력값 읽기
+    readCustomStudyForm() {
+        const getValue = id => {
+            const input = document.getElementById(id);
+            return input ? input.value : '';
+        };
+        const starredOnly = document.getElementById('customStarredOnly');
+        
+        return window.CustomStudy.normalizeOptions({
+            noFrom: getValue('customNoFrom'),
+            noTo: getValue('customNoTo'),
+            minDifficulty: getValue('customMinDifficulty'),
+            studiedAfter: getValue('customStudiedAfter'),
+            studiedBefore: getValue('customStudiedBefore'),
+            bucket: getValue('customBucket'),
+            starredOnly: !!(starredOnly && starredOnly.checked),
+            tag: getValue('customTag'),
+            order: getValue('customOrder'),
+            count: getValue('customCount')
+        });
+    }
+
+    // 커스텀 학습 조건 창 연결
+    setupCustomStudy() {
+        const modal = document.getElementById('customStudyModal');
+        if (!window.CustomStudy || !modal) return;
+        
+        const message = document.getElementById('customStudyMessage');
+        
+        const openBtn = document.getElementById('customStudyBtn');
+        if (openBtn) {
+            openBtn.addEventListener('click', async () => {
+                if (!this.ensureApp()) return;
+                this.fillCustomStudyForm(await window.CustomStudy.loadOptions(this.app.dbManager));
+                if (message) message.textContent = '';
+                
+                // 내가 붙인 태그를 입력 후보로
+                const tagList = document.getElementById('customTagList');
+                if (tagList && window.WordNotes) {
+                    const tags = await window.WordNotes.getAllTags(this.app.dbManager);
+                    tagList.innerHTML = '';
+                    tags.forEach(tag => {
+                        const option = document.createElement('option');
+                        option.value = tag;
+                        tagList.appendChild(option);
+                    });
+                }
+                modal.style.display = 'flex';
+            });
+        }
+        
+        const closeBtn = document.getElementById('customStudyCloseBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                modal.style.display = 'none';
+            });
+        }
+        
+        const startBtn = document.getElementById('customStudyStartBtn');
+        if (startBtn) {
+            startBtn.addEventListener('click', async () => {
+                startBtn.disabled = true;
+                if (message) message.textContent = '';
+                try {
+                    const started = await this.startCustomStudy(this.readCustomStudyForm());
+                    if (started) {
+                        modal.style.display = 'none';
+                    } else if (message) {
+                        message.textContent = '조건에 맞는 단어가 없습니다.';
+                    }
+                } finally {
+                    startBtn.disabled = false;
+                }
+            });
+        }
+    }
+
+    /**
+     * 커스텀 학습 시작 (S 메모리 카드 화면에서 진행)
+     * @param {Object} options - CustomStudy 조건
+     * @returns {Promise<boolean>} 시작 여부 (조건에 맞는 단어가 없으면 false)
+     */
+    async startCustomStudy(options) {
+        if (!this.ensureApp() || !this.app.modes.custom) return false;
+        
+        this.app.modes.custom.setOptions(options);
+        window.CustomStudy.saveOptions(this.app.dbManager, options);
+        
+        const result = await this.app.startMode('custom');
+        if (!result.success || !this.app.currentMode?.words?.length) {
+            return false;
+        }
+        
+        this.showScreen('qGame');
+        this.resetQMemoryGame();
+        await this.showQMemoryCard();
+        return true;
+    }
+
+    // 발음 설정 창에 현재 값 표시
+    async updateSpeechSettingsForm() {
+        const player = window.SpeechPlayer;
+        if (!player) return;
+        
+        const settings = await player.loadSettings();
+        const autoPronounce = document.getElementById('autoPronounceToggle');
+        const listening = document.getElementById('listeningToggle');
+        const voiceSelect = document.getElementById('speechVoiceSelect');
+        const rateInput = document.getElementById('speechRateInput');
+        const rateValue = document.getElementById('speechRateValue');
+        
+        if (autoPronounce) autoPronounce.checked = !!settings.autoPronounce;
+        if (listening) listening.checked = !!settings.listening;
+        if (rateInput) rateInput.value = settings.rate;
+        if (rateValue) rateValue.textContent = Number(settings.rate).toFixed(1);
+        
+        if (voiceSelect) {
+            const voices = player.getVoices();
+            voiceSelect.innerHTML = '<option value="">자동 (단어 언어)</option>' +
+                voices.map(voice => `<option value="${voice.voiceURI}">${voice.name} (${voice.lang})</option>`).join('');
+            voiceSelect.value = voices.some(voice => voice.voiceURI === settings.voiceURI) ? settings.voiceURI : '';
+            voiceSelect.disabled = voices.length === 0;
+        }
+    }
+
+    // 발음 설정 창 이벤트 연결
+    setupSpeechSettings() {
+        const player = window.SpeechPlayer;
+        const modal = document.getElementById('speechSettingsModal');
+        if (!player || !modal) return;
+        
+        const openBtn = document.getElementById('speechSettingsBtn');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => {
+                this.updateSpeechSettingsForm();
+                modal.style.display = 'flex';
+            });
+        }
+        
+        const closeBtn = document.getElementById('speechSettingsCloseBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                modal.style.display = 'none';
+            });
+        }
+        
+        const bindSetting = (id, key, getValue) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.addEventListener('change', () => {
+                player.saveSettings({ [key]: getValue(input) });
+            });
+        };
+        bindSetting('autoPronounceToggle', 'autoPronounce', input => input.checked);
+        bindSetting('listeningToggle', 'listening', input => input.checked);
+        bindSetting('speechVoiceSelect', 'voiceURI', input => input.value);
+        bindSetting('speechRateInput', 'rate', input => Number(input.value));
+        
+        const rateInput = document.getElementById('speechRateInput');
+        const rateValue = document.getElementById('speechRateValue');
+        if (rateInput && rateValue) {
+            rateInput.addEventListener('input', () => {
+                rateValue.textContent = Number(rateInput.value).toFixed(1);
+            });
+        }
+        
+        const testBtn = document.getElementById('speechTestBtn');
+        if (testBtn) {
+            testBtn.addEventListener('click', () => {
+                const voiceSelect = document.getElementById('speechVoiceSelect');
+                const voice = player.getVoices().find(item => voiceSelect && item.voiceURI === voiceSelect.value);
+                player.stop();
+                const lang = voice ? voice.lang : 'ko-KR';
+                player.speak(lang.toLowerCase().startsWith('ko') ? '안녕하세요' : 'Hello', lang);
+            });
+        }
+        
+        // 목소리 목록은 브라우저가 비동기로 채움
+        if (player.isSpeechSupported() && typeof window.speechSynthesis.addEventListener === 'function') {
+            window.speechSynthesis.addEventListener('voiceschanged', () => {
+                if (modal.style.display !== 'none') this.updateSpeechSettingsForm();
+            });
+        }
+        
+        // 학습 카드의 발음 듣기 버튼
+        const pronounceBtn = document.getElementById('pronounceBtn');
+        if (pronounceBtn) {
+            pronounceBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (!this.ensureApp()) return;
+                const currentWord = this.app.getCurrentWord();
+                if (currentWord) player.playWord(currentWord);
+            });
+        }
+        
+        player.loadSettings();
+    }
+
+    // 현재 세션 위치를 IndexedDB에 저장 (이어하기용)
+    saveSessionSnapshot() {
+        if (!window.SessionStore || !this.app || !this.app.currentMode) return;
+        
+        window.SessionStore.save(this.app, this.getCurrentModeKey()).catch(error => {
+            console.warn('학습 세션 저장 실패:', error);
+        });
+    }
+
+    // 저장된 세션 삭제
+    clearSessionSnapshot() {
+        if (!window.SessionStore || !this.app || !this.app.dbManager) return;
+        
+        window.SessionStore.clear(this.app.dbManager).catch(error => {
+            console.warn('학습 세션 삭제 실패:', error);
+        });
+    }
+
+    // 앱 시작 시 중단된 세션이 있으면 이어하기 제안
+    async offerSessionResume() {
+        const modal = document.getElementById('resumeSessionModal');
+        if (!window.SessionStore || !modal || !this.app || !this.app.dbManager) return;
+        
+        const snapshot = await window.SessionStore.load(this.app.dbManager);
+        if (!snapshot || !this.app.modes || !this.app.modes[snapshot.modeName]) return;
+        
+        const message = document.getElementById('resumeSessionMessage');
+        if (message) {
+            const label = window.SessionStore.MODE_LABELS[snapshot.modeName] || snapshot.modeName;
+            message.textContent = `${label} 학습을 ${snapshot.currentIndex + 1}/${snapshot.wordIds.length}번째 단어부터 이어서 할까요?`;
+        }
+        
+        const resumeBtn = document.getElementById('resumeSessionBtn');
+        const discardBtn = document.getElementById('discardSessionBtn');
+        const close = () => {
+            modal.style.display = 'none';
+        };
+        
+        if (resumeBtn) {
+            resumeBtn.onclick = async () => {
+                close();
+                await this.resumeSession(snapshot);
+            };
+        }
+        if (discardBtn) {
+            discardBtn.onclick = () => {
+                close();
+                this.clearSessionSnapshot();
+            };
+        }
+        
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * 저장된 세션을 이어서 학습 화면 표시
+     * @param {Object} snapshot - SessionStore 스냅샷
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    async resumeSession(snapshot) {
+        if (!this.ensureApp()) return false;
+        
+        const result = await this.app.resumeMode(snapshot);
+        if (!result.success) {
+            this.showMessage('main', result.error || '학습을 이어서 진행할 수 없습니다.');
+            return false;
+        }
+        
+        const index = snapshot.currentIndex;
+        
+        switch (snapshot.modeName) {
+            case 'new':
+            case 'memorizing':
+                // 인덱스 복원과 카드 표시는 showScreen의 화면 초기화에서
+                this.showScreen('study', index);
+                break;
+            case 'typing':
+                this.showScreen('typing');
+                this.showTypingCard();
+                break;
+            case 'choice':
+                this.showScreen('choiceQuiz');
+                this.showChoiceQuestion();
+                break;
+            default:
+                this.showScreen('qGame', index);
+        }
+        
+        return true;
+    }
+
+    // 메인 화면의 카드 방향 버튼 표시 갱신
+    updateDirectionToggle() {
+        const toggle = document.getElementById('directionToggle');
+        if (!toggle || !window.CardDirection) return;
+        
+        toggle.textContent = window.CardDirection.LABELS[window.CardDirection.getSetting()];
+    }
+
     // 새로운 초기화 메서드 - 더 안전하고 유연함
     async initialize() {
         try {
@@ -40,6 +1168,8 @@ class UIManager {
                 console.log('UIManager: app 객체가 이미 준비됨');
                 this.setupEventListeners();
                 this.isInitialized = true;
+                this.offerSessionResume();
+                this.updateDailyGoalBox();
                 return;
             }
             
@@ -51,6 +1181,8 @@ class UIManager {
                 this.setupEventListeners();
                 this.isInitialized = true;
                 console.log('UIManager: 초기화 완료');
+                this.offerSessionResume();
+                this.updateDailyGoalBox();
             } else {
                 // app을 찾지 못해도 기본 UI는 동작하도록 함
                 console.warn('UIManager: app 객체를 찾지 못했지만 기본 UI 초기화');
@@ -208,6 +1340,7 @@ class UIManager {
             know: this.getElement('knowBtn'),
             dontKnow: this.getElement('dontKnowBtn'),
             nextOnly: this.getElement('nextOnlyBtn'), // 암기중 모드에서 처음 학습하는 단어용 "다음" 버튼
+            reveal: this.getElement('revealBtn'), // 등급 답변 모드의 "정답 보기" 버튼
             stop: this.getElement('stopBtn'),
             studyClose: this.getElement('studyCloseBtn'),
             continue: this.getElement('continueBtn'),
@@ -335,6 +1468,25 @@ class UIManager {
                 this.handleNextOnlyButton();
             });
         }
+        // 등급 답변 모드: 정답 보기 / 등급 버튼 이벤트
+        if (buttons.reveal) {
+            buttons.reveal.addEventListener('click', () => {
+                if (!this.ensureApp()) return;
+                this.revealAnswer();
+            });
+        }
+        document.querySelectorAll('#gradeButtons .grade-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                if (!this.ensureApp()) return;
+                this.handleAnswer(Number(button.dataset.grade));
+            });
+        });
+        document.querySelectorAll('#qGradeButtons .grade-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                if (!this.ensureApp()) return;
+                this.handleQMemoryGrade(Number(button.dataset.grade));
+            });
+        });
         if (buttons.stop) {
             buttons.stop.addEventListener('click', () => {
                 if (!this.ensureApp()) return;
@@ -395,8 +1547,10 @@ class UIManager {
                 if (!this.ensureApp()) return;
                 
                 if (this.screens.qGame.style.display !== 'none') {
+                    const qGradeButtons = document.getElementById('qGradeButtons');
                     if (card.classList.contains('flipped') && 
-                        this.getElement('choiceButtons').style.display === 'none') {
+                        this.getElement('choiceButtons').style.display === 'none' &&
+                        (!qGradeButtons || qGradeButtons.style.display === 'none')) {
                         this.nextQMemoryCard();
                     }
                 }
@@ -425,6 +1579,106 @@ class UIManager {
             }
         });
         
+        // 타이핑 퀴즈 이벤트
+        const typingBtn = document.getElementById('typingBtn');
+        if (typingBtn) {
+            typingBtn.addEventListener('click', () => {
+                if (!this.ensureApp()) return;
+                this.startTypingMode();
+            });
+        }
+        const typingSubmitBtn = document.getElementById('typingSubmitBtn');
+        if (typingSubmitBtn) {
+            typingSubmitBtn.addEventListener('click', () => this.handleTypingSubmit());
+        }
+        const typingNextBtn = document.getElementById('typingNextBtn');
+        if (typingNextBtn) {
+            typingNextBtn.addEventListener('click', () => this.nextTypingCard());
+        }
+        const typingInput = document.getElementById('typingInput');
+        if (typingInput) {
+            typingInput.addEventListener('keydown', (e) => {
+                // 한글 조합 중 Enter는 무시 (조합 완료 Enter와 중복 방지)
+                if (e.key !== 'Enter' || e.isComposing) return;
+                e.preventDefault();
+                if (this._typingAnswered) {
+                    this.nextTypingCard();
+                } else {
+                    this.handleTypingSubmit();
+                }
+            });
+        }
+        const typingCloseBtn = document.getElementById('typingCloseBtn');
+        if (typingCloseBtn) {
+            typingCloseBtn.addEventListener('click', () => this.goToMain());
+        }
+        
+        // 4지선다 퀴즈 이벤트
+        const choiceQuizBtn = document.getElementById('choiceQuizBtn');
+        if (choiceQuizBtn) {
+            choiceQuizBtn.addEventListener('click', () => {
+                if (!this.ensureApp()) return;
+                this.startChoiceQuizMode();
+            });
+        }
+        document.querySelectorAll('#choiceQuizOptions .choice-quiz-option').forEach(button => {
+            button.addEventListener('click', () => {
+                if (!this.ensureApp()) return;
+                this.handleChoiceQuizAnswer(Number(button.dataset.index));
+            });
+        });
+        const choiceQuizCloseBtn = document.getElementById('choiceQuizCloseBtn');
+        if (choiceQuizCloseBtn) {
+            choiceQuizCloseBtn.addEventListener('click', () => this.goToMain());
+        }
+        
+        // 카드 방향 설정 (단어→뜻 → 뜻→단어 → 섞기)
+        const directionToggle = document.getElementById('directionToggle');
+        if (directionToggle && window.CardDirection) {
+            directionToggle.addEventListener('click', () => {
+                const next = window.CardDirection.getNextSetting(window.CardDirection.getSetting());
+                window.CardDirection.setSetting(next);
+                this.updateDirectionToggle();
+            });
+            this.updateDirectionToggle();
+        }
+        
+        // 답변 되돌리기 (학습 화면, Q 게임)
+        ['undoBtn', 'qUndoBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.handleUndo();
+                });
+            }
+        });
+        
+        // 발음 설정 (자동 발음, 듣기 모드, 목소리, 속도)
+        this.setupSpeechSettings();
+        this.setupStudySettings();
+        this.setupCustomStudy();
+        this.setupWordNotes();
+        this.setupDailyGoals();
+        this.setupExamPlanner();
+        this.setupProgressBackup();
+        this.setupWordExport();
+        
+        // 학습 통계 화면 열기/닫기
+        const statsLink = document.getElementById('statsLink');
+        if (statsLink) {
+            statsLink.addEventListener('click', () => {
+                if (!this.ensureApp()) return;
+                this.showScreen('stats');
+            });
+        }
+        const closeStatsBtn = document.getElementById('closeStatsBtn');
+        if (closeStatsBtn) {
+            closeStatsBtn.addEventListener('click', () => {
+                this.showScreen('main');
+            });
+        }
+        
         // 고난도 모드 닫기 버튼 이벤트
         const closeDifficultBtn = document.getElementById('closeDifficultBtn');
         if (closeDifficultBtn) {
@@ -490,7 +1744,7 @@ class UIManager {
     }
 
     // 화면 전환
-    showScreen(screenName) {
+    showScreen(screenName, startIndex = 0) {
         console.log(`[showScreen] 화면 전환: ${screenName}`);
         
         // 화면 전환 시 모든 타이머 제거
@@ -498,6 +1752,11 @@ class UIManager {
             this.app.currentMode.clearFlipTimer();
         }
         
+        // 재생 중인 발음 멈춤
+        if (window.SpeechPlayer) {
+            window.SpeechPlayer.stop();
+        }
+        
         // 모든 화면 숨기기
         Object.values(this.screens).forEach(screen => {
             if (screen) {
@@ -515,6 +1774,12 @@ class UIManager {
             if (screenName === 'main') {
                 console.log('[showScreen] 메인 화면 전환 - 통계 준비');
                 
+                // 콘텐츠별 카드 방향 설정 표시
+                this.updateDirectionToggle();
+                
+                // 오늘의 목표와 연속 학습일
+                this.updateDailyGoalBox();
+                
                 // DOM 렌더링 완료 대기
                 requestAnimationFrame(() => {
                     // 메인 화면 요소들이 준비되었는지 확인
@@ -570,29 +1835,28 @@ class UIManager {
                     }
                 });
             }            
-            // 학습 관련 화면 전환 시 인덱스 초기화
+            // 통계 화면은 열 때마다 IndexedDB에서 새로 계산
+            if (screenName === 'stats') {
+                this.renderStatsScreen();
+            }
+            
+            // 학습 관련 화면 전환 시 인덱스 초기화 (세션 이어하기면 저장된 위치로)
             if (screenName === 'study' || screenName === 'qGame') {
                 // UI 카운터 초기화
-                this.currentStudyIndex = 0;
+                this.currentStudyIndex = startIndex;
                 
                 // 모드의 인덱스도 반드시 함께 초기화
                 if (this.app && this.app.currentMode) {
                     console.log(`[showScreen] ${screenName} 화면으로 전환 - 모드 인덱스 초기화`);
                     
                     // 모드 인덱스 초기화
-                    this.app.currentMode.currentIndex = 0;
-                    
-                    // 로컬 스토리지 학습 상태 초기화 (선택적)
-                    if (screenName === 'study' && localStorage.getItem('current_learning_state')) {
-                        console.log('[showScreen] 이전 학습 상태 초기화');
-                        localStorage.removeItem('current_learning_state');
-                    }
+                    this.app.currentMode.currentIndex = startIndex;
                 }
             }
             
             // 화면 초기화 스케줄링
             this.scheduleUpdate(() => {
-                this.initializeScreen(screenName);
+                this.initializeScreen(screenName, startIndex);
             });
         }
     }
@@ -753,10 +2017,10 @@ class UIManager {
         return messageContainer;
     }
 
-    initializeScreen(screenName) {
+    initializeScreen(screenName, startIndex = 0) {
         switch(screenName) {
             case 'qGame':
-                this.resetQMemoryGame();
+                this.resetQMemoryGame(startIndex);
                 this.showQMemoryCard();
                 break;
             case 'study':
@@ -794,6 +2058,7 @@ class UIManager {
             }
             
             const currentModeIndex = this.app.currentMode.currentIndex;
+            this.pickCardDirection();
             console.log('현재 단어 표시 정보:', {
                 단어: currentWord.word,
                 의미: typeof currentWord.meaning === 'string' ? currentWord.meaning.substring(0, 20) : String(currentWord.meaning || ''),
@@ -837,7 +2102,8 @@ class UIManager {
                     }
 
                     // 안전하게 텍스트 설정
-                    elements.frontWord.textContent = currentWord.word || '';
+                    elements.frontWord.textContent = this.getCardFrontText(currentWord);
+                    elements.frontWord.classList.toggle('listening', this.isListeningCard());
                     elements.backWord.textContent = currentWord.word || '';
                     elements.meaning.textContent = currentWord.meaning || '';
 
@@ -892,10 +2158,19 @@ class UIManager {
                     if (elements.answerButtons && elements.navigationButtons) {
                         // 암기중 모드에서 처음 학습하는 단어인지 확인
                         const nextOnlyButtons = document.getElementById('nextOnlyButtons');
+                        const revealButtons = document.getElementById('revealButtons');
+                        const gradeButtons = document.getElementById('gradeButtons');
+                        if (revealButtons) revealButtons.style.display = 'none';
+                        if (gradeButtons) gradeButtons.style.display = 'none';
                         if (this.app.currentMode instanceof MemorizingMode && currentWord.firstTimeInMemorizing) {
                             // 처음 암기중에서 학습하는 단어: "다음" 버튼만 표시
                             elements.answerButtons.style.display = 'none';
                             if (nextOnlyButtons) nextOnlyButtons.style.display = 'flex';
+                        } else if (this.gradedAnswerMode) {
+                            // 등급 답변 모드: "정답 보기" 버튼 표시 (등급은 뒷면에서 선택)
+                            elements.answerButtons.style.display = 'none';
+                            if (revealButtons) revealButtons.style.display = 'flex';
+                            if (nextOnlyButtons) nextOnlyButtons.style.display = 'none';
                         } else {
                             // 일반적인 경우: "알아요/몰라요" 버튼 표시
                             elements.answerButtons.style.display = 'flex';
@@ -910,6 +2185,19 @@ class UIManager {
 
             // UI 인덱스를 현재 모드 인덱스와 동기화 - 중요한 수정 부분
             this.currentStudyIndex = currentModeIndex;
+            
+            // 듣기 모드/자동 발음
+            this.speakCardWord(currentWord);
+            
+            // 카드 뒷면의 별표/메모/태그
+            this.refreshCardNotes(currentWord._id);
+            
+            // 응답 시간 측정 시작
+            this._cardShownAt = Date.now();
+            
+            // 새로고침해도 이 카드부터 이어할 수 있게 세션 저장
+            this.saveSessionSnapshot();
+            this.updateUndoButtons();
 
         } catch (error) {
             console.error('Error in showWord:', error);
@@ -917,7 +2205,36 @@ class UIManager {
         }
     }
 
-    async handleAnswer(isKnown) {
+    /**
+     * 등급 답변 모드에서 "정답 보기" 처리
+     * - 카드 뒷면을 보여주고 등급 버튼(다시/어려움/좋음/쉬움) 표시
+     */
+    revealAnswer() {
+        const cardSlide = this.getElement('cardSlide');
+        if (cardSlide) {
+            cardSlide.classList.add('show-answer');
+        }
+
+        const cardTouchHint = this.getElement('cardTouchHint');
+        if (cardTouchHint) {
+            cardTouchHint.style.display = 'block';
+        }
+
+        const revealButtons = document.getElementById('revealButtons');
+        const gradeButtons = document.getElementById('gradeButtons');
+        if (revealButtons) revealButtons.style.display = 'none';
+        if (gradeButtons) gradeButtons.style.display = 'flex';
+        
+        if (this.ensureApp()) {
+            this.speakCardWord(this.app.getCurrentWord(), true);
+        }
+    }
+
+    /**
+     * 학습 화면 답변 처리
+     * @param {boolean|number} answer - 알아요/몰라요(boolean) 또는 등급 (1~4)
+     */
+    async handleAnswer(answer) {
         if (!this.ensureApp()) return false;
         
         // 디바운싱 추가 - 이미 처리 중인지 확인
@@ -933,8 +2250,10 @@ class UIManager {
             const elements = {
                 cardSlide: this.getElement('cardSlide'),
                 answerButtons: this.getElement('answerButtons'),
-                navigationButtons: this.getElement('navigationButtons')
+                navigationButtons: this.getElement('navigationButtons'),
+                gradeButtons: document.getElementById('gradeButtons')
             };
+            const isGraded = typeof answer === 'number';
             
             // 즉시 카드 뒷면을 보여줌 (UI 응답성 유지)
             if (elements.cardSlide) {
@@ -953,25 +2272,41 @@ class UIManager {
             if (elements.answerButtons) {
                 elements.answerButtons.style.display = 'none';
             }
-            if (elements.navigationButtons) {
+            if (elements.gradeButtons) {
+                elements.gradeButtons.style.display = 'none';
+            }
+            // 등급 답변은 이미 뒷면을 본 뒤이므로 이동 버튼 없이 바로 다음 단어로 넘어감
+            if (elements.navigationButtons && !isGraded) {
                 elements.navigationButtons.style.display = 'flex';
             }
             
+            // 응답 시간은 저장 대기 전에 측정
+            const latencyMs = this.getAnswerLatency();
+            
             // 현재 단어 로깅
             const currentWord = this.app.getCurrentWord();
             const currentModeIndex = this.app.currentMode.currentIndex;
             
+            // 등급 답변은 정답 보기에서 이미 발음함
+            if (!isGraded) {
+                this.speakCardWord(currentWord, true);
+            }
+            
             console.log('[handleAnswer] 처리 단어:', {
                 word: currentWord?.word,
                 No: currentWord?.No,
-                isKnown: isKnown,
+                answer: answer,
                 모드인덱스: currentModeIndex
             });
             
             // 백그라운드에서 상태 업데이트하고 결과 확인
-            const updateSuccessful = await this.app.currentMode.handleAnswer(this.app.userPhone, isKnown);
+            const undoEntry = this.beginUndoableAnswer(currentWord?._id);
+            const updateSuccessful = await this.app.currentMode.handleAnswer(this.app.userPhone, answer);
             
             if (updateSuccessful) {
+                this.commitUndoableAnswer(undoEntry, {
+                    logIdPromise: this.recordAnswer(currentWord?._id, answer, latencyMs)
+                });
                 console.log('[handleAnswer] 저장 완료');
                 // 캐시 무효화 (메인 화면으로 돌아갔을 때 정확한 통계 표시를 위해)
                 if (this.app.cache && this.app.cache.counts) {
@@ -984,6 +2319,10 @@ class UIManager {
                 console.error('[handleAnswer] 단어 상태 업데이트 실패');
             }
             
+            if (isGraded) {
+                await this.showNextWord();
+            }
+            
             return updateSuccessful;
         } catch (error) {
             console.error('[handleAnswer] UI 처리 오류:', error);
@@ -1095,15 +2434,15 @@ class UIManager {
                 총단어수: wordsLength
             });
             
-            // 마지막 단어인지 확인
-            if (currentIndex >= wordsLength - 1) {
+            // 마지막 단어인지 확인 (다시 넣은 카드가 대기 중이면 계속)
+            if (!this.app.currentMode.hasNextWord()) {
                 console.log('[showNextWord] 이미 마지막 단어입니다. 종료 화면으로 이동');
                 this.showCompletionScreen();
                 return false;
             }
             
             // 다음 단어로 이동
-            this.app.currentMode.currentIndex++;
+            this.app.currentMode.moveToNextWord();
             console.log('[showNextWord] 다음 단어로 이동:', this.app.currentMode.currentIndex);
             
             // UI 인덱스도 함께 업데이트
@@ -1128,6 +2467,9 @@ class UIManager {
     async showCompletionScreen() {
         if (!this.ensureApp()) return;
         
+        // 끝까지 마친 세션은 이어하기 대상에서 제외
+        this.clearSessionSnapshot();
+        
         // 학습 상태 저장 여부 확인
         console.log('[showCompletionScreen] 시작 - 전체 학습된 단어 수:', 
                     this.app.currentMode?.words?.length || 0);
@@ -1161,8 +2503,9 @@ class UIManager {
                 }
             }
             
-            // 단어 총 개수 표시 추가
-            const totalStudiedWords = this.app.currentMode?.words?.length || 0;
+            // 단어 총 개수 표시 추가 (틀려서 다시 넣은 카드는 제외)
+            const totalStudiedWords = (this.app.currentMode?.words?.length || 0) -
+                (this.app.currentMode?.repeatCount || 0);
             
             statsContainer.innerHTML = `
                 <div style="text-align:center; padding:0.5rem 0;">
@@ -1201,10 +2544,10 @@ class UIManager {
                 remainingCount = await this.app.dbManager.getWordCount({ isStudied: "1", known_2: "0" });
             } else if (currentModeName === 'ShortTermQMemoryMode') {
                 finalStats = this.app.currentMode.getStats();
-                remainingCount = await this.app.dbManager.getWordCount({ isStudied: "1", known_2: "1" });
+                remainingCount = await this.app.dbManager.getDueWordCount({ isStudied: "1", known_2: "1" });
             } else if (currentModeName === 'LongTermQMemoryMode') {
                 finalStats = this.app.currentMode.getStats();
-                remainingCount = await this.app.dbManager.getLongTermCountBeforeDate(getTodayISOString());
+                remainingCount = await this.app.dbManager.getDueWordCount({ isStudied: "1", known_2: "2" });
             } else if (currentModeName === 'QMemoryMode') {
                 finalStats = this.app.currentMode.getStats();
                 remainingCount = await this.app.dbManager.getWordCount({ isStudied: "1", known_2: "0", status: "0" });
@@ -1215,6 +2558,7 @@ class UIManager {
 
             // 4. 최종 결과 UI 업데이트
             this.updateCompletionScreen(finalStats);
+            this.showDailyGoalSummary('completionGoalSummary');
             
             // 5. "더 학습하기" 버튼 표시/숨김 처리
             if (loadMoreBtn) {
@@ -1278,6 +2622,8 @@ class UIManager {
                             <div id="finalRemainingCount" style="font-size:1.4rem; margin-top:5px; color:#F59E0B !important; font-weight:600;">${finalStats.remainingWords}</div>
                         </div>
                     </div>
+                    ${finalStats.repeatCount > 0 ? `
+                    <div class="repeat-info">틀린 카드 다시 보기 ${finalStats.repeatCount}회</div>` : ''}
                 </div>
             `;
         }
@@ -1381,7 +2727,7 @@ class UIManager {
         this.showQMemoryCard();
     }
 
-    resetQMemoryGame() {
+    resetQMemoryGame(startIndex = 0) {
         if (!this.ensureApp()) return;
         
         const currentMode = this.app.currentMode;
@@ -1394,7 +2740,7 @@ class UIManager {
         
         // 초기화 시 isDestroyed 플래그 리셋
         currentMode.isDestroyed = false;
-        currentMode.currentIndex = 0;
+        currentMode.currentIndex = startIndex;
     }
 
     async handleShortTermClick() {
@@ -1432,6 +2778,207 @@ class UIManager {
         }
     }
 
+    // 타이핑 퀴즈 시작
+    async startTypingMode() {
+        if (!this.ensureApp()) return;
+        
+        if (!window.TypingGrader) {
+            console.error('TypingGrader가 로드되지 않았습니다');
+            this.showMessage('main', '타이핑 퀴즈를 시작할 수 없습니다.');
+            return;
+        }
+        
+        const result = await this.app.startMode('typing');
+        if (!result.success || !this.app.currentMode?.words?.length) {
+            this.showMessage('main', result.error || '복습할 단어가 없습니다.');
+            return;
+        }
+        
+        this.showScreen('typing');
+        this.showTypingCard();
+    }
+
+    // 타이핑 퀴즈 문제 표시 (뜻 + 발음)
+    showTypingCard() {
+        if (!this.ensureApp()) return;
+        
+        const currentMode = this.app.currentMode;
+        const currentWord = currentMode?.getCurrentWord();
+        if (!currentWord) {
+            this.showQMemoryResult();
+            return;
+        }
+        
+        const elements = {
+            meaning: document.getElementById('typingMeaning'),
+            pronunciation: document.getElementById('typingPronunciation'),
+            input: document.getElementById('typingInput'),
+            feedback: document.getElementById('typingFeedback'),
+            progress: document.getElementById('typingProgress'),
+            submitBtn: document.getElementById('typingSubmitBtn'),
+            nextBtn: document.getElementById('typingNextBtn')
+        };
+        
+        this._typingAnswered = false;
+        
+        this.batchUpdate([
+            () => {
+                elements.meaning.textContent = currentWord.meaning || '';
+                elements.pronunciation.textContent = currentWord.pronunciation || '';
+                elements.pronunciation.style.display = currentWord.pronunciation ? 'block' : 'none';
+                elements.input.value = '';
+                elements.input.readOnly = false;
+                elements.feedback.textContent = '';
+                elements.feedback.className = 'typing-feedback';
+                elements.progress.textContent = `${currentMode.currentIndex + 1}/${currentMode.words.length}`;
+                elements.submitBtn.style.display = 'block';
+                elements.nextBtn.style.display = 'none';
+                elements.input.focus();
+            }
+        ]);
+        
+        // 응답 시간 측정 시작
+        this._cardShownAt = Date.now();
+        this.saveSessionSnapshot();
+    }
+
+    // 타이핑 답 채점 및 저장
+    handleTypingSubmit() {
+        if (!this.ensureApp() || this._typingAnswered) return;
+        
+        const currentMode = this.app.currentMode;
+        const currentWord = currentMode?.getCurrentWord();
+        const input = document.getElementById('typingInput');
+        if (!currentWord || !input) return;
+        
+        this._typingAnswered = true;
+        
+        const graded = window.TypingGrader.grade(input.value, currentWord.word);
+        const grade = window.TypingGrader.toAnswerGrade(graded);
+        
+        const feedback = document.getElementById('typingFeedback');
+        const messages = {
+            exact: '정답입니다',
+            close: `거의 맞았어요 · ${currentWord.word}`,
+            wrong: `정답: ${currentWord.word}`
+        };
+        feedback.textContent = messages[graded.result];
+        feedback.className = `typing-feedback ${graded.result}`;
+        input.readOnly = true;
+        document.getElementById('typingSubmitBtn').style.display = 'none';
+        document.getElementById('typingNextBtn').style.display = 'block';
+        
+        // 백그라운드에서 상태 업데이트 (정확 = 좋음, 오타 = 어려움, 오답 = 다시)
+        this.recordAnswer(currentWord._id, grade);
+        currentMode.updateWordStatus(currentWord._id, grade).catch(error => {
+            console.error('Error updating word status:', error);
+        });
+    }
+
+    // 다음 타이핑 문제 또는 결과 화면
+    nextTypingCard() {
+        if (!this.ensureApp() || !this._typingAnswered) return;
+        
+        const currentMode = this.app.currentMode;
+        if (currentMode && currentMode.moveToNextWord()) {
+            this.showTypingCard();
+        } else {
+            this.showQMemoryResult();
+        }
+    }
+
+    // 4지선다 퀴즈 시작
+    async startChoiceQuizMode() {
+        if (!this.ensureApp()) return;
+        
+        clearTimeout(this._choiceAdvanceTimer);
+        this._choiceAdvanceTimer = null;
+        
+        const result = await this.app.startMode('choice');
+        if (!result.success || !this.app.currentMode?.words?.length) {
+            this.showMessage('main', result.error || '복습할 단어가 없습니다.');
+            return;
+        }
+        
+        this.showScreen('choiceQuiz');
+        this.showChoiceQuestion();
+        await this.app.updateWordCounts('choice');
+    }
+
+    // 4지선다 문제 표시
+    showChoiceQuestion() {
+        if (!this.ensureApp()) return;
+        
+        const currentMode = this.app.currentMode;
+        const currentWord = currentMode?.getCurrentWord();
+        const choices = currentMode?.getCurrentChoices();
+        if (!currentWord || !choices) {
+            this.showQMemoryResult();
+            return;
+        }
+        
+        this._choiceAnswered = false;
+        
+        this.batchUpdate([
+            () => {
+                document.getElementById('choiceQuizWord').textContent = currentWord.word || '';
+                document.getElementById('choiceQuizProgress').textContent =
+                    `${currentMode.currentIndex + 1}/${currentMode.words.length}`;
+                
+                document.querySelectorAll('#choiceQuizOptions .choice-quiz-option').forEach(button => {
+                    const index = Number(button.dataset.index);
+                    button.textContent = choices.options[index] || '';
+                    button.className = 'choice-quiz-option';
+                    button.disabled = false;
+                });
+            }
+        ]);
+        
+        // 응답 시간 측정 시작
+        this._cardShownAt = Date.now();
+        this.saveSessionSnapshot();
+    }
+
+    // 4지선다 답 처리 (정답/오답 표시 후 자동으로 다음 문제)
+    handleChoiceQuizAnswer(selectedIndex) {
+        if (!this.ensureApp() || this._choiceAnswered) return;
+        
+        const currentMode = this.app.currentMode;
+        const currentWord = currentMode?.getCurrentWord();
+        const choices = currentMode?.getCurrentChoices();
+        if (!currentWord || !choices) return;
+        
+        this._choiceAnswered = true;
+        
+        const isCorrect = selectedIndex === choices.answerIndex;
+        
+        document.querySelectorAll('#choiceQuizOptions .choice-quiz-option').forEach(button => {
+            const index = Number(button.dataset.index);
+            button.disabled = true;
+            if (index === choices.answerIndex) button.classList.add('correct');
+            else if (index === selectedIndex) button.classList.add('wrong');
+        });
+        
+        // 백그라운드에서 상태 업데이트
+        this.recordAnswer(currentWord._id, isCorrect);
+        currentMode.updateWordStatus(currentWord._id, isCorrect).catch(error => {
+            console.error('Error updating word status:', error);
+        });
+        
+        // 오답이면 카드가 다시 들어가므로 마지막 여부는 이동할 때 확인
+        // 그 사이 메인으로 나갔거나 다른 모드를 시작했으면 진행하지 않음
+        clearTimeout(this._choiceAdvanceTimer);
+        this._choiceAdvanceTimer = setTimeout(() => {
+            this._choiceAdvanceTimer = null;
+            if (this.app.currentMode !== currentMode) return;
+            if (currentMode.moveToNextWord()) {
+                this.showChoiceQuestion();
+            } else {
+                this.showQMemoryResult();
+            }
+        }, isCorrect ? 1000 : 2000);
+    }
+
     async handleLongTermClick() {
         if (!this.ensureApp()) return;
 
@@ -1494,6 +3041,9 @@ class UIManager {
             return;
         }
 
+        // 카드 방향을 먼저 정해야 보기(첫 글자)를 맞게 만듦
+        this.pickCardDirection();
+
         // 여기에 디버깅 코드 삽입
         console.log("Setting up choices for word:", currentWord.word);
         this.setupQMemoryChoices(currentWord);
@@ -1524,7 +3074,7 @@ class UIManager {
                 elements.choiceButtons.style.display = 'flex';
 
                 if (currentMode.currentIndex === 0) {
-                    elements.frontText.textContent = currentWord.word;
+                    elements.frontText.textContent = this.getCardFrontText(currentWord);
                     elements.wordText.textContent = currentWord.word;
                     elements.backText.textContent = currentWord.meaning;
                 } else {
@@ -1541,6 +3091,14 @@ class UIManager {
         // DOM 업데이트가 완료되었음을 보장하기 위한 짧은 지연
         await new Promise(resolve => setTimeout(resolve, 50));
 
+        // 응답 시간 측정 시작
+        this._cardShownAt = Date.now();
+        this.saveSessionSnapshot();
+        this.updateUndoButtons();
+
+        // 듣기 모드/자동 발음
+        this.speakCardWord(currentWord);
+
         // 타이머 시작 (DOM이 업데이트된 후)
         currentMode.startFlipTimer(() => {
             if (!elements.card.classList.contains('flipped')) {
@@ -1551,7 +3109,7 @@ class UIManager {
 
     animateQMemoryCard(elements, currentWord) {
         // 먼저 텍스트 내용을 설정
-        elements.frontText.textContent = currentWord.word;
+        elements.frontText.textContent = this.getCardFrontText(currentWord);
         elements.wordText.textContent = currentWord.word;
         elements.backText.textContent = currentWord.meaning;
 
@@ -1606,15 +3164,16 @@ class UIManager {
         const currentWord = currentMode.getCurrentWord();
         if (!currentWord) return;
         
-        // meaning이 문자열인지 확인
-        const meaningText = typeof currentWord.meaning === 'string' 
-            ? currentWord.meaning 
-            : String(currentWord.meaning);
+        // meaning이 문자열인지 확인 (역방향 카드는 단어의 첫 글자가 정답)
+        const meaningText = this.getCardDirection() === 'reverse'
+            ? String(currentWord.word || '')
+            : typeof currentWord.meaning === 'string' 
+                ? currentWord.meaning 
+                : String(currentWord.meaning);
         
         // 첫 글자가 있는지 확인
         const correctSyllable = meaningText.length > 0 ? meaningText.charAt(0) : '가';
         const isCorrect = selectedSyllable === correctSyllable;
-        const isLastWord = !currentMode.hasNextWord();
         
         const elements = {
             choiceButtons: this.getElement('choiceButtons'),
@@ -1633,22 +3192,41 @@ class UIManager {
                     elements.card.classList.add('flipped');
                 }
             ]);
+            this.speakCardWord(currentWord, true);
             
             const cardBack = elements.card.querySelector('.card-back');
             if (cardBack) {
                 // 정답/오답에 따라 배경색 설정 (마지막 단어도 동일하게)
                 cardBack.style.backgroundColor = isCorrect ? '#FFA500' : '#FFFFFF';
             }
+
+            // 등급 답변 모드: 맞힌 경우 얼마나 쉽게 기억했는지 등급을 받은 뒤 저장/이동
+            const qGradeButtons = document.getElementById('qGradeButtons');
+            if (this.gradedAnswerMode && isCorrect && qGradeButtons) {
+                this._pendingQGrade = {
+                    wordId: currentWord._id,
+                    cardBack,
+                    latencyMs: this.getAnswerLatency()
+                };
+                qGradeButtons.style.display = 'flex';
+                return;
+            }
                 
             // 백그라운드에서 상태 업데이트
-            currentMode.updateWordStatus(currentWord._id, isCorrect).catch(error => {
+            const undoEntry = this.beginUndoableAnswer(currentWord._id);
+            const updatePromise = currentMode.updateWordStatus(currentWord._id, isCorrect).catch(error => {
                 console.error('Error updating word status:', error);
             });
+            this.commitUndoableAnswer(undoEntry, {
+                updatePromise,
+                logIdPromise: this.recordAnswer(currentWord._id, isCorrect)
+            });
 
             const delay = isCorrect ? 1000 : 2000;
             
-            setTimeout(() => {
-                if (isLastWord) {
+            // 오답이면 카드가 다시 들어가므로 마지막 여부는 이동할 때 확인
+            this._qAdvanceTimer = setTimeout(() => {
+                if (!currentMode.hasNextWord()) {
                     this.showQMemoryResult();
                 } else {
                     if (cardBack) cardBack.style.backgroundColor = '';
@@ -1664,6 +3242,40 @@ class UIManager {
         }
     }
 
+    /**
+     * Q 게임 등급 버튼 처리 (등급 답변 모드에서 정답을 고른 뒤)
+     * @param {number} grade - 등급 (1~4)
+     */
+    async handleQMemoryGrade(grade) {
+        if (!this.ensureApp()) return;
+        
+        const currentMode = this.app.currentMode;
+        const pending = this._pendingQGrade;
+        if (!currentMode || !pending) return;
+        
+        this._pendingQGrade = null;
+        
+        const qGradeButtons = document.getElementById('qGradeButtons');
+        if (qGradeButtons) qGradeButtons.style.display = 'none';
+        
+        // 백그라운드에서 상태 업데이트
+        const undoEntry = this.beginUndoableAnswer(pending.wordId);
+        const updatePromise = currentMode.updateWordStatus(pending.wordId, grade).catch(error => {
+            console.error('Error updating word status:', error);
+        });
+        this.commitUndoableAnswer(undoEntry, {
+            updatePromise,
+            logIdPromise: this.recordAnswer(pending.wordId, grade, pending.latencyMs)
+        });
+        
+        if (!currentMode.hasNextWord()) {
+            this.showQMemoryResult();
+        } else {
+            if (pending.cardBack) pending.cardBack.style.backgroundColor = '';
+            this.nextQMemoryCard();
+        }
+    }
+
     async handleAutoFlip() {
         if (!this.ensureApp()) return;
         
@@ -1679,8 +3291,6 @@ class UIManager {
         
         const currentWord = currentMode.getCurrentWord();
         if (!currentWord?._id) return;
-        
-        const isLastWord = !currentMode.hasNextWord();
 
         try {
             // 즉시 UI 업데이트
@@ -1690,6 +3300,7 @@ class UIManager {
                     elements.backText.textContent = currentWord.meaning;
                     elements.card.classList.add('flipped');
                     elements.choiceButtons.style.display = 'none';
+                    this.speakCardWord(currentWord, true);
 
                     // "card touch" 문구 표시
                     const cardTouchHint = this.getElement('cardTouchHint');
@@ -1706,12 +3317,17 @@ class UIManager {
             }
             
             // 백그라운드에서 상태 업데이트
-            currentMode.updateWordStatus(currentWord._id, false).catch(error => {
+            const undoEntry = this.beginUndoableAnswer(currentWord._id);
+            const updatePromise = currentMode.updateWordStatus(currentWord._id, false).catch(error => {
                 console.error('Error updating word status:', error);
             });
+            this.commitUndoableAnswer(undoEntry, {
+                updatePromise,
+                logIdPromise: this.recordAnswer(currentWord._id, false)
+            });
 
-            setTimeout(() => {
-                if (isLastWord) {
+            this._qAdvanceTimer = setTimeout(() => {
+                if (!currentMode.hasNextWord()) {
                     this.showQMemoryResult();
                 } else {
                     if (cardBack) cardBack.style.backgroundColor = '';
@@ -1767,6 +3383,11 @@ class UIManager {
             }
         }
         
+        // 역방향 카드는 뜻을 보고 단어의 첫 글자를 고름
+        if (this.getCardDirection() === 'reverse') {
+            meaningText = String(currentWord.word || '');
+        }
+        
         // 첫 글자가 있는지 확인
         const correctSyllable = meaningText.length > 0 ? meaningText.charAt(0) : '가';
         const wrongSyllable = this.getRandomSyllable(correctSyllable);
@@ -1798,6 +3419,17 @@ class UIManager {
     }
 
     getRandomSyllable(exclude) {
+        // 한글이 아닌 글자(역방향 카드의 외국어 단어 등)는 같은 종류의 알파벳에서 선택
+        if (exclude && /^[a-zA-Z]$/.test(exclude)) {
+            const letters = exclude === exclude.toUpperCase() ?
+                'ABCDEFGHIJKLMNOPQRSTUVWXYZ' : 'abcdefghijklmnopqrstuvwxyz';
+            let letter;
+            do {
+                letter = letters.charAt(Math.floor(Math.random() * letters.length));
+            } while (letter === exclude);
+            return letter;
+        }
+        
         const syllables = ['강', '민', '성', '준', '현', '지', '태', '영', '수', '진', '동', '혜', '미', '상', '원'];
         let syllable;
         do {
@@ -1820,6 +3452,7 @@ class UIManager {
         const currentMode = this.app.currentMode;
         if (!currentMode) return;
 
+        this.clearSessionSnapshot();
         this.showScreen('qResult');
 
         const elements = {
@@ -1834,6 +3467,17 @@ class UIManager {
             elements.scorePercentage.textContent = score;
         }
 
+        // 오늘의 목표 요약
+        this.showDailyGoalSummary('qGoalSummary');
+
+        // 틀린 카드를 다시 본 횟수
+        const repeatInfo = document.getElementById('qRepeatInfo');
+        if (repeatInfo) {
+            const repeatCount = currentMode.repeatCount || 0;
+            repeatInfo.textContent = `틀린 카드 다시 보기 ${repeatCount}회`;
+            repeatInfo.style.display = repeatCount > 0 ? 'block' : 'none';
+        }
+
         // 남은 단어 수 로딩 상태 표시
         if (elements.remainingCount) {
             elements.remainingCount.textContent = '로딩중...';
@@ -1852,12 +3496,16 @@ class UIManager {
             // 남은 단어 수 새로 계산
             let remainingCount = 0;
 
-            if (currentMode instanceof QMemoryMode) {
+            if (currentMode instanceof CustomStudyMode) {
+                remainingCount = await currentMode.getRemainingCount();
+            } else if (currentMode instanceof QMemoryMode) {
                 remainingCount = await this.app.dbManager.getWordCount({ isStudied: "1", known_2: "0", status: "0" });
             } else if (currentMode instanceof ShortTermQMemoryMode) {
-                remainingCount = await this.app.dbManager.getWordCount({ isStudied: "1", known_2: "1" });
+                remainingCount = await this.app.dbManager.getDueWordCount({ isStudied: "1", known_2: "1" });
             } else if (currentMode instanceof LongTermQMemoryMode) {
-                remainingCount = await this.app.dbManager.getLongTermCountBeforeDate(getTodayISOString());
+                remainingCount = await this.app.dbManager.getDueWordCount({ isStudied: "1", known_2: "2" });
+            } else if (currentMode instanceof ReviewQuizMode) {
+                remainingCount = await this.app.dbManager.getDueWordCount({ isStudied: "1" });
             }
 
             // UI 업데이트
@@ -1906,7 +3554,13 @@ class UIManager {
                 if (!modeKey) throw new Error('Invalid mode type');
 
                 const result = await this.app.startMode(modeKey);
-                if (result.success) {
+                if (result.success && modeKey === 'typing') {
+                    this.showScreen('typing');
+                    this.showTypingCard();
+                } else if (result.success && modeKey === 'choice') {
+                    this.showScreen('choiceQuiz');
+                    this.showChoiceQuestion();
+                } else if (result.success) {
                     this.showScreen('qGame');
                     this.resetQMemoryGame();
                     await this.showQMemoryCard();
@@ -1934,22 +3588,52 @@ class UIManager {
         if (currentMode instanceof QMemoryMode) return 'qMemory';
         if (currentMode instanceof ShortTermQMemoryMode) return 'shortTerm';
         if (currentMode instanceof LongTermQMemoryMode) return 'longTerm';
+        if (currentMode instanceof MemorizingMode) return 'memorizing';
+        if (currentMode instanceof NewWordsMode) return 'new';
+        if (currentMode instanceof TypingQuizMode) return 'typing';
+        if (currentMode instanceof MultipleChoiceQuizMode) return 'choice';
+        if (currentMode instanceof CustomStudyMode) return 'custom';
         return null;
     }
 
     async calculateRemainingWords(currentMode) {
         if (!this.ensureApp()) return 0;
         
-        if (currentMode instanceof QMemoryMode) {
+        if (currentMode instanceof CustomStudyMode) {
+            return await currentMode.getRemainingCount();
+        } else if (currentMode instanceof QMemoryMode) {
             return await this.app.dbManager.getWordCount({ isStudied: "1", known_2: "0", status: "0" });
         } else if (currentMode instanceof ShortTermQMemoryMode) {
-            return await this.app.dbManager.getWordCount({ isStudied: "1", known_2: "1" });
+            return await this.app.dbManager.getDueWordCount({ isStudied: "1", known_2: "1" });
         } else if (currentMode instanceof LongTermQMemoryMode) {
-            return await this.app.dbManager.getLongTermCountBeforeDate(getTodayISOString());
+            return await this.app.dbManager.getDueWordCount({ isStudied: "1", known_2: "2" });
+        } else if (currentMode instanceof ReviewQuizMode) {
+            return await this.app.dbManager.getDueWordCount({ isStudied: "1" });
         }
         return 0;
     }
     
+    /**
+     * 학습 통계 화면 그리기 (StatsDashboard 사용)
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    async renderStatsScreen() {
+        if (!this.ensureApp() || !this.app.dbManager) return false;
+        
+        if (typeof StatsDashboard === 'undefined') {
+            console.error('StatsDashboard가 로드되지 않았습니다');
+            return false;
+        }
+        
+        // 콘텐츠 전환으로 dbManager가 바뀔 수 있어 매번 연결
+        if (!this.statsDashboard) {
+            this.statsDashboard = new StatsDashboard(this.app.dbManager);
+        }
+        this.statsDashboard.dbManager = this.app.dbManager;
+        
+        return this.statsDashboard.render(document.getElementById('statsContainer'));
+    }
+
     async fetchAndRenderStats() {
         console.log('[fetchAndRenderStats] 통계 업데이트 시작');
         
@@ -1974,16 +3658,16 @@ class UIManager {
                 qMemoryCount,
                 longTermTotal,
                 longTermBeforeDate,
-                difficultCount
+                difficultCount,
+                choiceQuizCount
             ] = await Promise.all([
                 window.app.dbManager.getWordCount({ isStudied: "1", known_2: "1" }),
                 window.app.dbManager.getWordCount({ isStudied: "1", known_2: "0" }),
                 window.app.dbManager.getWordCount({ isStudied: "1", known_2: "0", status: "0" }),
                 window.app.dbManager.getWordCount({ isStudied: "1", known_2: "2" }),
-                window.app.dbManager.getLongTermCountBeforeDate(window.KoreanTimeUtil ? 
-                    window.KoreanTimeUtil.getTodayISOString() : 
-                    getTodayISOString()),
-                window.app.dbManager.getWordCount({ isStudied: "1", difficult: { $gt: 2 } })
+                window.app.dbManager.getDueWordCount({ isStudied: "1", known_2: "2" }),
+                window.app.dbManager.getWordCount({ isStudied: "1", difficult: { $gt: 2 } }),
+                window.app.dbManager.getDueWordCount({ isStudied: "1" })
             ]);
             
             console.log('[fetchAndRenderStats] 카테고리별 통계:', {
@@ -1992,7 +3676,8 @@ class UIManager {
                 qMemoryCount,
                 longTermTotal,
                 longTermBeforeDate,
-                difficultCount
+                difficultCount,
+                choiceQuizCount
             });
             
             // 3. DOM 요소 업데이트
@@ -2003,7 +3688,8 @@ class UIManager {
                 memorizingCount: document.getElementById('memorizingCount'),
                 qMemoryCount: document.getElementById('qMemoryCount'),
                 longTermCount: document.getElementById('longTermCount'),
-                difficultCount: document.getElementById('difficultCount')
+                difficultCount: document.getElementById('difficultCount'),
+                choiceQuizCount: document.getElementById('choiceQuizCount')
             };
             
             // 4. 기본 통계 업데이트
@@ -2039,6 +3725,11 @@ class UIManager {
                 elements.difficultCount.textContent = difficultCount;
             }
             
+            if (elements.choiceQuizCount) {
+                // 4지선다는 복습 예정일이 지난 학습 단어 수
+                elements.choiceQuizCount.textContent = choiceQuizCount;
+            }
+            
             // 6. 프로그레스 서클 업데이트
             const progressFill = document.querySelector('.progress-circle-fill');
             if (progressFill) {
@@ -2084,6 +3775,16 @@ class UIManager {
     async goToMain() {
         console.log('[DEBUG] 개선된 goToMain 시작');
         try {
+            // 4지선다 자동 진행 취소
+            clearTimeout(this._choiceAdvanceTimer);
+            this._choiceAdvanceTimer = null;
+            
+            // 직접 학습을 그만둔 경우 이어하기 제안하지 않음
+            this.clearSessionSnapshot();
+            if (window.AnswerUndo) {
+                window.AnswerUndo.clear();
+            }
+            
             // 1. 모든 화면을 비활성화
             Object.values(this.screens).forEach(screen => {
                 if (screen) {
@@ -2121,6 +3822,9 @@ class UIManager {
                 }
             }
             
+            // 오늘의 목표와 연속 학습일
+            this.updateDailyGoalBox();
+            
             // 6. DOM 요소 상태 확인 및 로깅
             const isStudiedWordsElement = document.getElementById('isStudiedWordsCount');
             console.log('[goToMain] isStudiedWordsCount 요소 상태:', {
@@ -2233,7 +3937,6 @@ class UIManager {
 																console.log('현재 검색 문자열:', currentSearch);
 																
 																// 2. 모든 가능한 소스에서 에어테이블 정보 수집
-																let airtableApiKey = null;
 																let airtableContentsDB = null;
 																let airtableContentsTable = null;
 																
@@ -2248,13 +3951,11 @@ class UIManager {
 																												console.log('현재 URL에서 urlParams 발견:', urlParamsValue.substring(0, 50) + '...');
 																												const decodedParams = new URLSearchParams(decodeURIComponent(urlParamsValue));
 																												
-																												if (!airtableApiKey) airtableApiKey = decodedParams.get('airtable_apikey');
 																												if (!airtableContentsDB) airtableContentsDB = decodedParams.get('airtable_contents_DB');
 																												if (!airtableContentsTable) airtableContentsTable = decodedParams.get('airtable_contents_table');
 																								}
 																								
 																								// 직접 파라미터도 확인
-																								if (!airtableApiKey) airtableApiKey = currentParams.get('airtable_apikey');
 																								if (!airtableContentsDB) airtableContentsDB = currentParams.get('airtable_contents_DB');
 																								if (!airtableContentsTable) airtableContentsTable = currentParams.get('airtable_contents_table');
 																				} catch (e) {
@@ -2265,10 +3966,6 @@ class UIManager {
 																// 2.2. app.airtableManager에서 추출
 																if (this.app.airtableManager) {
 																				console.log('airtableManager 확인');
-																				if (!airtableApiKey && this.app.airtableManager.apiKey) {
-																								airtableApiKey = this.app.airtableManager.apiKey;
-																								console.log('airtableManager에서 API 키 획득');
-																				}
 																				if (!airtableContentsDB && this.app.airtableManager.contentsBaseUrl) {
 																								airtableContentsDB = this.app.airtableManager.contentsBaseUrl;
 																								console.log('airtableManager에서 콘텐츠 DB 획득');
@@ -2282,10 +3979,6 @@ class UIManager {
 																// 2.3. app.airtableAdapter에서 추출
 																if (this.app.airtableAdapter) {
 																				console.log('airtableAdapter 확인');
-																				if (!airtableApiKey && this.app.airtableAdapter.apiKey) {
-																								airtableApiKey = this.app.airtableAdapter.apiKey;
-																								console.log('airtableAdapter에서 API 키 획득');
-																				}
 																				if (!airtableContentsDB && this.app.airtableAdapter.contentsBaseUrl) {
 																								airtableContentsDB = this.app.airtableAdapter.contentsBaseUrl;
 																								console.log('airtableAdapter에서 콘텐츠 DB 획득');
@@ -2301,7 +3994,6 @@ class UIManager {
 																				try {
 																								console.log('전역 parseUrlParams 함수 사용');
 																								const globalParams = window.parseUrlParams();
-																								if (!airtableApiKey) airtableApiKey = globalParams.get('airtable_apikey');
 																								if (!airtableContentsDB) airtableContentsDB = globalParams.get('airtable_contents_DB');
 																								if (!airtableContentsTable) airtableContentsTable = globalParams.get('airtable_contents_table');
 																				} catch (e) {
@@ -2311,7 +4003,6 @@ class UIManager {
 																
 																// 3. 최종 수집된 정보 로깅
 																console.log('=== 최종 수집된 에어테이블 정보 ===');
-																console.log('API 키:', airtableApiKey ? `${airtableApiKey.substring(0, 15)}...` : 'NULL');
 																console.log('콘텐츠 DB:', airtableContentsDB ? `${airtableContentsDB.substring(0, 40)}...` : 'NULL');
 																console.log('콘텐츠 테이블:', airtableContentsTable || 'NULL');
 																
@@ -2323,13 +4014,11 @@ class UIManager {
 																				return value;
 																};
 																
-																airtableApiKey = cleanNullValue(airtableApiKey);
 																airtableContentsDB = cleanNullValue(airtableContentsDB);
 																airtableContentsTable = cleanNullValue(airtableContentsTable);
 																
 																// 5. 유효성 최종 검증
-																const hasValidAirtableInfo = airtableApiKey && airtableApiKey.length > 10 &&
-																																												airtableContentsDB && airtableContentsDB.startsWith('https://') &&
+																const hasValidAirtableInfo = airtableContentsDB && airtableContentsDB.startsWith('https://') &&
 																																												airtableContentsTable && airtableContentsTable.length > 0;
 																
 																console.log('에어테이블 정보 유효성:', hasValidAirtableInfo);
@@ -2363,9 +4052,13 @@ class UIManager {
 																}
 																
 																// 7. 에어테이블 정보 추가 (유효한 값만)
-																if (airtableApiKey) {
-																				params.set('airtable_apikey', airtableApiKey);
-																				console.log('API 키 파라미터에 추가됨');
+																// API 키는 URL로 전달하지 않음 (프록시가 서버 환경변수 사용)
+																params.delete('airtable_apikey');
+																
+																// 콘텐츠 ID (서버 해석 모드에서 프록시가 베이스/테이블 결정)
+																if (!params.get('contents') && this.app.airtableManager && typeof this.app.airtableManager.getContentId === 'function') {
+																				const contentId = this.app.airtableManager.getContentId();
+																				if (contentId) params.set('contents', contentId);
 																}
 																if (airtableContentsDB) {
 																				params.set('airtable_contents_DB', airtableContentsDB);
@@ -2470,6 +4163,16 @@ class UIManager {
         `;
         container.appendChild(headerElement);
         
+        // 고난도 단어 내보내기
+        if (window.WordExport) {
+            const exportButton = document.createElement('button');
+            exportButton.type = 'button';
+            exportButton.className = 'difficult-export-btn';
+            exportButton.textContent = 'CSV/Anki로 내보내기';
+            exportButton.addEventListener('click', () => this.openWordExport('difficult'));
+            headerElement.firstElementChild.appendChild(exportButton);
+        }
+        
         // 각 단어에 대한 HTML 생성
         words.forEach(word => {
             const wordElement = document.createElement('div');
@@ -2479,15 +4182,15 @@ class UIManager {
             let difficultLevel = Number(word.difficult);
             const difficultyStars = difficultLevel >= 6 ? "⭐⭐⭐" : (difficultLevel >= 4 ? "⭐⭐" : "⭐");
             
-            // 기본 단어 정보
+            // 기본 단어 정보 (별표한 단어는 앞에 ★, 단어/뜻/발음은 아래에서 textContent로 채움)
             let wordHTML = `
-                <h2>${word.word} <span style="color: #EF4444; font-size: 0.8em;">${difficultyStars}</span></h2>
-                <p style="margin-bottom: 8px;">${word.meaning || ''}</p>
+                <h2>${word.starred ? '<span class="difficult-starred">★</span> ' : ''}<span class="difficult-word"></span> <span style="color: #EF4444; font-size: 0.8em;">${difficultyStars}</span></h2>
+                <p class="difficult-meaning" style="margin-bottom: 8px;"></p>
             `;
             
             // 발음이 있으면 추가
             if (word.pronunciation) {
-                wordHTML += `<p style="margin-bottom: 8px; font-size: 0.9em;"><strong>발음:</strong> ${word.pronunciation}</p>`;
+                wordHTML += `<p style="margin-bottom: 8px; font-size: 0.9em;"><strong>발음:</strong> <span class="difficult-pronunciation"></span></p>`;
             }
             
             // VipUp이 있으면 추가
@@ -2500,6 +4203,45 @@ class UIManager {
             }
             
             wordElement.innerHTML = wordHTML;
+            wordElement.querySelector('.difficult-word').textContent = word.word || '';
+            wordElement.querySelector('.difficult-meaning').textContent = word.meaning || '';
+            if (word.pronunciation) {
+                wordElement.querySelector('.difficult-pronunciation').textContent = word.pronunciation;
+            }
+            
+            // 메모와 태그 (사용자 입력이므로 textContent로 표시)
+            if (window.WordNotes) {
+                const notes = window.WordNotes.getNotes(word);
+                if (notes.note) {
+                    const noteElement = document.createElement('p');
+                    noteElement.className = 'difficult-note';
+                    noteElement.textContent = notes.note;
+                    wordElement.appendChild(noteElement);
+                }
+                if (notes.tags.length > 0) {
+                    const tagsElement = document.createElement('p');
+                    tagsElement.className = 'difficult-tags';
+                    tagsElement.textContent = notes.tags.map(tag => `#${tag}`).join(' ');
+                    wordElement.appendChild(tagsElement);
+                }
+                
+                const editButton = document.createElement('button');
+                editButton.type = 'button';
+                editButton.className = 'difficult-note-btn';
+                editButton.textContent = '별표·메모·태그';
+                editButton.addEventListener('click', () => {
+                    // 저장 후 목록을 새 값으로 다시 그림
+                    this.openWordNoteEditor(word._id, async () => {
+                        const updated = await this.app.dbManager.getWordById(word._id).catch(() => null);
+                        const index = words.indexOf(word);
+                        if (updated && index >= 0) {
+                            words[index] = updated;
+                            this.renderDifficultWords(words, container);
+                        }
+                    });
+                });
+                wordElement.appendChild(editButton);
+            }
             
             // 컨테이너에 추가
             container.appendChild(wordElement);
@@ -2546,6 +4288,9 @@ class UIManager {
     }
 }
 
+// 등급 답변 모드 설정 저장 키
+UIManager.GRADED_ANSWER_STORAGE_KEY = 'memoryking_graded_answers';
+
 // 전역 스코프에 UIManager 등록
 window.UIManager = UIManager;
 
@@ -0,0 +1,222 @@
+/**
+ * word-export.js - 단어 목록 CSV/Anki 내보내기
+ * 고난도, 별표, 구간, 커스텀 학습 조건으로 고른 단어를 파일로 내려받음
+ * - 필드: 단어, 뜻, 발음, VipUp(복호화), 오디오 URL(내보낼 때 새로 받음), No, 메모, 태그 중 선택
+ * - csv: 머리글 포함, 엑셀에서 한글이 깨지지 않게 BOM 추가, VipUp HTML은 텍스트로 변환
+ * - anki: 탭 구분 텍스트 (#separator/#html/#columns 머리 줄), 줄바꿈은 <br>로, VipUp 외 필드는 HTML 이스케이프
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.WordExport) {
+    console.log('WordExport가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  window.WordExport = {
+    // 고난도 기준 (고난도 화면과 같음)
+    DIFFICULT_MIN: 3,
+
+    // 단어 고르는 방식 표시 이름
+    SELECTIONS: {
+      difficult: '고난도 단어',
+      starred: '별표한 단어',
+      bucket: '구간별 단어',
+      custom: '커스텀 학습 조건'
+    },
+
+    // 내보낼 수 있는 필드와 머리글
+    FIELDS: {
+      word: '단어',
+      meaning: '뜻',
+      pronunciation: '발음',
+      vipup: 'VipUp',
+      audio: '오디오',
+      No: 'No',
+      note: '메모',
+      tags: '태그'
+    },
+
+    DEFAULT_FIELDS: ['word', 'meaning', 'pronunciation', 'vipup', 'audio'],
+
+    FORMATS: {
+      csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+      anki: { label: 'Anki (TSV)', extension: 'txt', mimeType: 'text/plain;charset=utf-8' }
+    },
+
+    /**
+     * 조건에 맞는 단어 고르기
+     * @param {Object} dbManager - IndexedDBManager
+     * @param {Object} selection - { type, bucket, customOptions }
+     * @returns {Promise<Array>} 단어 배열
+     */
+    async loadWords(dbManager, selection) {
+      try {
+        switch (selection.type) {
+          case 'difficult':
+            return await dbManager.getWords(
+              { isStudied: '1', difficult: { $gte: this.DIFFICULT_MIN } }, 0, { field: 'difficult', direction: 'desc' });
+          case 'starred':
+            return await dbManager.getWords({ starred: true }, 0);
+          case 'bucket':
+            return await dbManager.getWords({ isStudied: '1', known_2: String(selection.bucket || '0') }, 0);
+          case 'custom':
+            if (!window.CustomStudy) return [];
+            // 내보내기는 개수 제한 없이 조건에 맞는 단어 전부
+            return await window.CustomStudy.loadWords(dbManager, selection.customOptions, { limit: 0 });
+          default:
+            return [];
+        }
+      } catch (error) {
+        console.error('내보낼 단어 조회 오류:', error);
+        return [];
+      }
+    },
+
+    /**
+     * 저장된 VipUp 복호화 (JSON 배열 ["..."] 형태도 처리)
+     * @param {string} value - 저장된 vipup
+     * @returns {string} 복호화된 VipUp
+     */
+    decryptVipup(value) {
+      if (!value || typeof value !== 'string') return '';
+
+      let processed = value;
+      if (processed.startsWith('["') && processed.endsWith('"]')) {
+        try {
+          const parsed = JSON.parse(processed);
+          if (Array.isArray(parsed) && parsed.length > 0) processed = parsed[0];
+        } catch (error) {
+          console.warn('VipUp JSON 파싱 실패:', error);
+        }
+      }
+
+      if (window.VipUpEncryption && window.VipUpEncryption.isEncrypted(processed)) {
+        return window.VipUpEncryption.decrypt(processed);
+      }
+      return processed;
+    },
+
+    /**
+     * HTML을 일반 텍스트로 (<br>, </p>는 줄바꿈)
+     * @param {string} html - HTML 문자열
+     * @returns {string} 텍스트
+     */
+    htmlToText(html) {
+      // 현재 문서에 붙지 않는 별도 문서에서 파싱 (스크립트/이벤트 속성이 실행되지 않음)
+      const source = String(html).replace(/<br\s*\/?>/gi, '\n').replace(/<\/p>/gi, '\n');
+      const parsed = new DOMParser().parseFromString(source, 'text/html');
+      return (parsed.body.textContent || '').trim();
+    },
+
+    /**
+     * 필드 값 (형식에 맞게 변환 전)
+     * @param {Object} word - 단어 레코드
+     * @param {string} field - 필드 이름
+     * @param {string} format - csv | anki
+     * @returns {string} 값
+     */
+    getFieldValue(word, field, format) {
+      switch (field) {
+        case 'vipup': {
+          const vipup = this.decryptVipup(word.vipup);
+          return format === 'csv' ? this.htmlToText(vipup) : vipup;
+        }
+        case 'tags':
+          return Array.isArray(word.tags) ? word.tags.join(' ') : '';
+        default:
+          return word[field] === undefined || word[field] === null ? '' : String(word[field]);
+      }
+    },
+
+    /**
+     * CSV 값 (쉼표/따옴표/줄바꿈이 있으면 따옴표로 감쌈)
+     * @param {string} value - 값
+     * @returns {string} CSV 값
+     */
+    escapeCsv(value) {
+      return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    },
+
+    /**
+     * HTML 특수문자 이스케이프 (#html:true인 Anki 파일의 텍스트 필드용)
+     * @param {string} value - 값
+     * @returns {string} 이스케이프한 값
+     */
+    escapeHtml(value) {
+      return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Anki 값 (VipUp 외에는 HTML 이스케이프, 탭은 공백, 줄바꿈은 <br>)
+     * @param {string} value - 값
+     * @param {string} field - 필드 이름
+     * @returns {string} Anki 값
+     */
+    escapeAnki(value, field) {
+      const text = field === 'vipup' ? value : this.escapeHtml(value);
+      return text.replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+    },
+
+    /**
+     * 파일 내용 만들기
+     * @param {Array} words - 단어 배열
+     * @param {string[]} fields - 내보낼 필드
+     * @param {string} format - csv | anki
+     * @returns {string} 파일 내용
+     */
+    build(words, fields, format) {
+      const selected = fields.filter(field => this.FIELDS[field]);
+      const headers = selected.map(field => this.FIELDS[field]);
+      const rows = words.map(word => selected.map(field => this.getFieldValue(word, field, format)));
+
+      if (format === 'anki') {
+        const lines = [
+          '#separator:tab',
+          '#html:true',
+          `#columns:${headers.join('\t')}`
+        ];
+        // 태그 열은 Anki 태그로 가져오게 지정
+        if (selected.includes('tags')) lines.push(`#tags column:${selected.indexOf('tags') + 1}`);
+        rows.forEach(row => lines.push(row.map((value, index) => this.escapeAnki(value, selected[index])).join('\t')));
+        return lines.join('\n');
+      }
+
+      const lines = [headers, ...rows].map(row => row.map(value => this.escapeCsv(value)).join(','));
+      return '\uFEFF' + lines.join('\r\n');
+    },
+
+    /**
+     * 단어를 골라 파일로 내려받기 (콘텐츠_고른방식_YYYY-MM-DD.확장자)
+     * @param {Object} dbManager - IndexedDBManager
+     * @param {Object} options - { selection, fields, format }
+     * @returns {Promise<number|null>} 내보낸 단어 수 (실패하면 null)
+     */
+    async download(dbManager, options) {
+      const format = this.FORMATS[options.format] ? options.format : 'csv';
+      const fields = Array.isArray(options.fields) && options.fields.length > 0 ? options.fields : this.DEFAULT_FIELDS;
+
+      try {
+        const words = await this.loadWords(dbManager, options.selection);
+        if (words.length === 0) return 0;
+
+        // 저장해 둔 에어테이블 첨부파일 URL은 만료되었을 수 있으므로 내보내기 직전에 새로 받음
+        const loader = window.app && window.app.dataLoader;
+        if (fields.includes('audio') && loader && typeof loader.refreshAudioUrls === 'function') {
+          await loader.refreshAudioUrls(words, dbManager.currentContent);
+        }
+
+        window.FileDownload.save(this.build(words, fields, format),
+          window.FileDownload.getFileName(dbManager.currentContent, options.selection.type, this.FORMATS[format].extension),
+          this.FORMATS[format].mimeType);
+
+        return words.length;
+      } catch (error) {
+        console.error('단어 내보내기 오류:', error);
+        return null;
+      }
+    }
+  };
+
+  console.log('WordExport 로드 완료');
+})();
@@ -0,0 +1,110 @@
+/**
+ * word-notes.js - 단어 별표, 메모, 태그
+ * - 단어 레코드의 starred(boolean), note(문자열), tags(문자열 배열) 필드로 IndexedDB에만 저장
+ *   (에어테이블에는 동기화하지 않음, 콘텐츠를 다시 받아도 IndexedDBManager가 유지)
+ * - 커스텀 학습에서 별표/태그 조건으로 사용
+ * 버전: 1.0.0
+ */
+(function() {
+  // 중복 로드 방지
+  if (window.WordNotes) {
+    console.log('WordNotes가 이미 정의되어 있습니다.');
+    return;
+  }
+
+  window.WordNotes = {
+    // 태그 하나의 최대 길이
+    MAX_TAG_LENGTH: 20,
+
+    /**
+     * 태그 입력값 정리 (쉼표/공백 구분, # 제거, 중복 제거)
+     * @param {string|Array} input - "동사, #시험" 또는 배열
+     * @returns {string[]} 태그 배열
+     */
+    parseTags(input) {
+      const values = Array.isArray(input) ? input : String(input || '').split(/[,\s]+/);
+      const tags = values
+        .map(tag => String(tag).trim().replace(/^#+/, '').slice(0, this.MAX_TAG_LENGTH))
+        .filter(Boolean);
+      return Array.from(new Set(tags));
+    },
+
+    /**
+     * 단어의 별표/메모/태그 (없으면 기본값)
+     * @param {Object} word - 단어 레코드
+     * @returns {{starred: boolean, note: string, tags: string[]}} 사용자 필드
+     */
+    getNotes(word) {
+      return {
+        starred: !!(word && word.starred),
+        note: (word && typeof word.note === 'string') ? word.note : '',
+        tags: (word && Array.isArray(word.tags)) ? word.tags : []
+      };
+    },
+
+    /**
+     * 별표/메모/태그 저장
+     * @param {Object} dbManager - IndexedDBManager
+     * @param {string} wordId - 단어 ID
+     * @param {Object} changes - { starred, note, tags } 중 바꿀 값
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    async save(dbManager, wordId, changes) {
+      if (!dbManager || !wordId) return false;
+
+      const updateData = {};
+      if (changes.starred !== undefined) updateData.starred = !!changes.starred;
+      if (changes.note !== undefined) updateData.note = String(changes.note || '').trim();
+      if (changes.tags !== undefined) updateData.tags = this.parseTags(changes.tags);
+
+      try {
+        return !!(await dbManager.updateWord(wordId, updateData));
+      } catch (error) {
+        console.error('단어 메모 저장 오류:', error);
+        return false;
+      }
+    },
+
+    /**
+     * 별표 켜기/끄기
+     * @param {Object} dbManager - IndexedDBManager
+     * @param {string} wordId - 단어 ID
+     * @returns {Promise<boolean|null>} 바뀐 별표 상태 (실패하면 null)
+     */
+    async toggleStar(dbManager, wordId) {
+      try {
+        const word = await dbManager.getWordById(wordId);
+        if (!word) return null;
+
+        const starred = !word.starred;
+        return await this.save(dbManager, wordId, { starred }) ? starred : null;
+      } catch (error) {
+        console.error('별표 변경 오류:', error);
+        return null;
+      }
+    },
+
+    /**
+     * 모든 태그 목록 (많이 쓴 순)
+     * @param {Object} dbManager - IndexedDBManager
+     * @returns {Promise<string[]>} 태그 배열
+     */
+    async getAllTags(dbManager) {
+      try {
+        const words = await dbManager.getWords({}, 0);
+        const counts = new Map();
+        words.forEach(word => {
+          (Array.isArray(word.tags) ? word.tags : []).forEach(tag => {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+          });
+        });
+        return Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+      } catch (error) {
+        console.error('태그 목록 조회 오류:', error);
+        return [];
+      }
+    }
+  };
+
+  console.log('WordNotes 로드 완료');
+})();